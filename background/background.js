@@ -5,10 +5,56 @@
 
 // Import services
 import { StorageService } from '../services/storage-service.js';
+import { TabService } from '../services/tab-service.js';
+import { HibernationService } from '../services/hibernation-service.js';
+import { DuplicateService } from '../services/duplicate-service.js';
+import { CleanupService } from '../services/cleanup-service.js';
+import { ContainerService } from '../services/container-service.js';
+import { TrashService } from '../services/trash-service.js';
+import { TopicService } from '../services/topic-service.js';
+import { initializeStore, syncStoreWithStorage } from '../state/index.js';
 import { MessageTypes } from './messages.js';
+import { ContextMenuManager } from './context-menus.js';
+import { TopicSwitcher } from './topic-switcher.js';
+import { OmniboxManager } from './omnibox.js';
+import { TopicBadge } from './topic-badge.js';
 
 // Initialize services
 const storageService = new StorageService();
+const tabService = new TabService();
+const hibernationService = new HibernationService(tabService);
+const duplicateService = new DuplicateService(tabService);
+const cleanupService = new CleanupService(tabService);
+const containerService = new ContainerService();
+const trashService = new TrashService();
+const topicService = new TopicService(tabService);
+const contextMenuManager = new ContextMenuManager(tabService);
+const topicSwitcher = new TopicSwitcher(tabService);
+const omniboxManager = new OmniboxManager(tabService);
+const topicBadge = new TopicBadge();
+
+/**
+ * Load state and start tab management.
+ * Tab management lives here so it keeps working while the sidebar is closed.
+ */
+async function initializeBackground() {
+  await initializeStore();
+  syncStoreWithStorage();
+  await tabService.initialize();
+  await hibernationService.initialize();
+  await duplicateService.initialize();
+  await cleanupService.initialize();
+  await containerService.initialize();
+  await trashService.initialize();
+  await contextMenuManager.initialize();
+  await topicSwitcher.initialize();
+  await omniboxManager.initialize();
+  await topicBadge.initialize();
+}
+
+const initialized = initializeBackground().catch(error => {
+  console.error('Error initializing background:', error);
+});
 
 /**
  * Handle communication between extension components
@@ -27,14 +73,14 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
           topicName: message.topicName,
           categorySet: message.categorySet
         });
-        
+      
       case MessageTypes.CATEGORY_SET_UPDATE:
         // Forward category set updates to any listeners
         return browser.runtime.sendMessage({
           type: MessageTypes.CATEGORY_SET_UPDATE,
           categorySets: message.categorySets
         });
-        
+      
       case MessageTypes.GET_CURRENT_TAB:
         // Get the current active tab
         const tabs = await browser.tabs.query({ active: true, currentWindow: true });
@@ -42,7 +88,127 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
           return { url: tabs[0].url, title: tabs[0].title };
         }
         return null;
-        
+      
+      case MessageTypes.SWITCH_TOPIC:
+        await initialized;
+        return tabService.switchTopic(message.topicId, message.windowId);
+      
+      case MessageTypes.CREATE_TOPIC:
+        // New topic from the popup's quick switcher
+        await initialized;
+        return topicSwitcher.createTopic(message.name, message.windowId);
+      
+      case MessageTypes.DELETE_TOPIC:
+        // Deleted here, so the topic's tabs are closed while they are still assigned to it
+        await initialized;
+        return {
+          success: true,
+          trashItem: await topicService.deleteTopic(message.topicId, { deleteSubtopics: message.deleteSubtopics })
+        };
+      
+      case MessageTypes.GET_TAB_STATUS:
+        await initialized;
+        return tabService.getStatus();
+      
+      case MessageTypes.GET_TOPIC_TABS:
+        await initialized;
+        return tabService.getTabsForTopic(message.topicId);
+      
+      case MessageTypes.VALIDATE_TAB_ASSIGNMENTS:
+        await initialized;
+        return { success: await tabService.validateTabAssignments() };
+      
+      case MessageTypes.CLOSE_TOPIC_TABS:
+        await initialized;
+        return { success: await tabService.closeTabsForTopic(message.topicId) };
+      
+      case MessageTypes.PARK_TOPIC:
+        await initialized;
+        return tabService.parkTopic(message.topicId);
+      
+      case MessageTypes.ARCHIVE_TOPIC:
+        await initialized;
+        return tabService.archiveTopic(message.topicId, message.closeTabs);
+      
+      case MessageTypes.OPEN_TABS_IN_TOPIC:
+        await initialized;
+        return tabService.openTabsInTopic(message.pages, message.topicId, message.windowId, message.discarded);
+      
+      case MessageTypes.RESTORE_CLOSED_TAB:
+        await initialized;
+        return tabService.restoreClosedTab(message.topicId, message.closedTabId, message.windowId);
+      
+      case MessageTypes.SEARCH_TABS:
+        await initialized;
+        return tabService.searchTabs(message.query);
+      
+      case MessageTypes.FOCUS_TAB:
+        await initialized;
+        return tabService.focusTab(message.tabId);
+      
+      case MessageTypes.FIND_DUPLICATE_TABS:
+        await initialized;
+        return duplicateService.findDuplicates();
+      
+      case MessageTypes.RESOLVE_DUPLICATE_TABS:
+        await initialized;
+        return duplicateService.resolveDuplicates(message.urlPattern, message.action, message.topicId);
+      
+      case MessageTypes.GET_STALE_TABS:
+        await initialized;
+        return cleanupService.findStaleTabs();
+      
+      case MessageTypes.ARCHIVE_TABS:
+        await initialized;
+        return cleanupService.archiveTabs(message.tabIds);
+      
+      case MessageTypes.MOVE_TABS_TO_TOPIC:
+        await initialized;
+        return tabService.moveTabsToTopic(message.tabIds, message.topicId);
+      
+      case MessageTypes.REMOVE_TABS_FROM_TOPIC:
+        await initialized;
+        return tabService.removeTabsFromTopic(message.tabIds, message.topicId);
+      
+      case MessageTypes.GET_UNLOADED_TAB_COUNTS:
+        await initialized;
+        return hibernationService.getUnloadedTabCounts();
+      
+      case MessageTypes.GET_TABS_FOR_EXPORT:
+        await initialized;
+        return await tabService.getTabsForExport();
+      
+      case MessageTypes.IMPORT_TAB_ASSIGNMENTS:
+        await initialized;
+        return { assigned: await tabService.importTabAssignments(message.tabs) };
+      
+      case MessageTypes.ROUTE_TAB_RESPONSE:
+        // Answer from the route-tab modal for a rule that asks first
+        await initialized;
+        return tabService.handleRouteResponse(message.tabId, message.ruleId, message.action);
+      
+      case MessageTypes.GET_CONTAINERS:
+        await initialized;
+        return containerService.getContainers();
+      
+      case MessageTypes.CREATE_CONTAINER:
+        await initialized;
+        return containerService.createContainer(message.name);
+      
+      case MessageTypes.GET_CONTAINERS_FOR_EXPORT:
+        await initialized;
+        return containerService.getContainersForExport();
+      
+      case MessageTypes.IMPORT_CONTAINERS:
+        await initialized;
+        return { bound: await containerService.importContainers(message.containers) };
+      
+      case MessageTypes.IMPORT_DATA:
+        // Import here so the data is saved before the tabs are reassigned to the new topics
+        await initialized;
+        await storageService.importAllData(message.importData);
+        return { success: await tabService.initialize() };
+      
       default:
         console.log('Unhandled message type:', message.type);
         return null;
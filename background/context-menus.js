@@ -0,0 +1,190 @@
+/**
+ * Context Menus
+ * 
+ * Adds topic entries to the tab strip and link context menus, so tabs can be
+ * moved to another topic and links opened in a topic from the browser UI.
+ * Tabs can also be marked as global there, so they are shown in every topic.
+ * The topic submenus are rebuilt whenever the topics in the store change.
+ */
+
+import { store } from '../state/index.js';
+import { TopicService } from '../services/topic-service.js';
+import { GLOBAL_TOPIC_ID } from '../models/topic.js';
+
+// Menu IDs, topic entries append ":<topicId>"
+const MOVE_TAB_MENU_ID = 'move-tab-to-topic';
+const OPEN_LINK_MENU_ID = 'open-link-in-topic';
+const GLOBAL_TAB_MENU_ID = 'global-tab';
+
+export class ContextMenuManager {
+  /**
+   * @param {Object} tabService - Background tab service
+   */
+  constructor(tabService) {
+    this.tabService = tabService;
+    this.topicService = new TopicService(tabService);
+    this.topicsSnapshot = null; // Serialized topics the menus were built from
+    this.DEBUG = true;
+  }
+
+  /**
+   * Log a message with the ContextMenuManager prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[ContextMenuManager]", ...args);
+  }
+
+  /**
+   * Build the menus and listen for clicks and topic changes
+   */
+  async initialize() {
+    if (!browser.menus) {
+      this.log("[ERROR] Menus API not available");
+      return false;
+    }
+    
+    await this.buildMenus();
+    
+    browser.menus.onClicked.addListener((info, tab) => this.handleMenuClick(info, tab));
+    browser.menus.onShown.addListener((info, tab) => this.handleMenuShown(info, tab));
+    this.unsubscribe = store.subscribe(() => this.buildMenus());
+    
+    return true;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Create the menu entries for all topics
+   * Only rebuilds if the topics changed since the last build.
+   */
+  async buildMenus() {
+    // Archived topics can't take tabs
+    const topics = store.getState().topics.filter(topic => !topic.archived);
+    const snapshot = JSON.stringify(topics.map(topic => [topic.id, topic.name]));
+    if (snapshot === this.topicsSnapshot) return;
+    this.topicsSnapshot = snapshot;
+    
+    try {
+      await browser.menus.removeAll();
+      
+      browser.menus.create({
+        id: MOVE_TAB_MENU_ID,
+        title: 'Move tab to topic',
+        contexts: ['tab'],
+        enabled: topics.length > 0
+      });
+      
+      browser.menus.create({
+        id: GLOBAL_TAB_MENU_ID,
+        type: 'checkbox',
+        title: 'Show in all topics',
+        contexts: ['tab']
+      });
+      
+      browser.menus.create({
+        id: OPEN_LINK_MENU_ID,
+        title: 'Open link in topic…',
+        contexts: ['link'],
+        enabled: topics.length > 0
+      });
+      
+      for (const topic of topics) {
+        // "&" marks access keys in menu titles
+        const title = topic.name.replace(/&/g, '&&');
+        
+        browser.menus.create({
+          id: `${MOVE_TAB_MENU_ID}:${topic.id}`,
+          parentId: MOVE_TAB_MENU_ID,
+          title,
+          contexts: ['tab']
+        });
+        
+        browser.menus.create({
+          id: `${OPEN_LINK_MENU_ID}:${topic.id}`,
+          parentId: OPEN_LINK_MENU_ID,
+          title,
+          contexts: ['link']
+        });
+      }
+      
+      this.log(`Built menus for ${topics.length} topics`);
+    } catch (e) {
+      this.log(`[ERROR] buildMenus failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Disable the entry of the topic the clicked tab already belongs to
+   * and check the global entry for global tabs
+   */
+  async handleMenuShown(info, tab) {
+    if (!info.contexts.includes('tab') || !tab) return;
+    
+    try {
+      const stableId = await this.tabService.tabIdentifier.getStableTabId(tab);
+      const currentTopicId = this.tabService.getAssignedTopicId(stableId);
+      
+      await browser.menus.update(GLOBAL_TAB_MENU_ID, {
+        checked: currentTopicId === GLOBAL_TOPIC_ID
+      });
+      
+      for (const topic of store.getState().topics.filter(t => !t.archived)) {
+        await browser.menus.update(`${MOVE_TAB_MENU_ID}:${topic.id}`, {
+          enabled: topic.id !== currentTopicId
+        });
+      }
+      
+      browser.menus.refresh();
+    } catch (e) {
+      this.log(`[ERROR] handleMenuShown failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Get the tabs a tab menu entry applies to
+   * All selected tabs if the clicked tab is part of the selection, otherwise only the clicked tab.
+   * 
+   * @param {Object} tab - Clicked tab
+   * @returns {Promise<Array<number>>} Firefox tab IDs
+   */
+  async getClickedTabIds(tab) {
+    if (!tab.highlighted) {
+      return [tab.id];
+    }
+    
+    const selectedTabs = await browser.tabs.query({ windowId: tab.windowId, highlighted: true });
+    return selectedTabs.map(selected => selected.id);
+  }
+
+  /**
+   * Handle a click on one of the topic entries or the global entry
+   */
+  async handleMenuClick(info, tab) {
+    if (info.menuItemId === GLOBAL_TAB_MENU_ID && tab) {
+      await this.tabService.setTabsGlobal(await this.getClickedTabIds(tab), info.checked);
+      return;
+    }
+    
+    const [parentId, topicId] = String(info.menuItemId).split(':');
+    if (!topicId) return;
+    
+    if (parentId === MOVE_TAB_MENU_ID && tab) {
+      const tabIds = await this.getClickedTabIds(tab);
+      
+      const moved = await this.topicService.moveTabsToTopic(tabIds, topicId);
+      this.log(`Moved ${moved} tabs to topic ${topicId}`);
+    } else if (parentId === OPEN_LINK_MENU_ID && info.linkUrl) {
+      await this.tabService.openTabInTopic(info.linkUrl, topicId, tab ? tab.windowId : undefined);
+    }
+  }
+}
+
+export default ContextMenuManager;
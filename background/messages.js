@@ -9,6 +9,8 @@ export const MessageTypes = {
   ADD_TOPIC_RESPONSE: 'addTopicResponse',
   MODAL_RESPONSE: 'modalResponse',
   MODAL_ERROR: 'modalError',
+  CREATE_TOPIC: 'createTopic',
+  DELETE_TOPIC: 'deleteTopic',
   
   // Category set management
   CATEGORY_SET_UPDATE: 'categorySetUpdate',
@@ -16,8 +18,36 @@ export const MessageTypes = {
   // Tab management
   GET_CURRENT_TAB: 'getCurrentTab',
   SWITCH_TOPIC: 'switchTopic',
+  GET_TAB_STATUS: 'getTabStatus',
+  GET_TOPIC_TABS: 'getTopicTabs',
+  VALIDATE_TAB_ASSIGNMENTS: 'validateTabAssignments',
+  CLOSE_TOPIC_TABS: 'closeTopicTabs',
+  PARK_TOPIC: 'parkTopic',
+  ARCHIVE_TOPIC: 'archiveTopic',
+  RESTORE_CLOSED_TAB: 'restoreClosedTab',
+  SEARCH_TABS: 'searchTabs',
+  FOCUS_TAB: 'focusTab',
+  FIND_DUPLICATE_TABS: 'findDuplicateTabs',
+  RESOLVE_DUPLICATE_TABS: 'resolveDuplicateTabs',
+  GET_STALE_TABS: 'getStaleTabs',
+  ARCHIVE_TABS: 'archiveTabs',
+  OPEN_TABS_IN_TOPIC: 'openTabsInTopic',
+  STALE_TABS_UPDATED: 'staleTabsUpdated',
+  MOVE_TABS_TO_TOPIC: 'moveTabsToTopic',
+  REMOVE_TABS_FROM_TOPIC: 'removeTabsFromTopic',
+  GET_UNLOADED_TAB_COUNTS: 'getUnloadedTabCounts',
+  GET_TABS_FOR_EXPORT: 'getTabsForExport',
+  IMPORT_TAB_ASSIGNMENTS: 'importTabAssignments',
+  ROUTE_TAB_RESPONSE: 'routeTabResponse',
+  
+  // Container management
+  GET_CONTAINERS: 'getContainers',
+  CREATE_CONTAINER: 'createContainer',
+  GET_CONTAINERS_FOR_EXPORT: 'getContainersForExport',
+  IMPORT_CONTAINERS: 'importContainers',
   
   // General data operations
+  IMPORT_DATA: 'importData',
   SAVE_DATA: 'saveData',
   LOAD_DATA: 'loadData',
   DATA_UPDATED: 'dataUpdated'
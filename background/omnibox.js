@@ -0,0 +1,231 @@
+/**
+ * Omnibox
+ * 
+ * Adds the "st" keyword to the address bar. "st <text>" suggests topics to switch
+ * to, "st b <text>" searches the bookmarks of all topics and opens the pick, and
+ * "st t <text>" finds open tabs in any topic and focuses the pick.
+ */
+
+import { store, selectors } from '../state/index.js';
+import { GLOBAL_TOPIC_ID } from '../models/topic.js';
+import { fuzzyScore } from '../utils/common.js';
+
+// Prefixes that select what the keyword searches, topics are searched without one
+const BOOKMARK_PREFIX = 'b';
+const TAB_PREFIX = 't';
+
+// Firefox only shows a handful of suggestions
+const MAX_SUGGESTIONS = 6;
+
+export class OmniboxManager {
+  /**
+   * @param {Object} tabService - Background tab service
+   */
+  constructor(tabService) {
+    this.tabService = tabService;
+    this.suggestions = new Map(); // Maps the content of the last suggestions to what picking them does
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the OmniboxManager prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[OmniboxManager]", ...args);
+  }
+
+  /**
+   * Listen for input after the keyword
+   */
+  async initialize() {
+    if (!browser.omnibox) {
+      this.log("[ERROR] Omnibox API not available");
+      return false;
+    }
+    
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    browser.omnibox.setDefaultSuggestion({
+      description: `Switch topic, "${BOOKMARK_PREFIX} <text>" searches bookmarks, "${TAB_PREFIX} <text>" open tabs`
+    });
+    
+    browser.omnibox.onInputChanged.addListener(async (text, suggest) => {
+      suggest(await this.getSuggestions(text));
+    });
+    browser.omnibox.onInputEntered.addListener((text, disposition) => this.handleInputEntered(text, disposition));
+    
+    return true;
+  }
+
+  /**
+   * Split the input into what to search and the text to search for
+   * 
+   * @param {string} text - Input after the keyword
+   * @returns {Object} { prefix, query }, prefix is null for topics
+   */
+  parseInput(text) {
+    const [first, ...rest] = text.trim().split(/\s+/);
+    
+    if (first === BOOKMARK_PREFIX || first === TAB_PREFIX) {
+      return { prefix: first, query: rest.join(' ') };
+    }
+    
+    return { prefix: null, query: text.trim() };
+  }
+
+  /**
+   * Get the name shown for a topic
+   */
+  getTopicLabel(topicId) {
+    if (topicId === GLOBAL_TOPIC_ID) return 'All topics';
+    
+    const topic = topicId ? selectors.selectTopicById(store.getState(), topicId) : null;
+    return topic ? topic.name : 'No topic';
+  }
+
+  /**
+   * Get the name shown for the topic of a bookmark, bookmarks of archived topics are found as well
+   */
+  getBookmarkTopicLabel(bookmark) {
+    const topic = selectors.selectTopicById(store.getState(), bookmark.topicId);
+    return topic && topic.archived ? `${bookmark.topicName} (archived)` : bookmark.topicName;
+  }
+
+  /**
+   * Build the suggestions for an input and remember what picking each one does
+   * The content of a suggestion is put in the address bar when it is selected, so
+   * it keeps its prefix and searching for it again finds the same entry.
+   * 
+   * @param {string} text - Input after the keyword
+   * @returns {Promise<Array>} Array of { content, description }
+   */
+  async getSuggestions(text) {
+    const { prefix, query } = this.parseInput(text);
+    let entries = [];
+    
+    try {
+      if (prefix === BOOKMARK_PREFIX) {
+        entries = this.findBookmarks(query);
+      } else if (prefix === TAB_PREFIX) {
+        entries = await this.findTabs(query);
+      } else {
+        entries = this.findTopics(query);
+      }
+    } catch (e) {
+      this.log(`[ERROR] getSuggestions failed: ${e.message}`);
+    }
+    
+    this.suggestions = new Map(entries.map(entry => [entry.content, entry.action]));
+    return entries.map(({ content, description }) => ({ content, description }));
+  }
+
+  /**
+   * Find the topics matching a query, best matches first
+   * 
+   * @param {string} query - Text to search for
+   * @returns {Array} Array of { content, description, action }
+   */
+  findTopics(query) {
+    const state = store.getState();
+    const counts = selectors.selectTabCountByTopic(state);
+    
+    return selectors.selectTopicTree(state)
+      .map(({ topic }, index) => ({ topic, index, score: query ? fuzzyScore(query, topic.name) : 0 }))
+      .filter(match => match.score >= 0)
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ topic }) => ({
+        content: topic.name,
+        description: `Switch to topic ${topic.name} (${counts[topic.id] || 0} tabs)`,
+        action: { type: 'topic', topicId: topic.id }
+      }));
+  }
+
+  /**
+   * Find the bookmarks of all topics matching a query
+   * 
+   * @param {string} query - Text to search for
+   * @returns {Array} Array of { content, description, action }
+   */
+  findBookmarks(query) {
+    return selectors.searchBookmarks(store.getState(), query)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(bookmark => ({
+        content: `${BOOKMARK_PREFIX} ${bookmark.url}`,
+        description: `${bookmark.title || bookmark.url} — ${this.getBookmarkTopicLabel(bookmark)} › ${bookmark.categoryName}`,
+        action: { type: 'bookmark', url: bookmark.url, topicId: bookmark.topicId }
+      }));
+  }
+
+  /**
+   * Find the open tabs of all topics matching a query
+   * 
+   * @param {string} query - Text to search for
+   * @returns {Promise<Array>} Array of { content, description, action }
+   */
+  async findTabs(query) {
+    const results = await this.tabService.searchTabs(query, MAX_SUGGESTIONS);
+    
+    return results.map(result => ({
+      content: `${TAB_PREFIX} ${result.url}`,
+      description: `${result.title || result.url} — ${this.getTopicLabel(result.topicId)}`,
+      action: { type: 'tab', tabId: result.tabId }
+    }));
+  }
+
+  /**
+   * Carry out a picked suggestion, or the best one for text that was typed and entered
+   * 
+   * @param {string} text - Content of the picked suggestion or the typed input
+   * @param {string} disposition - Where the browser would open a URL
+   */
+  async handleInputEntered(text, disposition) {
+    let action = this.suggestions.get(text);
+    
+    if (!action) {
+      await this.getSuggestions(text);
+      action = this.suggestions.values().next().value;
+    }
+    
+    if (!action) {
+      this.log(`Nothing found for "${text}"`);
+      return;
+    }
+    
+    try {
+      if (action.type === 'topic') {
+        await this.tabService.switchTopic(action.topicId);
+      } else if (action.type === 'tab') {
+        await this.tabService.focusTab(action.tabId);
+      } else if (action.type === 'bookmark') {
+        await this.openBookmark(action, disposition);
+      }
+    } catch (e) {
+      this.log(`[ERROR] handleInputEntered failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Open a bookmark where the browser asks for it
+   * New tabs open in the container of the bookmark's topic.
+   * 
+   * @param {Object} action - Bookmark action { url, topicId }
+   * @param {string} disposition - currentTab, newForegroundTab or newBackgroundTab
+   */
+  async openBookmark({ url, topicId }, disposition) {
+    if (disposition === 'currentTab') {
+      await browser.tabs.update({ url });
+      return;
+    }
+    
+    await browser.tabs.create({
+      url,
+      active: disposition === 'newForegroundTab',
+      ...this.tabService.getContainerOptions(topicId)
+    });
+  }
+}
+
+export default OmniboxManager;
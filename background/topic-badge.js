@@ -0,0 +1,136 @@
+/**
+ * Topic Badge
+ * 
+ * Optionally shows the topic of each window on the toolbar button: the badge
+ * holds the topic's emoji or first letter and is tinted in the topic's color.
+ * The badges are updated whenever a window switches topic or a topic changes.
+ */
+
+import { store, selectors } from '../state/index.js';
+import { isBuiltInTopicIcon } from '../models/topic.js';
+
+// Badge color of topics without a color
+const DEFAULT_BADGE_COLOR = '#666666';
+
+export class TopicBadge {
+  constructor() {
+    this.badgesSnapshot = null; // Serialized state the badges were set from
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the TopicBadge prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[TopicBadge]", ...args);
+  }
+
+  /**
+   * Set the badges and keep them up to date
+   */
+  async initialize() {
+    if (!browser.browserAction) {
+      this.log("[ERROR] Browser action API not available");
+      return false;
+    }
+    
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    browser.windows.onCreated.addListener((window) => this.updateWindowBadge(window.id));
+    this.unsubscribe = store.subscribe(() => this.updateBadges());
+    
+    await this.updateBadges();
+    return true;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Update the badges of all windows
+   * Only updates if the setting, the window topics or the topics changed since the last update.
+   */
+  async updateBadges() {
+    const state = store.getState();
+    const snapshot = JSON.stringify([
+      selectors.selectSettings(state).showTopicBadge,
+      state.activeTopicId,
+      state.windowTopics,
+      state.topics.map(topic => [topic.id, topic.name, topic.color, topic.icon])
+    ]);
+    if (snapshot === this.badgesSnapshot) return;
+    this.badgesSnapshot = snapshot;
+    
+    try {
+      const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+      await Promise.all(windows.map(window => this.updateWindowBadge(window.id)));
+    } catch (e) {
+      this.log(`[ERROR] updateBadges failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Show the topic of a window on its toolbar button, or clear the badge if the setting is off
+   * 
+   * @param {number} windowId - Window ID
+   */
+  async updateWindowBadge(windowId) {
+    const state = store.getState();
+    const topic = selectors.selectTopicById(state, selectors.selectWindowTopicId(state, windowId));
+    
+    try {
+      if (!selectors.selectSettings(state).showTopicBadge || !topic) {
+        await browser.browserAction.setBadgeText({ text: '', windowId });
+        return;
+      }
+      
+      const color = topic.color || DEFAULT_BADGE_COLOR;
+      await browser.browserAction.setBadgeText({ text: this.getBadgeText(topic), windowId });
+      await browser.browserAction.setBadgeBackgroundColor({ color, windowId });
+      
+      // Older Firefox versions pick the text color themselves
+      if (browser.browserAction.setBadgeTextColor) {
+        await browser.browserAction.setBadgeTextColor({ color: this.getTextColor(color), windowId });
+      }
+    } catch (e) {
+      // The window may have closed in the meantime
+      this.log(`[WARNING] Could not update badge of window ${windowId}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Get the badge text of a topic: its emoji, or the first letter of its name
+   * Built-in icons are font icons, they can't be shown in a badge.
+   * 
+   * @param {Object} topic - Topic
+   * @returns {string} Badge text
+   */
+  getBadgeText(topic) {
+    if (topic.icon && !isBuiltInTopicIcon(topic.icon)) {
+      return topic.icon;
+    }
+    
+    const [firstLetter = ''] = Array.from(topic.name.trim());
+    return firstLetter.toUpperCase();
+  }
+
+  /**
+   * Pick a readable text color for a badge color
+   * 
+   * @param {string} color - Hex badge color
+   * @returns {string} Black for light colors, white for dark ones
+   */
+  getTextColor(color) {
+    const [r, g, b] = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    return luminance > 0.6 ? '#000000' : '#ffffff';
+  }
+}
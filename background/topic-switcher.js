@@ -0,0 +1,169 @@
+/**
+ * Topic Switcher
+ * 
+ * Switches topics from outside the sidebar: the keyboard commands of the manifest
+ * (next, previous and last used topic, topics 1-9 in sidebar order) and the quick
+ * switcher of the browser action popup. Switches go through the background tab
+ * service like the sidebar's, so they work while the sidebar is closed.
+ */
+
+import { store, selectors } from '../state/index.js';
+import { TopicService } from '../services/topic-service.js';
+
+// Command names of the manifest, topic numbers append "-<n>"
+const NEXT_TOPIC_COMMAND = 'next-topic';
+const PREVIOUS_TOPIC_COMMAND = 'previous-topic';
+const LAST_TOPIC_COMMAND = 'last-used-topic';
+const TOPIC_NUMBER_COMMAND = 'switch-to-topic';
+
+// Switch notifications replace each other and disappear after a moment
+const NOTIFICATION_ID = 'topic-switched';
+const NOTIFICATION_DURATION_MS = 2000;
+
+export class TopicSwitcher {
+  /**
+   * @param {Object} tabService - Background tab service
+   */
+  constructor(tabService) {
+    this.tabService = tabService;
+    this.topicService = new TopicService(tabService);
+    this.notificationTimeout = null;
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the TopicSwitcher prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[TopicSwitcher]", ...args);
+  }
+
+  /**
+   * Listen for the keyboard commands
+   */
+  async initialize() {
+    if (!browser.commands) {
+      this.log("[ERROR] Commands API not available");
+      return false;
+    }
+    
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    browser.commands.onCommand.addListener((command) => this.handleCommand(command));
+    return true;
+  }
+
+  /**
+   * Run a keyboard command in the focused window
+   * 
+   * @param {string} command - Command name from the manifest
+   */
+  async handleCommand(command) {
+    try {
+      const windowId = await this.tabService.getFocusedWindowId();
+      const topicId = this.getTopicForCommand(command, windowId);
+      
+      if (!topicId) {
+        this.log(`No topic to switch to for command ${command}`);
+        return;
+      }
+      
+      if (topicId === this.tabService.getWindowTopicId(windowId)) return;
+      
+      const result = await this.tabService.switchTopic(topicId, windowId);
+      if (result && result.success) {
+        this.notifyTopic(topicId);
+      }
+    } catch (e) {
+      this.log(`[ERROR] handleCommand failed for ${command}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Determine the topic a command switches a window to
+   * 
+   * @param {string} command - Command name from the manifest
+   * @param {number} windowId - Window the command applies to
+   * @returns {string|null} Topic ID or null if there is nothing to switch to
+   */
+  getTopicForCommand(command, windowId) {
+    // Sub-topics follow their parent, like in the sidebar
+    const topics = selectors.selectTopicTree(store.getState()).map(({ topic }) => topic);
+    if (topics.length === 0) return null;
+    
+    const currentIndex = topics.findIndex(topic => topic.id === this.tabService.getWindowTopicId(windowId));
+    
+    switch (command) {
+      case NEXT_TOPIC_COMMAND:
+        return topics[(currentIndex + 1) % topics.length].id;
+      
+      case PREVIOUS_TOPIC_COMMAND:
+        // Without a current topic, going back starts at the last one
+        return topics[(Math.max(currentIndex, 0) - 1 + topics.length) % topics.length].id;
+      
+      case LAST_TOPIC_COMMAND:
+        return this.tabService.getPreviousWindowTopicId(windowId);
+      
+      default: {
+        if (!command.startsWith(`${TOPIC_NUMBER_COMMAND}-`)) return null;
+        
+        const number = parseInt(command.slice(TOPIC_NUMBER_COMMAND.length + 1), 10);
+        const topic = topics[number - 1];
+        return topic ? topic.id : null;
+      }
+    }
+  }
+
+  /**
+   * Show a short notification naming the topic that was switched to
+   * 
+   * @param {string} topicId - Topic ID
+   */
+  async notifyTopic(topicId) {
+    const topic = selectors.selectTopicById(store.getState(), topicId);
+    if (!topic || !browser.notifications) return;
+    
+    try {
+      await browser.notifications.create(NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title: 'Simple Topics',
+        message: `Switched to ${topic.name}`
+      });
+      
+      clearTimeout(this.notificationTimeout);
+      this.notificationTimeout = setTimeout(() => {
+        browser.notifications.clear(NOTIFICATION_ID);
+      }, NOTIFICATION_DURATION_MS);
+    } catch (e) {
+      this.log(`[WARNING] Could not show switch notification: ${e.message}`);
+    }
+  }
+
+  /**
+   * Create a topic and switch a window to it, for the popup's quick switcher
+   * The topic is created here, so the switch doesn't wait for the popup's store to sync.
+   * 
+   * @param {string} name - Topic name
+   * @param {number} [windowId] - Window to switch, the focused one if not given
+   * @returns {Promise<Object>} Switch status { success, topicId, error }
+   */
+  async createTopic(name, windowId = null) {
+    if (!name || !name.trim()) {
+      return { success: false, error: 'Topic name cannot be empty' };
+    }
+    
+    try {
+      const topic = await this.topicService.createTopic(name.trim());
+      this.log(`Created topic ${topic.id} (${topic.name}) from the quick switcher`);
+      return await this.tabService.switchTopic(topic.id, windowId);
+    } catch (e) {
+      this.log(`[ERROR] createTopic failed: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  }
+}
+
+export default TopicSwitcher;
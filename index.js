@@ -4,15 +4,47 @@
  */
 
 // Models
-export { createTopic, validateTopic } from './models/topic.js';
+export { 
+  createTopic, 
+  validateTopic, 
+  HibernationModes, 
+  StartPageModes, 
+  StaleTabModes, 
+  GLOBAL_TOPIC_ID, 
+  validateHibernationPolicy, 
+  validateStartPage, 
+  validateStaleTabPolicy, 
+  TOPIC_COLORS, 
+  TOPIC_ICONS, 
+  isBuiltInTopicIcon, 
+  validateTopicColor, 
+  validateTopicIcon 
+} from './models/topic.js';
 export { createCategory, validateCategory, createCategorySet } from './models/category.js';
 export { createBookmark, validateBookmark, createBookmarkFromTab } from './models/bookmark.js';
+export { 
+  RulePatternTypes, 
+  RuleActions, 
+  createRule, 
+  validateRule, 
+  matchesRule 
+} from './models/rule.js';
+export { 
+  DEFAULT_SETTINGS, 
+  AttachedTabRules, 
+  createSettings, 
+  validateSettings 
+} from './models/settings.js';
+export { TrashItemTypes, createTrashItem, validateTrashItem } from './models/trash.js';
 
 // Services
 export { StorageService } from './services/storage-service.js';
 export { TopicService } from './services/topic-service.js';
 export { CategoryService } from './services/category-service.js';
 export { BookmarkService } from './services/bookmark-service.js';
+export { RuleService } from './services/rule-service.js';
+export { TrashService } from './services/trash-service.js';
+export { DuplicateActions } from './services/duplicate-service.js';
 
 // Messaging
 export { 
@@ -28,8 +60,10 @@ export {
   safeJsonParse,
   debounce,
   escapeHtml,
+  topicMarkerHtml,
   formatDate,
   isValidUrl,
+  fuzzyScore,
   showNotification
 } from './utils/common.js';
 
@@ -51,6 +85,7 @@ export {
   createAction,
   ActionTypes,
   initializeStore,
+  syncStoreWithStorage,
   selectors,
   actions
 } from './state/index.js';
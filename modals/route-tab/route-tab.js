@@ -0,0 +1,77 @@
+/**
+ * Route Tab Modal
+ * 
+ * Asks whether a tab that matches a routing rule with the "ask" action
+ * should move to the rule's topic. The answer goes back to the background tab service.
+ */
+import {
+  store,
+  selectors,
+  initializeStore,
+  RuleActions,
+  MessageTypes,
+  sendMessage
+} from '../../index.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // DOM Elements
+  const topicName = document.getElementById('topic-name');
+  const tabTitle = document.getElementById('tab-title');
+  const tabUrl = document.getElementById('tab-url');
+  const moveBtn = document.getElementById('move-btn');
+  const switchBtn = document.getElementById('switch-btn');
+  const keepBtn = document.getElementById('keep-btn');
+  
+  const params = new URLSearchParams(window.location.search);
+  const tabId = parseInt(params.get('tabId'), 10);
+  const ruleId = params.get('ruleId');
+
+  /**
+   * Send the answer to the background and close the modal
+   * 
+   * @param {string|null} action - RuleActions.ASSIGN, RuleActions.SWITCH or null to keep the tab
+   */
+  async function respond(action) {
+    try {
+      await sendMessage(MessageTypes.ROUTE_TAB_RESPONSE, { tabId, ruleId, action });
+    } catch (err) {
+      console.error('Error sending route response:', err);
+    }
+    
+    window.close();
+  }
+  
+  moveBtn.addEventListener('click', () => respond(RuleActions.ASSIGN));
+  switchBtn.addEventListener('click', () => respond(RuleActions.SWITCH));
+  keepBtn.addEventListener('click', () => respond(null));
+  
+  document.addEventListener('keyup', (e) => {
+    if (e.key === 'Enter') {
+      respond(RuleActions.ASSIGN);
+    } else if (e.key === 'Escape') {
+      respond(null);
+    }
+  });
+  
+  try {
+    await initializeStore();
+    
+    const state = store.getState();
+    const rule = selectors.selectRules(state).find(rule => rule.id === ruleId);
+    const topic = rule && selectors.selectTopicById(state, rule.topicId);
+    const tab = await browser.tabs.get(tabId);
+    
+    if (!topic) {
+      window.close();
+      return;
+    }
+    
+    topicName.textContent = topic.name;
+    tabTitle.textContent = tab.title;
+    tabUrl.textContent = tab.url;
+  } catch (err) {
+    // The tab was closed before the user answered
+    console.error('Error loading tab for routing:', err);
+    window.close();
+  }
+});
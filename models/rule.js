@@ -0,0 +1,153 @@
+/**
+ * Rule model definition.
+ * Represents a routing rule that puts tabs with matching URLs into a topic.
+ */
+
+/**
+ * How the pattern of a rule is matched against a URL
+ * HOST matches a host glob with an optional path glob, e.g. "*.reddit.com" or "github.com/our-org/*".
+ */
+export const RulePatternTypes = {
+  HOST: 'host',
+  PREFIX: 'prefix',
+  REGEX: 'regex'
+};
+
+/**
+ * What happens to a tab that matches a rule
+ */
+export const RuleActions = {
+  ASSIGN: 'assign',
+  SWITCH: 'switch',
+  ASK: 'ask'
+};
+
+/**
+ * Create a new Rule object
+ * 
+ * @param {string} pattern - The pattern URLs are matched against
+ * @param {string} patternType - How the pattern is matched (RulePatternTypes)
+ * @param {string} topicId - The ID of the topic matching tabs belong to
+ * @param {string} action - What happens to matching tabs (RuleActions)
+ * @param {string} [id] - Optional ID (generated if not provided)
+ * @returns {Object} A new Rule object
+ */
+export function createRule(pattern, patternType, topicId, action, id = null) {
+  return {
+    id: id || 'rule_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+    pattern: pattern,
+    patternType: patternType,
+    topicId: topicId,
+    action: action,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Validate a rule object
+ * 
+ * @param {Object} rule - The rule object to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateRule(rule) {
+  if (!rule) {
+    throw new Error('Rule cannot be null or undefined');
+  }
+  
+  if (!rule.id) {
+    throw new Error('Rule must have an ID');
+  }
+  
+  if (!rule.pattern || typeof rule.pattern !== 'string' || rule.pattern.trim() === '') {
+    throw new Error('Rule must have a non-empty pattern');
+  }
+  
+  if (!Object.values(RulePatternTypes).includes(rule.patternType)) {
+    throw new Error('Rule must have a valid pattern type');
+  }
+  
+  if (rule.patternType === RulePatternTypes.REGEX) {
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      throw new Error('Rule pattern is not a valid regular expression');
+    }
+  }
+  
+  if (!rule.topicId) {
+    throw new Error('Rule must have a target topic');
+  }
+  
+  if (!Object.values(RuleActions).includes(rule.action)) {
+    throw new Error('Rule must have a valid action');
+  }
+  
+  return true;
+}
+
+/**
+ * Turn a glob with "*" wildcards into a regular expression source
+ * 
+ * @param {string} glob - Glob pattern
+ * @returns {string} Regular expression source
+ */
+function globToRegexSource(glob) {
+  return glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+}
+
+/**
+ * Check if a URL matches a host glob with an optional path glob.
+ * A leading "*." also matches the domain itself, like in WebExtension match patterns.
+ * 
+ * @param {string} pattern - Host glob, e.g. "*.reddit.com" or "github.com/our-org/*"
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if the URL matches
+ */
+function matchesHostPattern(pattern, url) {
+  const slashIndex = pattern.indexOf('/');
+  const hostGlob = (slashIndex === -1 ? pattern : pattern.substring(0, slashIndex)).toLowerCase();
+  const pathGlob = slashIndex === -1 ? null : pattern.substring(slashIndex);
+  
+  const hostSource = hostGlob.startsWith('*.')
+    ? `(.*\\.)?${globToRegexSource(hostGlob.substring(2))}`
+    : globToRegexSource(hostGlob);
+  
+  if (!new RegExp(`^${hostSource}$`).test(url.hostname)) {
+    return false;
+  }
+  
+  return pathGlob === null || new RegExp(`^${globToRegexSource(pathGlob)}$`).test(url.pathname);
+}
+
+/**
+ * Check if a URL matches a rule
+ * 
+ * @param {Object} rule - Rule object
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL matches the rule's pattern
+ */
+export function matchesRule(rule, url) {
+  try {
+    switch (rule.patternType) {
+      case RulePatternTypes.HOST:
+        return matchesHostPattern(rule.pattern, new URL(url));
+      
+      case RulePatternTypes.PREFIX:
+        return url.startsWith(rule.pattern);
+      
+      case RulePatternTypes.REGEX:
+        return new RegExp(rule.pattern).test(url);
+      
+      default:
+        return false;
+    }
+  } catch (error) {
+    // Unparsable URLs and broken patterns never match
+    return false;
+  }
+}
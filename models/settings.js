@@ -0,0 +1,135 @@
+/**
+ * Settings model definition.
+ * Global extension settings, some of which topics can override.
+ */
+
+import {
+  HibernationModes,
+  StartPageModes,
+  StaleTabModes,
+  validateHibernationPolicy,
+  validateStartPage,
+  validateStaleTabPolicy
+} from './topic.js';
+
+/**
+ * What happens to the topic of a tab that is moved to another window
+ */
+export const AttachedTabRules = {
+  KEEP_TOPIC: 'keepTopic',
+  ADOPT_WINDOW_TOPIC: 'adoptWindowTopic'
+};
+
+/**
+ * Default settings
+ */
+export const DEFAULT_SETTINGS = {
+  hibernation: {
+    mode: HibernationModes.NEVER,
+    delayMinutes: 30
+  },
+  startPage: {
+    mode: StartPageModes.NONE,
+    urls: []
+  },
+  staleTabs: {
+    mode: StaleTabModes.OFF,
+    days: 14
+  },
+  attachedTabs: AttachedTabRules.KEEP_TOPIC,
+  pinnedTabsGlobal: true,
+  switchToExistingTab: false,
+  autoCreateContainers: false,
+  showSubtopicTabs: false,
+  showTopicBadge: false,
+  trashRetentionDays: 30
+};
+
+/**
+ * Create a complete settings object, filling in defaults for missing values
+ * 
+ * @param {Object} [settings] - Stored or partial settings
+ * @returns {Object} A new Settings object
+ */
+export function createSettings(settings = {}) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    hibernation: {
+      ...DEFAULT_SETTINGS.hibernation,
+      ...(settings.hibernation || {})
+    },
+    startPage: {
+      ...DEFAULT_SETTINGS.startPage,
+      ...(settings.startPage || {})
+    },
+    staleTabs: {
+      ...DEFAULT_SETTINGS.staleTabs,
+      ...(settings.staleTabs || {})
+    }
+  };
+}
+
+/**
+ * Validate a settings object
+ * 
+ * @param {Object} settings - The settings object to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateSettings(settings) {
+  if (!settings) {
+    throw new Error('Settings cannot be null or undefined');
+  }
+  
+  // The global settings are the fallback, so they can't inherit from anything
+  if (settings.hibernation.mode === HibernationModes.INHERIT) {
+    throw new Error('Global hibernation policy cannot inherit');
+  }
+  
+  if (settings.startPage.mode === StartPageModes.INHERIT) {
+    throw new Error('Global start page cannot inherit');
+  }
+  
+  if (settings.staleTabs && settings.staleTabs.mode === StaleTabModes.INHERIT) {
+    throw new Error('Global stale tab policy cannot inherit');
+  }
+  
+  validateHibernationPolicy(settings.hibernation);
+  validateStartPage(settings.startPage);
+  if (settings.staleTabs) {
+    validateStaleTabPolicy(settings.staleTabs);
+  }
+  
+  if (settings.attachedTabs !== undefined && 
+      !Object.values(AttachedTabRules).includes(settings.attachedTabs)) {
+    throw new Error('Invalid rule for tabs moved to another window');
+  }
+  
+  if (settings.pinnedTabsGlobal !== undefined && typeof settings.pinnedTabsGlobal !== 'boolean') {
+    throw new Error('Global pinned tabs setting must be true or false');
+  }
+  
+  if (settings.switchToExistingTab !== undefined && typeof settings.switchToExistingTab !== 'boolean') {
+    throw new Error('Switch to existing tab setting must be true or false');
+  }
+  
+  if (settings.autoCreateContainers !== undefined && typeof settings.autoCreateContainers !== 'boolean') {
+    throw new Error('Container per topic setting must be true or false');
+  }
+  
+  if (settings.showSubtopicTabs !== undefined && typeof settings.showSubtopicTabs !== 'boolean') {
+    throw new Error('Sub-topic tabs setting must be true or false');
+  }
+  
+  if (settings.showTopicBadge !== undefined && typeof settings.showTopicBadge !== 'boolean') {
+    throw new Error('Topic badge setting must be true or false');
+  }
+  
+  if (settings.trashRetentionDays !== undefined &&
+      (!Number.isFinite(settings.trashRetentionDays) || settings.trashRetentionDays < 1)) {
+    throw new Error('Deleted items must be kept in the trash for at least one day');
+  }
+  
+  return true;
+}
@@ -1,8 +1,100 @@
 /**
  * Topic model definition.
  * Represents a collection of related tabs and bookmarks.
+ * Topics can be nested, a sub-topic keeps the ID of its parent as parentId.
+ * Archived topics are hidden from the topic list, but keep their categories and bookmarks.
+ * A color and an icon (built-in or emoji) help telling topics apart.
  */
 
+/**
+ * Hibernation modes for hidden tabs
+ * A topic without a hibernation policy uses the global setting (INHERIT).
+ */
+export const HibernationModes = {
+  INHERIT: 'inherit',
+  IMMEDIATE: 'immediate',
+  DELAYED: 'delayed',
+  NEVER: 'never'
+};
+
+/**
+ * What to open when switching to a topic without tabs
+ * A topic without a start page uses the global setting (INHERIT).
+ * NONE opens no page for the topic, so only its bookmarks are shown.
+ */
+export const StartPageModes = {
+  INHERIT: 'inherit',
+  URLS: 'urls',
+  NONE: 'none'
+};
+
+/**
+ * What happens to tabs that weren't used for longer than the stale tab threshold
+ * A topic without a stale tab policy uses the global setting (INHERIT).
+ * ARCHIVE notifies about the tabs and, once confirmed, saves them as bookmarks of the topic and closes them.
+ * FLAG only lists them for review.
+ */
+export const StaleTabModes = {
+  INHERIT: 'inherit',
+  ARCHIVE: 'archive',
+  FLAG: 'flag',
+  OFF: 'off'
+};
+
+/**
+ * Pseudo topic ID of global tabs
+ * Tabs assigned to it (e.g. mail or chat) stay visible whichever topic a window shows.
+ */
+export const GLOBAL_TOPIC_ID = '__global__';
+
+/**
+ * Colors offered for topics
+ * The color marks the topic in the topic list, the popup and the toolbar badge.
+ */
+export const TOPIC_COLORS = [
+  { name: 'Red', value: '#e5484d' },
+  { name: 'Orange', value: '#f76b15' },
+  { name: 'Yellow', value: '#ffc53d' },
+  { name: 'Green', value: '#30a46c' },
+  { name: 'Teal', value: '#12a594' },
+  { name: 'Blue', value: '#0090ff' },
+  { name: 'Purple', value: '#8e4ec6' },
+  { name: 'Pink', value: '#d6409f' },
+  { name: 'Grey', value: '#8b8d98' }
+];
+
+/**
+ * Built-in topic icons, Font Awesome solid icon classes
+ * A topic icon is either one of these or an emoji.
+ */
+export const TOPIC_ICONS = [
+  { name: 'Work', value: 'fa-briefcase' },
+  { name: 'Home', value: 'fa-home' },
+  { name: 'Code', value: 'fa-code' },
+  { name: 'Reading', value: 'fa-book' },
+  { name: 'Research', value: 'fa-flask' },
+  { name: 'Learning', value: 'fa-graduation-cap' },
+  { name: 'Shopping', value: 'fa-shopping-cart' },
+  { name: 'Travel', value: 'fa-plane' },
+  { name: 'Money', value: 'fa-wallet' },
+  { name: 'Music', value: 'fa-music' },
+  { name: 'Games', value: 'fa-gamepad' },
+  { name: 'Favorite', value: 'fa-star' }
+];
+
+// Emoji are one or a few code points, ZWJ sequences like family emoji take up to 11 UTF-16 units
+const MAX_EMOJI_LENGTH = 16;
+
+/**
+ * Check if a topic icon is one of the built-in icons
+ * 
+ * @param {string} icon - Topic icon
+ * @returns {boolean} True for built-in icons, false for emoji
+ */
+export function isBuiltInTopicIcon(icon) {
+  return TOPIC_ICONS.some(builtIn => builtIn.value === icon);
+}
+
 /**
  * Create a new Topic object
  * 
@@ -39,5 +131,205 @@ export function validateTopic(topic) {
     throw new Error('Topic must have a non-empty name');
   }
   
+  // Parked topics keep snapshots of their closed tabs { url, title, favIconUrl, pinned }
+  if (topic.parkedTabs && !Array.isArray(topic.parkedTabs)) {
+    throw new Error('Parked tabs of a topic must be a list');
+  }
+  
+  // Tabs of a topic with a container open in it, the ID is the container's cookieStoreId
+  if (topic.containerId && typeof topic.containerId !== 'string') {
+    throw new Error('Container of a topic must be a cookie store ID');
+  }
+  
+  if (topic.parentId && typeof topic.parentId !== 'string') {
+    throw new Error('Parent of a topic must be a topic ID');
+  }
+  
+  if (topic.archivedAt && typeof topic.archivedAt !== 'number') {
+    throw new Error('Archive time of a topic must be a timestamp');
+  }
+  
+  if (topic.color) {
+    validateTopicColor(topic.color);
+  }
+  
+  if (topic.icon) {
+    validateTopicIcon(topic.icon);
+  }
+  
+  return true;
+}
+
+/**
+ * Validate a topic color
+ * 
+ * @param {string} color - Hex color like "#0090ff"
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateTopicColor(color) {
+  if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error('Topic color must be a hex color like #0090ff');
+  }
+  
+  return true;
+}
+
+/**
+ * Validate a topic icon
+ * 
+ * @param {string} icon - Built-in icon class or emoji
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateTopicIcon(icon) {
+  if (typeof icon !== 'string' || icon.trim() === '') {
+    throw new Error('Topic icon cannot be empty');
+  }
+  
+  if (isBuiltInTopicIcon(icon)) {
+    return true;
+  }
+  
+  // Anything else is shown as text, so it has to be a single emoji
+  const isEmoji = /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u.test(icon) && !/[\p{L}\s]/u.test(icon);
+  if (icon.length > MAX_EMOJI_LENGTH || !isEmoji) {
+    throw new Error('Topic icon must be a built-in icon or an emoji');
+  }
+  
+  return true;
+}
+
+/**
+ * Drop the color and icon of a topic if they aren't valid, e.g. in topics of an import file
+ * They end up in the markup of the topic lists, so they are never used unchecked.
+ * 
+ * @param {Object} topic - Topic
+ * @returns {Object} Copy of the topic without the invalid color or icon
+ */
+export function withValidAppearance(topic) {
+  const result = { ...topic };
+  
+  for (const [key, validate] of [['color', validateTopicColor], ['icon', validateTopicIcon]]) {
+    if (!topic[key]) continue;
+    try {
+      validate(topic[key]);
+    } catch (e) {
+      delete result[key];
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Validate moving a topic under another topic
+ * A topic can't be its own ancestor, so it can't move under itself or one of its sub-topics.
+ * 
+ * @param {Array} topics - All topics
+ * @param {string} topicId - ID of the topic that is moved
+ * @param {string|null} parentId - ID of the new parent, null for the top level
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateTopicParent(topics, topicId, parentId) {
+  if (!parentId) {
+    return true;
+  }
+  
+  const topicsById = new Map(topics.map(topic => [topic.id, topic]));
+  if (!topicsById.has(parentId)) {
+    throw new Error('Parent topic not found');
+  }
+  
+  // Walk up from the new parent, the visited set guards against cycles already in the data
+  const visited = new Set();
+  let ancestor = topicsById.get(parentId);
+  while (ancestor && !visited.has(ancestor.id)) {
+    if (ancestor.id === topicId) {
+      throw new Error("A topic can't be moved under itself or one of its sub-topics");
+    }
+    
+    visited.add(ancestor.id);
+    ancestor = topicsById.get(ancestor.parentId);
+  }
+  
+  return true;
+}
+
+/**
+ * Validate a hibernation policy
+ * 
+ * @param {Object} policy - Policy { mode, delayMinutes }
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateHibernationPolicy(policy) {
+  if (!policy || !Object.values(HibernationModes).includes(policy.mode)) {
+    throw new Error('Hibernation policy must have a valid mode');
+  }
+  
+  if (policy.mode === HibernationModes.DELAYED &&
+      (!Number.isFinite(policy.delayMinutes) || policy.delayMinutes < 1)) {
+    throw new Error('Hibernation delay must be at least one minute');
+  }
+  
+  return true;
+}
+
+/**
+ * Validate a stale tab policy
+ * 
+ * @param {Object} policy - Policy { mode, days }
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateStaleTabPolicy(policy) {
+  if (!policy || !Object.values(StaleTabModes).includes(policy.mode)) {
+    throw new Error('Stale tab policy must have a valid mode');
+  }
+  
+  if ((policy.mode === StaleTabModes.ARCHIVE || policy.mode === StaleTabModes.FLAG) &&
+      (!Number.isFinite(policy.days) || policy.days < 1)) {
+    throw new Error('Stale tab threshold must be at least one day');
+  }
+  
+  return true;
+}
+
+/**
+ * Validate a start page setting
+ * 
+ * @param {Object} startPage - Start page { mode, urls }
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateStartPage(startPage) {
+  if (!startPage || !Object.values(StartPageModes).includes(startPage.mode)) {
+    throw new Error('Start page must have a valid mode');
+  }
+  
+  if (startPage.mode !== StartPageModes.URLS) {
+    return true;
+  }
+  
+  if (!Array.isArray(startPage.urls) || startPage.urls.length === 0) {
+    throw new Error('Start page needs at least one URL');
+  }
+  
+  for (const url of startPage.urls) {
+    let protocol;
+    try {
+      protocol = new URL(url).protocol;
+    } catch (e) {
+      throw new Error(`Invalid start URL: ${url}`);
+    }
+    
+    // Extensions can't open privileged pages like about: or file: URLs
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`Start URLs must be web pages: ${url}`);
+    }
+  }
+  
   return true;
 }
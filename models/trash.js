@@ -0,0 +1,80 @@
+/**
+ * Trash model definition.
+ * Represents a deleted topic, category or bookmark that can still be restored.
+ * A trash item keeps everything that was deleted with it: a topic its sub-topics,
+ * categories, bookmarks and tab assignments, a category its bookmarks.
+ */
+
+/**
+ * What was deleted
+ */
+export const TrashItemTypes = {
+  TOPIC: 'topic',
+  CATEGORY: 'category',
+  BOOKMARK: 'bookmark'
+};
+
+/**
+ * Create a new Trash item
+ * Positions are kept with the deleted objects, so restoring puts them back in place.
+ * 
+ * @param {string} type - What was deleted (TrashItemTypes)
+ * @param {string} name - Name shown in the trash, e.g. the topic name
+ * @param {Object} content - Deleted objects
+ * @param {Array} [content.topics] - Array of { topic, index }
+ * @param {Array} [content.categories] - Array of { category, topicId, index }
+ * @param {Array} [content.bookmarks] - Array of { bookmark, categoryId, index }
+ * @param {Object} [content.tabAssignments] - Topic ID keyed by stable tab ID
+ * @param {Array} [content.movedTopicIds] - Sub-topics that moved up one level when their parent was deleted
+ * @returns {Object} A new Trash item
+ */
+export function createTrashItem(type, name, {
+  topics = [],
+  categories = [],
+  bookmarks = [],
+  tabAssignments = {},
+  movedTopicIds = []
+} = {}) {
+  return {
+    id: 'trash_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+    type,
+    name,
+    topics,
+    categories,
+    bookmarks,
+    tabAssignments,
+    movedTopicIds,
+    deletedAt: Date.now()
+  };
+}
+
+/**
+ * Validate a trash item
+ * 
+ * @param {Object} item - The trash item to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateTrashItem(item) {
+  if (!item) {
+    throw new Error('Trash item cannot be null or undefined');
+  }
+  
+  if (!item.id) {
+    throw new Error('Trash item must have an ID');
+  }
+  
+  if (!Object.values(TrashItemTypes).includes(item.type)) {
+    throw new Error('Trash item must have a valid type');
+  }
+  
+  if (!Array.isArray(item.topics) || !Array.isArray(item.categories) || !Array.isArray(item.bookmarks)) {
+    throw new Error('Trash item must list its deleted topics, categories and bookmarks');
+  }
+  
+  if (typeof item.deletedAt !== 'number') {
+    throw new Error('Trash item must have a deletion time');
+  }
+  
+  return true;
+}
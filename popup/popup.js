@@ -1,10 +1,170 @@
-// Einfaches Script für die Popup-Funktionalität
-document.addEventListener("DOMContentLoaded", function() {
-  // Button zum Öffnen der Sidebar
+/**
+ * Browser Action Popup
+ * 
+ * Quick switcher for topics: lists the topics with their icons and tab counts, filters them
+ * by fuzzy matching as you type, and switches the window to the picked topic.
+ * It reads the state like the sidebar does, so both show the same counts.
+ */
+
+import {
+  store,
+  selectors,
+  initializeStore,
+  MessageTypes,
+  sendMessage,
+  escapeHtml,
+  topicMarkerHtml,
+  fuzzyScore,
+  showNotification
+} from '../index.js';
+
+let windowId = null;
+let results = []; // Shown entries { topic, count, depth } or { create: name }
+let selectedIndex = 0;
+
+document.addEventListener("DOMContentLoaded", async function() {
+  const filterInput = document.getElementById("topic-filter");
   const openSidebarButton = document.getElementById("open-sidebar");
+  
   if (openSidebarButton) {
     openSidebarButton.addEventListener("click", function() {
       browser.sidebarAction.open();
     });
   }
-});
\ No newline at end of file
+  
+  try {
+    // The popup shows the topic of its window, like that window's sidebar
+    const currentWindow = await browser.windows.getCurrent();
+    windowId = currentWindow.id;
+    await initializeStore({ windowId });
+  } catch (error) {
+    console.error('Error loading topics:', error);
+    showNotification('Failed to load topics', 'error');
+  }
+  
+  filterInput.addEventListener("input", () => {
+    selectedIndex = 0;
+    renderResults(filterInput.value.trim());
+  });
+  
+  filterInput.addEventListener("keydown", (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      selectedIndex = (selectedIndex + step + results.length) % results.length;
+      updateSelection();
+    } else if (e.key === 'Enter' && results[selectedIndex]) {
+      e.preventDefault();
+      pickResult(results[selectedIndex]);
+    }
+  });
+  
+  renderResults('');
+  filterInput.focus();
+});
+
+/**
+ * Find the topics matching a query, best matches first
+ * Without a query all topics are listed in sidebar order, sub-topics below their parent.
+ * 
+ * @param {string} query - Typed text
+ * @returns {Array} Array of { topic, count, depth }
+ */
+function findTopics(query) {
+  const state = store.getState();
+  const counts = selectors.selectTabCountByTopic(state);
+  
+  const matches = selectors.selectTopicTree(state)
+    .map(({ topic, depth }, index) => ({
+      topic,
+      count: counts[topic.id] || 0,
+      depth: query ? 0 : depth,
+      index,
+      score: query ? fuzzyScore(query, topic.name) : 0
+    }))
+    .filter(match => match.score >= 0);
+  
+  matches.sort((a, b) => (b.score - a.score) || (a.index - b.index));
+  return matches.map(({ topic, count, depth }) => ({ topic, count, depth }));
+}
+
+/**
+ * Render the topics matching a query
+ * 
+ * @param {string} query - Typed text
+ */
+function renderResults(query) {
+  const list = document.getElementById("topic-results");
+  const activeTopicId = store.getState().activeTopicId;
+  
+  results = findTopics(query);
+  if (results.length === 0 && query) {
+    results = [{ create: query }];
+  }
+  
+  if (results.length === 0) {
+    list.innerHTML = "<li class='empty-list'>No topics yet</li>";
+    return;
+  }
+  
+  list.innerHTML = results.map(result => {
+    if (result.create) {
+      return `<li class="topic-result create-topic">Create topic "${escapeHtml(result.create)}"</li>`;
+    }
+    
+    return `
+      <li class="topic-result${result.topic.id === activeTopicId ? ' active' : ''}" style="padding-left: ${8 + result.depth * 12}px">
+        <span class="topic-name">${topicMarkerHtml(result.topic)}${escapeHtml(result.topic.name)}</span>
+        <span class="tab-count">${result.count}</span>
+      </li>
+    `;
+  }).join('');
+  
+  list.querySelectorAll('.topic-result').forEach((item, index) => {
+    item.addEventListener('click', () => pickResult(results[index]));
+    item.addEventListener('mousemove', () => {
+      if (selectedIndex !== index) {
+        selectedIndex = index;
+        updateSelection();
+      }
+    });
+  });
+  
+  updateSelection();
+}
+
+/**
+ * Highlight the selected entry and keep it in view
+ */
+function updateSelection() {
+  document.querySelectorAll('#topic-results .topic-result').forEach((item, index) => {
+    item.classList.toggle('selected', index === selectedIndex);
+    if (index === selectedIndex) {
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  });
+}
+
+/**
+ * Switch the window to the picked topic, or create it, and close the popup
+ * 
+ * @param {Object} result - Picked entry
+ */
+async function pickResult(result) {
+  try {
+    const response = result.create
+      ? await sendMessage(MessageTypes.CREATE_TOPIC, { name: result.create, windowId })
+      : await sendMessage(MessageTypes.SWITCH_TOPIC, { topicId: result.topic.id, windowId });
+    
+    if (!response || !response.success) {
+      throw new Error(response && response.error ? response.error : 'No response from background');
+    }
+    
+    window.close();
+  } catch (error) {
+    console.error('Error switching topic:', error);
+    showNotification('Error switching topic', 'error');
+  }
+}
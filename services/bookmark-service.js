@@ -5,10 +5,15 @@
  */
 
 import { store, actions, selectors } from '../state/index.js';
-import { validateBookmark } from '../models/bookmark.js';
+import { validateBookmark, createBookmarkFromTab } from '../models/bookmark.js';
 import { MessageTypes, sendMessage } from '../background/messages.js';
+import { TrashService } from './trash-service.js';
 
 export class BookmarkService {
+  constructor() {
+    this.trashService = new TrashService();
+  }
+  
   /**
    * Get all bookmarks for a category
    * 
@@ -87,22 +92,37 @@ export class BookmarkService {
   
   /**
    * Delete a bookmark
+   * The bookmark goes to the trash, so it can be restored.
    * 
    * @param {string} categoryId - Category ID
    * @param {string} bookmarkId - Bookmark ID to delete
-   * @returns {boolean} Success status
+   * @returns {Promise<Object|null>} Trash item of the bookmark, null if the bookmark wasn't found
    */
   async deleteBookmark(categoryId, bookmarkId) {
     // Ensure bookmark exists
     const bookmark = this.getBookmarkById(categoryId, bookmarkId);
     if (!bookmark) {
-      return false;
+      return null;
     }
     
+    const trashItem = this.trashService.trashBookmark(categoryId, bookmarkId);
+    
     // Delete the bookmark
     store.dispatch(actions.deleteBookmark(bookmarkId, categoryId));
     
-    return true;
+    return trashItem;
+  }
+  
+  /**
+   * Create a bookmark from a tab
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {string} categoryId - Category ID
+   * @returns {Object} The created bookmark
+   */
+  async createBookmarkFromTab(tab, categoryId) {
+    const bookmark = createBookmarkFromTab(tab, categoryId);
+    return this.createBookmark(bookmark.title || bookmark.url, bookmark.url, categoryId);
   }
   
   /**
@@ -6,8 +6,13 @@
 
 import { store, actions, selectors } from '../state/index.js';
 import { validateCategory } from '../models/category.js';
+import { TrashService } from './trash-service.js';
 
 export class CategoryService {
+  constructor() {
+    this.trashService = new TrashService();
+  }
+  
   /**
    * Get all categories for a topic
    * 
@@ -69,22 +74,25 @@ export class CategoryService {
   
   /**
    * Delete a category
+   * The category goes to the trash with its bookmarks, so it can be restored.
    * 
    * @param {string} topicId - Topic ID
    * @param {string} categoryId - Category ID to delete
-   * @returns {boolean} Success status
+   * @returns {Promise<Object|null>} Trash item of the category, null if the category wasn't found
    */
   async deleteCategory(topicId, categoryId) {
     // Ensure category exists
     const category = this.getCategoryById(topicId, categoryId);
     if (!category) {
-      return false;
+      return null;
     }
     
+    const trashItem = this.trashService.trashCategory(topicId, categoryId);
+    
     // Delete the category (also handles related bookmarks via reducers)
     store.dispatch(actions.deleteCategory(categoryId, topicId));
     
-    return true;
+    return trashItem;
   }
   
   /**
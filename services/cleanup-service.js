@@ -0,0 +1,211 @@
+/**
+ * Cleanup Service
+ * 
+ * Looks for tabs that weren't used for longer than the stale tab threshold of their
+ * topic. The periodic check never closes anything: it reports the stale tabs, so the
+ * sidebar can list them as a preview, and posts a notification when tabs of topics
+ * with the archive policy are ready to be archived. Tabs are only archived (saved as
+ * bookmarks in an "Archived tabs" category of the topic and closed) once the user
+ * confirms them in that preview.
+ */
+
+import { store, actions, selectors } from '../state/index.js';
+import { StaleTabModes, GLOBAL_TOPIC_ID } from '../models/topic.js';
+import { CategoryService } from './category-service.js';
+import { BookmarkService } from './bookmark-service.js';
+import { MessageTypes } from '../background/messages.js';
+
+// Alarm that looks for stale tabs
+const CLEANUP_ALARM = 'clean-up-stale-tabs';
+const CHECK_INTERVAL_MINUTES = 60;
+
+// Category of a topic that archived tabs are saved in
+export const ARCHIVE_CATEGORY_NAME = 'Archived tabs';
+
+// Notification about tabs that are ready to be archived, replaced by each check
+const NOTIFICATION_ID = 'stale-tabs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class CleanupService {
+  /**
+   * @param {Object} tabService - Background tab service, used to look up tab topics
+   */
+  constructor(tabService) {
+    this.tabService = tabService;
+    this.categoryService = new CategoryService();
+    this.bookmarkService = new BookmarkService();
+    this.notifiedTabIds = new Set(); // Tabs the last notification was about
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the CleanupService prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[CleanupService]", ...args);
+  }
+
+  /**
+   * Start the periodic check
+   */
+  async initialize() {
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    browser.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === CLEANUP_ALARM) {
+        this.cleanUpStaleTabs();
+      }
+    });
+    browser.alarms.create(CLEANUP_ALARM, { periodInMinutes: CHECK_INTERVAL_MINUTES });
+    
+    return true;
+  }
+
+  /**
+   * Find the stale tabs of all topics without changing anything (dry run)
+   * Active, pinned, audible and global tabs are never stale.
+   * 
+   * @returns {Promise<Array>} Array of { tabId, title, url, topicId, lastAccessed, mode }
+   */
+  async findStaleTabs() {
+    const staleTabs = [];
+    
+    try {
+      const state = store.getState();
+      const allTabs = await browser.tabs.query({ active: false, pinned: false, audible: false });
+      const now = Date.now();
+      
+      for (const tab of allTabs) {
+        if (!this.tabService.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabService.tabIdentifier.getStableTabId(tab);
+        const topicId = this.tabService.getAssignedTopicId(stableId);
+        if (!topicId || topicId === GLOBAL_TOPIC_ID) continue;
+        
+        const policy = selectors.selectStaleTabPolicy(state, topicId);
+        if (policy.mode === StaleTabModes.OFF) continue;
+        
+        if (now - tab.lastAccessed >= policy.days * DAY_MS) {
+          staleTabs.push({
+            tabId: tab.id,
+            title: tab.title,
+            url: tab.url,
+            topicId,
+            lastAccessed: tab.lastAccessed,
+            mode: policy.mode
+          });
+        }
+      }
+    } catch (e) {
+      this.log(`[ERROR] findStaleTabs failed: ${e.message}`);
+    }
+    
+    return staleTabs;
+  }
+
+  /**
+   * Get the archive category of a topic, creating it if the topic has none
+   * 
+   * @param {string} topicId - Topic ID
+   * @returns {Promise<Object>} Category object
+   */
+  async getArchiveCategory(topicId) {
+    const category = this.categoryService.getCategories(topicId)
+      .find(existing => existing.name === ARCHIVE_CATEGORY_NAME);
+    
+    return category || this.categoryService.createCategory(ARCHIVE_CATEGORY_NAME, topicId);
+  }
+
+  /**
+   * Save tabs as bookmarks in the archive category of their topic and close them
+   * 
+   * @param {Array<number>} tabIds - Firefox tab IDs
+   * @returns {Promise<Object>} Status { success, archived, error }
+   */
+  async archiveTabs(tabIds) {
+    try {
+      const tabsToClose = [];
+      
+      for (const tabId of tabIds) {
+        const tab = await browser.tabs.get(tabId);
+        const stableId = await this.tabService.tabIdentifier.getStableTabId(tab);
+        const topicId = this.tabService.getAssignedTopicId(stableId);
+        if (!topicId || topicId === GLOBAL_TOPIC_ID) continue;
+        
+        const category = await this.getArchiveCategory(topicId);
+        await this.bookmarkService.createBookmark(tab.title || tab.url, tab.url, category.id);
+        
+        // Archived tabs are in the bookmarks, they aren't closed tabs of the topic
+        store.dispatch(actions.unassignTab(stableId));
+        tabsToClose.push(tab);
+      }
+      
+      if (tabsToClose.length > 0) {
+        await this.tabService.activateReplacementTabs(tabsToClose);
+        await browser.tabs.remove(tabsToClose.map(tab => tab.id));
+      }
+      
+      this.log(`Archived ${tabsToClose.length} tabs`);
+      return { success: true, archived: tabsToClose.length };
+    } catch (e) {
+      this.log(`[ERROR] archiveTabs failed: ${e.message}`);
+      return { success: false, archived: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Report the stale tabs without closing any
+   * Tabs of topics with the archive policy are announced in a notification, they are
+   * archived once the user confirms them in the sidebar's preview.
+   * 
+   * @returns {Promise<Object>} Status { archivable, flagged }
+   */
+  async cleanUpStaleTabs() {
+    const staleTabs = await this.findStaleTabs();
+    const tabsToArchive = staleTabs.filter(tab => tab.mode === StaleTabModes.ARCHIVE);
+    const archivable = tabsToArchive.length;
+    const flagged = staleTabs.length - archivable;
+    
+    await this.notifyArchivableTabs(tabsToArchive);
+    
+    // Open sidebars update their list of stale tabs
+    try {
+      await browser.runtime.sendMessage({ type: MessageTypes.STALE_TABS_UPDATED, archivable, flagged });
+    } catch (error) {
+      // No extension page is listening
+    }
+    
+    return { archivable, flagged };
+  }
+
+  /**
+   * Post a notification about tabs that are ready to be archived
+   * Only tabs that weren't in the last notification trigger a new one, so the same tabs
+   * aren't announced every hour.
+   * 
+   * @param {Array} tabsToArchive - Stale tabs of topics with the archive policy
+   */
+  async notifyArchivableTabs(tabsToArchive) {
+    const tabIds = new Set(tabsToArchive.map(tab => tab.tabId));
+    const hasNewTabs = [...tabIds].some(tabId => !this.notifiedTabIds.has(tabId));
+    this.notifiedTabIds = tabIds;
+    
+    if (!hasNewTabs || !browser.notifications) return;
+    
+    try {
+      await browser.notifications.create(NOTIFICATION_ID, {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title: 'Simple Topics',
+        message: `${tabIds.size} stale tabs are ready to be archived. Review them in the sidebar's stale tabs panel.`
+      });
+    } catch (e) {
+      this.log(`[WARNING] Could not post stale tabs notification: ${e.message}`);
+    }
+  }
+}
+
+export default CleanupService;
@@ -0,0 +1,180 @@
+/**
+ * Container Service
+ * 
+ * Binds topics to Firefox containers (contextual identities). A topic keeps the
+ * cookieStoreId of its container as containerId, the tab service opens the topic's
+ * tabs in it. Optionally the topic service gives every new topic a container of its own.
+ * Cookie store IDs differ between profiles, so exports describe containers by
+ * name, color and icon and imports look them up again.
+ */
+
+import { store, actions } from '../state/index.js';
+
+// Colors and icon of containers created for topics, the colors take turns
+const CONTAINER_COLORS = ['blue', 'turquoise', 'green', 'yellow', 'orange', 'red', 'pink', 'purple'];
+const CONTAINER_ICON = 'circle';
+
+export class ContainerService {
+  constructor() {
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the ContainerService prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[ContainerService]", ...args);
+  }
+
+  /**
+   * Check if containers are available
+   * They can be turned off in Firefox, the API then throws or returns false.
+   */
+  checkContainerAPI() {
+    return typeof browser.contextualIdentities !== 'undefined' &&
+      typeof browser.contextualIdentities.query === 'function';
+  }
+
+  /**
+   * Watch for removed containers
+   */
+  async initialize() {
+    if (!this.checkContainerAPI()) {
+      this.log("[ERROR] Contextual identities API not available");
+      return false;
+    }
+    
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    browser.contextualIdentities.onRemoved.addListener(({ contextualIdentity }) => {
+      this.handleContainerRemoved(contextualIdentity.cookieStoreId);
+    });
+    
+    return true;
+  }
+
+  /**
+   * Get all containers
+   * 
+   * @returns {Promise<Array>} Array of { cookieStoreId, name, color, icon }
+   */
+  async getContainers() {
+    try {
+      const containers = await browser.contextualIdentities.query({});
+      if (!Array.isArray(containers)) return [];
+      
+      return containers.map(({ cookieStoreId, name, color, icon }) => ({ cookieStoreId, name, color, icon }));
+    } catch (e) {
+      this.log(`[ERROR] getContainers failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Create a container for a topic
+   * The topic isn't bound here, the caller saves the container with its other changes.
+   * 
+   * @param {string} name - Container name, usually the topic name
+   * @returns {Promise<Object>} Status { success, containerId, error }
+   */
+  async createContainer(name) {
+    try {
+      const containers = await this.getContainers();
+      const container = await browser.contextualIdentities.create({
+        name,
+        color: CONTAINER_COLORS[containers.length % CONTAINER_COLORS.length],
+        icon: CONTAINER_ICON
+      });
+      
+      this.log(`Created container ${container.cookieStoreId} (${name})`);
+      return { success: true, containerId: container.cookieStoreId };
+    } catch (e) {
+      this.log(`[ERROR] createContainer failed: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Unbind the topics of a removed container, their tabs open without one again
+   * 
+   * @param {string} cookieStoreId - Cookie store ID of the removed container
+   */
+  handleContainerRemoved(cookieStoreId) {
+    const topics = store.getState().topics.filter(topic => topic.containerId === cookieStoreId);
+    
+    for (const topic of topics) {
+      this.log(`Container ${cookieStoreId} was removed, unbinding topic ${topic.id}`);
+      store.dispatch(actions.updateTopic(topic.id, { containerId: null }));
+    }
+  }
+
+  /**
+   * Describe the containers of the topics for an export file
+   * 
+   * @returns {Promise<Array>} Array of { topicId, name, color, icon }
+   */
+  async getContainersForExport() {
+    const containers = await this.getContainers();
+    const exported = [];
+    
+    for (const topic of store.getState().topics) {
+      const container = topic.containerId && containers.find(c => c.cookieStoreId === topic.containerId);
+      if (container) {
+        exported.push({ topicId: topic.id, name: container.name, color: container.color, icon: container.icon });
+      }
+    }
+    
+    return exported;
+  }
+
+  /**
+   * Bind imported topics to containers of this profile
+   * Containers are matched by name and created if there is none with that name.
+   * Topics whose container doesn't exist here are unbound.
+   * 
+   * @param {Array} importedContainers - Array of { topicId, name, color, icon }
+   * @returns {Promise<number>} Number of topics bound to a container
+   */
+  async importContainers(importedContainers) {
+    const containers = await this.getContainers();
+    const entries = new Map((importedContainers || []).map(entry => [entry.topicId, entry]));
+    let bound = 0;
+    
+    for (const topic of store.getState().topics) {
+      const entry = entries.get(topic.id);
+      
+      if (!entry) {
+        // Cookie store IDs of another profile point to other containers or none
+        if (topic.containerId && !containers.some(c => c.cookieStoreId === topic.containerId)) {
+          store.dispatch(actions.updateTopic(topic.id, { containerId: null }));
+        }
+        continue;
+      }
+      
+      try {
+        let container = containers.find(c => c.name === entry.name);
+        if (!container) {
+          container = await browser.contextualIdentities.create({
+            name: entry.name,
+            color: entry.color || CONTAINER_COLORS[0],
+            icon: entry.icon || CONTAINER_ICON
+          });
+          containers.push(container);
+        }
+        
+        store.dispatch(actions.updateTopic(topic.id, { containerId: container.cookieStoreId }));
+        bound++;
+      } catch (e) {
+        this.log(`[ERROR] Could not import container ${entry.name}: ${e.message}`);
+        store.dispatch(actions.updateTopic(topic.id, { containerId: null }));
+      }
+    }
+    
+    this.log(`Bound ${bound} imported topics to containers`);
+    return bound;
+  }
+}
+
+export default ContainerService;
@@ -0,0 +1,241 @@
+/**
+ * Duplicate Service
+ * 
+ * Finds open tabs that show the same page, within one topic or across topics,
+ * and resolves them by closing the extra copies or gathering them in one topic.
+ * URLs are compared by the tab identifier's normalized URL pattern, keeping the
+ * query and the hash: they often tell pages apart (e.g. ?id=1 or #/inbox), only
+ * tracking parameters and trailing slashes don't make tabs look different.
+ * Optionally a new tab whose page is already open in its topic is closed in
+ * favor of the open one.
+ */
+
+import { store, selectors } from '../state/index.js';
+import { GLOBAL_TOPIC_ID } from '../models/topic.js';
+
+/**
+ * How a group of duplicate tabs is resolved
+ * CLOSE_IN_TOPIC only touches the copies in one topic, CONSOLIDATE keeps a single
+ * tab and moves it to the given topic.
+ */
+export const DuplicateActions = {
+  CLOSE_IN_TOPIC: 'closeInTopic',
+  KEEP_ONE_PER_TOPIC: 'keepOnePerTopic',
+  CONSOLIDATE: 'consolidate'
+};
+
+export class DuplicateService {
+  /**
+   * @param {Object} tabService - Background tab service, used to look up and move tab topics
+   */
+  constructor(tabService) {
+    this.tabService = tabService;
+    this.newTabIds = new Set(); // Tabs that haven't loaded their first page yet
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the DuplicateService prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[DuplicateService]", ...args);
+  }
+
+  /**
+   * Watch new tabs for pages that are already open in their topic
+   */
+  async initialize() {
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    // Restored tabs are created with their page already set, only blank new tabs are watched
+    browser.tabs.onCreated.addListener((tab) => {
+      if (!this.tabService.isRegularTab(tab.url)) {
+        this.newTabIds.add(tab.id);
+      }
+    });
+    browser.tabs.onRemoved.addListener((tabId) => this.newTabIds.delete(tabId));
+    browser.tabs.onUpdated.addListener(
+      (tabId, changeInfo, tab) => this.handleTabUpdated(tabId, changeInfo, tab),
+      { properties: ['url'] }
+    );
+    
+    return true;
+  }
+
+  /**
+   * Normalize a URL for comparing pages
+   * 
+   * @param {string} url - Tab URL
+   * @returns {string} Normalized URL
+   */
+  normalizeUrl(url) {
+    return this.tabService.tabIdentifier.getNormalizedUrlPattern(url, { keepQueryAndHash: true });
+  }
+
+  /**
+   * Get the tab a group of duplicates keeps: the active one, otherwise the most recently used
+   * 
+   * @param {Array} tabs - Duplicate tabs
+   * @returns {Object} Tab to keep
+   */
+  pickTabToKeep(tabs) {
+    return [...tabs].sort((a, b) => (b.active - a.active) || (b.lastAccessed - a.lastAccessed))[0];
+  }
+
+  /**
+   * Find groups of open tabs that show the same page
+   * 
+   * @param {string} [urlPattern] - Only return the group of this normalized URL
+   * @returns {Promise<Array>} Array of { urlPattern, title, tabs } with at least two tabs each,
+   *                           tabs are { tabId, windowId, title, url, active, lastAccessed, topicId }
+   */
+  async findDuplicates(urlPattern = null) {
+    const groups = new Map();
+    
+    try {
+      const allTabs = await browser.tabs.query({});
+      
+      for (const tab of allTabs) {
+        if (!this.tabService.isRegularTab(tab.url)) continue;
+        
+        const tabPattern = this.normalizeUrl(tab.url);
+        if (urlPattern && tabPattern !== urlPattern) continue;
+        
+        if (!groups.has(tabPattern)) {
+          groups.set(tabPattern, []);
+        }
+        groups.get(tabPattern).push(tab);
+      }
+      
+      const duplicates = [];
+      for (const [pattern, tabs] of groups) {
+        if (tabs.length < 2) continue;
+        
+        const describedTabs = [];
+        for (const tab of tabs) {
+          const stableId = await this.tabService.tabIdentifier.getStableTabId(tab);
+          describedTabs.push({
+            tabId: tab.id,
+            windowId: tab.windowId,
+            title: tab.title,
+            url: tab.url,
+            active: tab.active,
+            lastAccessed: tab.lastAccessed,
+            topicId: this.tabService.getAssignedTopicId(stableId)
+          });
+        }
+        
+        duplicates.push({
+          urlPattern: pattern,
+          title: this.pickTabToKeep(describedTabs).title,
+          tabs: describedTabs
+        });
+      }
+      
+      return duplicates;
+    } catch (e) {
+      this.log(`[ERROR] findDuplicates failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Resolve a group of duplicate tabs
+   * 
+   * @param {string} urlPattern - Normalized URL of the group
+   * @param {string} action - How to resolve the group (DuplicateActions)
+   * @param {string} [topicId] - Topic for CLOSE_IN_TOPIC and CONSOLIDATE
+   * @returns {Promise<Object>} Status { success, closed, error }
+   */
+  async resolveDuplicates(urlPattern, action, topicId = null) {
+    try {
+      const [group] = await this.findDuplicates(urlPattern);
+      if (!group) {
+        return { success: true, closed: 0 };
+      }
+      
+      let tabsToClose = [];
+      
+      if (action === DuplicateActions.CONSOLIDATE) {
+        if (!selectors.selectTopicById(store.getState(), topicId)) {
+          return { success: false, closed: 0, error: `Topic ${topicId} not found` };
+        }
+        
+        const tabToKeep = this.pickTabToKeep(group.tabs);
+        tabsToClose = group.tabs.filter(tab => tab !== tabToKeep);
+        
+        if (tabToKeep.topicId !== topicId) {
+          await this.tabService.moveTabsToTopic([tabToKeep.tabId], topicId);
+        }
+      } else if (action === DuplicateActions.KEEP_ONE_PER_TOPIC || action === DuplicateActions.CLOSE_IN_TOPIC) {
+        const tabsByTopic = new Map();
+        for (const tab of group.tabs) {
+          if (action === DuplicateActions.CLOSE_IN_TOPIC && tab.topicId !== topicId) continue;
+          
+          if (!tabsByTopic.has(tab.topicId)) {
+            tabsByTopic.set(tab.topicId, []);
+          }
+          tabsByTopic.get(tab.topicId).push(tab);
+        }
+        
+        for (const topicTabs of tabsByTopic.values()) {
+          const tabToKeep = this.pickTabToKeep(topicTabs);
+          tabsToClose.push(...topicTabs.filter(tab => tab !== tabToKeep));
+        }
+      } else {
+        return { success: false, closed: 0, error: `Unknown action ${action}` };
+      }
+      
+      if (tabsToClose.length > 0) {
+        await browser.tabs.remove(tabsToClose.map(tab => tab.tabId));
+      }
+      
+      this.log(`Resolved duplicates of ${urlPattern} (${action}), closed ${tabsToClose.length} tabs`);
+      return { success: true, closed: tabsToClose.length };
+    } catch (e) {
+      this.log(`[ERROR] resolveDuplicates failed: ${e.message}`);
+      return { success: false, closed: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Switch to the open tab instead if a new tab loads a page that is already open in its topic
+   */
+  async handleTabUpdated(tabId, changeInfo, tab) {
+    if (!this.newTabIds.has(tabId) || !this.tabService.isRegularTab(changeInfo.url)) return;
+    this.newTabIds.delete(tabId);
+    
+    if (!selectors.selectSettings(store.getState()).switchToExistingTab) return;
+    
+    // New tabs join the topic of their window, which may not be recorded yet
+    const topicId = this.tabService.getWindowTopicId(tab.windowId);
+    if (!topicId) return;
+    
+    try {
+      const urlPattern = this.normalizeUrl(changeInfo.url);
+      const [group] = await this.findDuplicates(urlPattern);
+      if (!group) return;
+      
+      const existingTab = group.tabs.find(other =>
+        other.tabId !== tabId && (other.topicId === topicId || other.topicId === GLOBAL_TOPIC_ID)
+      );
+      if (!existingTab) return;
+      
+      this.log(`${changeInfo.url} is already open in topic ${topicId}, switching to tab ${existingTab.tabId}`);
+      await browser.tabs.update(existingTab.tabId, { active: true });
+      if (existingTab.windowId !== tab.windowId) {
+        await browser.windows.update(existingTab.windowId, { focused: true });
+      }
+      
+      // The new tab is gone for good, it isn't a closed tab of the topic
+      await this.tabService.removeTabsFromTopic([tabId], topicId);
+      await browser.tabs.remove(tabId);
+    } catch (e) {
+      this.log(`[ERROR] handleTabUpdated failed: ${e.message}`);
+    }
+  }
+}
+
+export default DuplicateService;
@@ -0,0 +1,193 @@
+/**
+ * Hibernation Service
+ * 
+ * Unloads hidden tabs with browser.tabs.discard to free memory, following the
+ * hibernation policy of each tab's topic or the global one. Discarded tabs stay
+ * in their topic and load again when they are selected.
+ */
+
+import { store, selectors } from '../state/index.js';
+import { HibernationModes } from '../models/topic.js';
+
+// Alarm that checks for hidden tabs whose hibernation delay has passed
+const HIBERNATION_ALARM = 'hibernate-hidden-tabs';
+const CHECK_INTERVAL_MINUTES = 1;
+
+export class HibernationService {
+  /**
+   * @param {Object} tabService - Background tab service, used to look up tab topics
+   */
+  constructor(tabService) {
+    this.tabService = tabService;
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the HibernationService prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[HibernationService]", ...args);
+  }
+
+  /**
+   * Start watching hidden tabs
+   */
+  async initialize() {
+    if (typeof browser.tabs.discard !== 'function') {
+      this.log("[ERROR] Tab discard API not available");
+      return false;
+    }
+    
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    // Tabs that get hidden may have to be unloaded right away
+    browser.tabs.onUpdated.addListener(
+      (tabId, changeInfo, tab) => this.handleTabUpdated(tabId, changeInfo, tab),
+      { properties: ['hidden'] }
+    );
+    
+    browser.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === HIBERNATION_ALARM) {
+        this.hibernateHiddenTabs();
+      }
+    });
+    browser.alarms.create(HIBERNATION_ALARM, { periodInMinutes: CHECK_INTERVAL_MINUTES });
+    
+    // Apply changed policies without waiting for the next alarm
+    this.unsubscribe = store.subscribe((state) => {
+      if (state.meta.lastChanged === 'settings' || state.meta.lastChanged === 'topics') {
+        this.hibernateHiddenTabs();
+      }
+    });
+    
+    await this.hibernateHiddenTabs();
+    return true;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Get the hibernation policy that applies to a tab
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @returns {Promise<Object>} Policy { mode, delayMinutes }
+   */
+  async getPolicyForTab(tab) {
+    const stableId = await this.tabService.tabIdentifier.getStableTabId(tab);
+    const topicId = this.tabService.getAssignedTopicId(stableId);
+    
+    return selectors.selectHibernationPolicy(store.getState(), topicId);
+  }
+
+  /**
+   * Check if a tab should be unloaded now
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {Object} policy - Hibernation policy of the tab
+   * @param {number} now - Current timestamp
+   * @returns {boolean} True if the tab should be discarded
+   */
+  shouldDiscard(tab, policy, now) {
+    // Only unload hidden tabs that aren't already unloaded or playing audio
+    if (!tab.hidden || tab.discarded || tab.active || tab.audible) {
+      return false;
+    }
+    
+    if (policy.mode === HibernationModes.IMMEDIATE) {
+      return true;
+    }
+    
+    if (policy.mode === HibernationModes.DELAYED) {
+      return now - tab.lastAccessed >= policy.delayMinutes * 60 * 1000;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Unload a tab as soon as it is hidden if its policy says so
+   */
+  async handleTabUpdated(tabId, changeInfo, tab) {
+    if (!changeInfo.hidden || !this.tabService.isRegularTab(tab.url)) return;
+    
+    try {
+      const policy = await this.getPolicyForTab(tab);
+      if (policy.mode === HibernationModes.IMMEDIATE && this.shouldDiscard(tab, policy, Date.now())) {
+        await browser.tabs.discard(tabId);
+        this.log(`Discarded tab ${tabId} right after hiding it`);
+      }
+    } catch (e) {
+      this.log(`[ERROR] handleTabUpdated failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Unload all hidden tabs whose policy allows it
+   * 
+   * @returns {Promise<number>} Number of discarded tabs
+   */
+  async hibernateHiddenTabs() {
+    try {
+      const hiddenTabs = await browser.tabs.query({ hidden: true, discarded: false });
+      const now = Date.now();
+      const tabsToDiscard = [];
+      
+      for (const tab of hiddenTabs) {
+        if (!this.tabService.isRegularTab(tab.url)) continue;
+        
+        const policy = await this.getPolicyForTab(tab);
+        if (this.shouldDiscard(tab, policy, now)) {
+          tabsToDiscard.push(tab.id);
+        }
+      }
+      
+      if (tabsToDiscard.length > 0) {
+        await browser.tabs.discard(tabsToDiscard);
+        this.log(`Discarded ${tabsToDiscard.length} hidden tabs`);
+      }
+      
+      return tabsToDiscard.length;
+    } catch (e) {
+      this.log(`[ERROR] hibernateHiddenTabs failed: ${e.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Count unloaded tabs per topic
+   * 
+   * @returns {Promise<Object>} - Unloaded tab counts keyed by topic ID
+   */
+  async getUnloadedTabCounts() {
+    const counts = {};
+    
+    try {
+      const discardedTabs = await browser.tabs.query({ discarded: true });
+      
+      for (const tab of discardedTabs) {
+        if (!this.tabService.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabService.tabIdentifier.getStableTabId(tab);
+        const topicId = this.tabService.getAssignedTopicId(stableId);
+        if (topicId) {
+          counts[topicId] = (counts[topicId] || 0) + 1;
+        }
+      }
+    } catch (e) {
+      this.log(`[ERROR] getUnloadedTabCounts failed: ${e.message}`);
+    }
+    
+    return counts;
+  }
+}
+
+export default HibernationService;
@@ -0,0 +1,88 @@
+/**
+ * Rule Service using the state management system.
+ * 
+ * Provides methods for working with the rules that route tabs to topics by URL.
+ * The rules are applied by the background tab service.
+ */
+
+import { store, actions, selectors } from '../state/index.js';
+import { createRule, validateRule } from '../models/rule.js';
+
+export class RuleService {
+  /**
+   * Get all rules in evaluation order
+   * 
+   * @returns {Array} Array of rule objects
+   */
+  getRules() {
+    return selectors.selectRules(store.getState());
+  }
+
+  /**
+   * Get a specific rule by ID
+   * 
+   * @param {string} ruleId - Rule ID
+   * @returns {Object|null} Rule object or null if not found
+   */
+  getRuleById(ruleId) {
+    return this.getRules().find(rule => rule.id === ruleId) || null;
+  }
+
+  /**
+   * Create a new rule
+   * New rules are evaluated after the existing ones.
+   * 
+   * @param {Object} ruleData - Rule properties { pattern, patternType, topicId, action }
+   * @returns {Object} The created rule
+   * @throws {Error} If the rule is invalid
+   */
+  async createRule({ pattern, patternType, topicId, action }) {
+    const rule = createRule(pattern.trim(), patternType, topicId, action);
+    validateRule(rule);
+    
+    if (!selectors.selectTopicById(store.getState(), topicId)) {
+      throw new Error('Target topic not found');
+    }
+    
+    store.dispatch(actions.addRule(rule));
+    return rule;
+  }
+
+  /**
+   * Update an existing rule
+   * 
+   * @param {string} ruleId - Rule ID to update
+   * @param {Object} updates - Properties to update
+   * @returns {Object|null} Updated rule or null if not found
+   * @throws {Error} If the updated rule is invalid
+   */
+  async updateRule(ruleId, updates) {
+    // Ensure rule exists
+    const rule = this.getRuleById(ruleId);
+    if (!rule) {
+      return null;
+    }
+    
+    validateRule({ ...rule, ...updates });
+    store.dispatch(actions.updateRule(ruleId, updates));
+    
+    return this.getRuleById(ruleId);
+  }
+
+  /**
+   * Delete a rule
+   * 
+   * @param {string} ruleId - Rule ID to delete
+   * @returns {boolean} Success status
+   */
+  async deleteRule(ruleId) {
+    if (!this.getRuleById(ruleId)) {
+      return false;
+    }
+    
+    store.dispatch(actions.deleteRule(ruleId));
+    return true;
+  }
+}
+
+export default RuleService;
@@ -7,6 +7,7 @@
  */
 
 import { store, actions, ActionTypes } from '../state/index.js';
+import { withValidAppearance } from '../models/topic.js';
 
 // Storage version for future-proofing data migrations
 const STORAGE_VERSION = 1;
@@ -237,7 +238,9 @@ export class StorageService {
         activeTopicId: state.activeTopicId,
         categorySets: state.categorySets,
         categories: state.categories,
-        bookmarks: state.bookmarks
+        bookmarks: state.bookmarks,
+        rules: state.rules,
+        settings: state.settings
       };
       
       return {
@@ -273,12 +276,7 @@ export class StorageService {
       
       // Import topics
       if (data.topics) {
-        store.dispatch(actions.setTopics({ topics: data.topics }));
-      }
-      
-      // Import active topic ID
-      if (data.activeTopicId) {
-        store.dispatch(actions.setActiveTopic({ topicId: data.activeTopicId }));
+        store.dispatch(actions.setTopics({ topics: data.topics.map(withValidAppearance) }));
       }
       
       // Import category sets
@@ -299,6 +297,21 @@ export class StorageService {
         }
       }
       
+      // Import rules
+      if (data.rules) {
+        store.dispatch(actions.setRules({ rules: data.rules }));
+      }
+      
+      // Import settings
+      if (data.settings) {
+        store.dispatch(actions.setSettings({ settings: data.settings }));
+      }
+      
+      // Finally, set active topic (which will trigger tab changes)
+      if (data.activeTopicId) {
+        store.dispatch(actions.setActiveTopic({ topicId: data.activeTopicId }));
+      }
+      
       return true;
     } catch (error) {
       console.error('Error importing data:', error);
@@ -321,6 +334,18 @@ export class StorageService {
       store.dispatch(actions.setActiveTopic({ topicId: data }));
     } else if (key === 'categorySets') {
       store.dispatch(actions.setCategorySets({ categorySets: data }));
+    } else if (key === 'tabAssignments') {
+      store.dispatch(actions.setTabAssignments({ tabAssignments: data }));
+    } else if (key === 'windowTopics') {
+      store.dispatch(actions.setWindowTopics({ windowTopics: data }));
+    } else if (key === 'rules') {
+      store.dispatch(actions.setRules({ rules: data }));
+    } else if (key === 'tabOrders') {
+      store.dispatch(actions.setTabOrders({ tabOrders: data }));
+    } else if (key === 'closedTabs') {
+      store.dispatch(actions.setClosedTabs({ closedTabs: data }));
+    } else if (key === 'settings') {
+      store.dispatch(actions.setSettings({ settings: data }));
     } else if (key.startsWith('categories_')) {
       const topicId = key.substring('categories_'.length);
       store.dispatch(actions.setCategories({ topicId, categories: data }));
@@ -344,6 +369,18 @@ export class StorageService {
       store.dispatch(actions.setActiveTopic({ topicId: null }));
     } else if (key === 'categorySets') {
       store.dispatch(actions.setCategorySets({ categorySets: this.defaultCategorySets }));
+    } else if (key === 'tabAssignments') {
+      store.dispatch(actions.setTabAssignments({ tabAssignments: {} }));
+    } else if (key === 'windowTopics') {
+      store.dispatch(actions.setWindowTopics({ windowTopics: {} }));
+    } else if (key === 'rules') {
+      store.dispatch(actions.setRules({ rules: [] }));
+    } else if (key === 'tabOrders') {
+      store.dispatch(actions.setTabOrders({ tabOrders: {} }));
+    } else if (key === 'closedTabs') {
+      store.dispatch(actions.setClosedTabs({ closedTabs: {} }));
+    } else if (key === 'settings') {
+      store.dispatch(actions.setSettings({ settings: {} }));
     } else if (key.startsWith('categories_')) {
       const topicId = key.substring('categories_'.length);
       store.dispatch(actions.setCategories({ topicId, categories: [] }));
@@ -0,0 +1,2096 @@
+/**
+ * Tab Service
+ * 
+ * Handles Firefox tab operations from the background script, so tab management keeps
+ * working while the sidebar is closed. It tracks which tabs belong to which topics and
+ * controls their visibility. Assignments live in the tabAssignments slice of the store.
+ * Other extension pages talk to it through MessageTypes messages.
+ * Tabs are tagged with a stable ID and their topic through session values, so assignments
+ * survive reloads, navigation and browser restarts.
+ * Each window shows its own topic. Windows are tagged with their topic the same way.
+ * Global tabs are assigned to the GLOBAL_TOPIC_ID pseudo topic and stay visible in every topic.
+ * New tabs of a topic bound to a container open in that container.
+ */
+
+import { store, actions, selectors } from '../state/index.js';
+import { TabIdentifier } from '../utils/tab-identifier.js';
+import { generateId } from '../utils/common.js';
+import { StartPageModes, GLOBAL_TOPIC_ID } from '../models/topic.js';
+import { AttachedTabRules } from '../models/settings.js';
+import { RuleActions } from '../models/rule.js';
+
+// Session value key of the topic shown in a window
+const WINDOW_TOPIC_KEY = 'topicId';
+
+// How often restoring a parked tab is tried before its snapshot is given up
+const MAX_PARKED_RESTORE_ATTEMPTS = 3;
+
+// How far the close time of a session entry may be from the one we recorded for the tab
+const SESSION_MATCH_TOLERANCE_MS = 10000;
+
+export class TabService {
+  constructor() {
+    this.pendingTabTopics = new Map(); // Maps new tab IDs to topic IDs until they load a regular URL
+    this.tabIdentifier = new TabIdentifier(); // Tab identifier for stable IDs
+    this.hasTabHideAPI = this.checkTabHideAPI();
+    this.DEBUG = true;
+    this.initialized = false;
+    this.lastActiveTopicId = null; // Global active topic that was last switched to
+    this.pendingSwitches = new Map(); // Maps window IDs to the topic switch in progress { topicId, promise }
+    this.previousWindowTopics = new Map(); // Maps window IDs to the topic they showed before the current one
+    this.subtopicView = undefined; // Serialized setting and topic parents that decide which sub-topic tabs are shown
+    this.routedTabs = new Map(); // Maps tab IDs to the routing rule that matched their URL last
+    this.tabDetails = new Map(); // Maps tab IDs to { url, title, favIconUrl, index }, closed tabs are described from it
+    
+    // Set up store subscription
+    this.unsubscribe = store.subscribe(this.handleStateChange.bind(this));
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Handle state changes from the store
+   * The active topic may also be changed by other extension pages through storage,
+   * that change applies to the focused window
+   */
+  handleStateChange(state) {
+    if (!this.initialized) return;
+    
+    // Showing sub-topic tabs depends on the setting and on which topics are nested where
+    if (state.meta.lastChanged === 'settings' || state.meta.lastChanged === 'topics') {
+      const subtopicView = JSON.stringify([
+        selectors.selectSettings(state).showSubtopicTabs,
+        state.topics.map(topic => `${topic.id}>${topic.parentId || ''}`).sort()
+      ]);
+      
+      if (this.subtopicView !== undefined && subtopicView !== this.subtopicView) {
+        this.enforceTabVisibility();
+      }
+      this.subtopicView = subtopicView;
+    }
+    
+    // Respond to changes in activeTopicId
+    if (state.activeTopicId && state.activeTopicId !== this.lastActiveTopicId) {
+      this.log(`Detected active topic change to: ${state.activeTopicId}`);
+      this.switchTopic(state.activeTopicId);
+    }
+  }
+
+  /**
+   * Get the topic shown in a window
+   * 
+   * @param {number} windowId - Firefox window ID
+   * @returns {string|null} Topic ID or null if there is no active topic
+   */
+  getWindowTopicId(windowId) {
+    return selectors.selectWindowTopicId(store.getState(), windowId);
+  }
+
+  /**
+   * Check if the tabs of a topic are shown in a window that shows another topic
+   * Global tabs are shown everywhere, tabs of sub-topics in their ancestors if the setting asks for it.
+   * 
+   * @param {string} tabTopicId - Topic of the tab
+   * @param {string} windowTopicId - Topic shown in the window
+   * @returns {boolean} True if the tab is shown
+   */
+  isShownInTopic(tabTopicId, windowTopicId) {
+    if (!tabTopicId || !windowTopicId) return false;
+    if (tabTopicId === windowTopicId || tabTopicId === GLOBAL_TOPIC_ID) return true;
+    
+    const state = store.getState();
+    return selectors.selectSettings(state).showSubtopicTabs &&
+      selectors.selectDescendantTopicIds(state, windowTopicId).includes(tabTopicId);
+  }
+
+  /**
+   * Get the topic a window showed before its current one
+   * 
+   * @param {number} windowId - Firefox window ID
+   * @returns {string|null} Topic ID or null if the window didn't switch topics yet
+   */
+  getPreviousWindowTopicId(windowId) {
+    const topic = selectors.selectTopicById(store.getState(), this.previousWindowTopics.get(windowId));
+    return topic && !topic.archived ? topic.id : null;
+  }
+
+  /**
+   * Set the topic shown in a window and tag the window with it
+   * 
+   * @param {number} windowId - Firefox window ID
+   * @param {string} topicId - Topic ID
+   */
+  async setWindowTopic(windowId, topicId) {
+    if (store.getState().windowTopics[windowId] !== topicId) {
+      store.dispatch(actions.setWindowTopic(windowId, topicId));
+    }
+    
+    try {
+      await browser.sessions.setWindowValue(windowId, WINDOW_TOPIC_KEY, topicId);
+    } catch (e) {
+      this.log(`[WARNING] Could not tag window ${windowId} with topic ${topicId}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Get the ID of the window the user last focused
+   * 
+   * @returns {Promise<number>} Firefox window ID
+   */
+  async getFocusedWindowId() {
+    const focusedWindow = await browser.windows.getLastFocused({ windowTypes: ['normal'] });
+    return focusedWindow.id;
+  }
+
+  /**
+   * Restore the topics of the open windows from their session values.
+   * Windows without a (valid) topic show the global active topic.
+   */
+  async restoreWindowTopics(topics, activeTopicId) {
+    const topicIds = new Set(topics.map(topic => topic.id));
+    const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+    const windowTopics = {};
+    
+    for (const window of windows) {
+      let topicId = null;
+      try {
+        topicId = await browser.sessions.getWindowValue(window.id, WINDOW_TOPIC_KEY);
+      } catch (e) {
+        this.log(`[WARNING] Could not read topic of window ${window.id}: ${e.message}`);
+      }
+      
+      if (!topicIds.has(topicId)) {
+        topicId = activeTopicId;
+      }
+      
+      if (topicId) {
+        windowTopics[window.id] = topicId;
+        await browser.sessions.setWindowValue(window.id, WINDOW_TOPIC_KEY, topicId);
+      }
+    }
+    
+    this.log(`Restored topics of ${Object.keys(windowTopics).length} windows`);
+    store.dispatch(actions.setWindowTopics({ windowTopics }));
+  }
+
+  /**
+   * Check if the tab hide API is available
+   */
+  checkTabHideAPI() {
+    try {
+      return typeof browser !== 'undefined' && 
+             browser.tabs && 
+             typeof browser.tabs.hide === 'function' &&
+             typeof browser.tabs.show === 'function';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if a tab is a regular browsing tab
+   */
+  isRegularTab(url) {
+    return url && 
+           !url.startsWith("about:") && 
+           !url.startsWith("chrome:") && 
+           !url.startsWith("moz-extension:") &&
+           url !== "about:blank";
+  }
+
+  /**
+   * Log a message with the TabService prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[TabService]", ...args);
+  }
+
+  /**
+   * Initialize the tab service
+   */
+  async initialize() {
+    if (!this.hasTabHideAPI) {
+      this.log("[ERROR] Tab Hide API not available");
+      return false;
+    }
+    
+    try {
+      this.log("Initializing tab service...");
+      
+      // Get current state
+      const state = store.getState();
+      const topics = state.topics;
+      const activeTopicId = state.activeTopicId;
+      
+      // Get all tabs
+      const allTabs = await browser.tabs.query({});
+      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
+      this.log(`Found ${regularTabs.length} regular tabs`);
+      regularTabs.forEach(tab => this.rememberTabDetails(tab));
+      
+      // Restore assignments from the topics the tabs are tagged with
+      await this.restoreTabAssignments(regularTabs, topics);
+      
+      // Restore the topic each window shows
+      await this.restoreWindowTopics(topics, activeTopicId);
+      
+      // Assign tabs to topics (only for tabs not yet assigned)
+      await this.assignInitialTabs(regularTabs, topics);
+      
+      // Enforce visibility based on the topic of each window
+      await this.enforceTabVisibility();
+      
+      // Setup event listeners
+      this.setupTabListeners();
+      
+      this.lastActiveTopicId = activeTopicId;
+      this.initialized = true;
+      
+      this.log(`Initialization complete, active topic: ${activeTopicId}`);
+      return true;
+    } catch (e) {
+      this.log(`[ERROR] Initialization failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Restore tab assignments for the open tabs.
+   * Topics tagged on the tabs win over saved assignments, and assignments of
+   * tabs that are no longer open or topics that no longer exist are dropped.
+   */
+  async restoreTabAssignments(regularTabs, topics) {
+    const topicIds = new Set([...topics.map(topic => topic.id), GLOBAL_TOPIC_ID]);
+    const sessionTopics = await this.tabIdentifier.restoreTabTopics(regularTabs);
+    const restoredAssignments = {};
+    
+    for (const tab of regularTabs) {
+      const stableId = await this.tabIdentifier.getStableTabId(tab);
+      const topicId = sessionTopics.get(stableId) || this.getAssignedTopicId(stableId);
+      
+      if (topicId && topicIds.has(topicId)) {
+        restoredAssignments[stableId] = topicId;
+        
+        // Tag tabs that were only known from saved assignments
+        if (!sessionTopics.has(stableId)) {
+          await this.tabIdentifier.setTabTopic(tab.id, topicId);
+        }
+      }
+    }
+    
+    this.log(`Restored ${Object.keys(restoredAssignments).length} tab assignments (${sessionTopics.size} from session values)`);
+    store.dispatch(actions.setTabAssignments({ tabAssignments: restoredAssignments }));
+  }
+
+  /**
+   * Get the topic a tab is assigned to
+   * 
+   * @param {string} stableId - Stable tab ID
+   * @returns {string|null} Topic ID or null if the tab is not assigned
+   */
+  getAssignedTopicId(stableId) {
+    return selectors.selectTopicIdForTab(store.getState(), stableId);
+  }
+
+  /**
+   * Check if a tab is global by default, which pinned tabs are unless the settings say otherwise
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @returns {boolean} True if the tab should join the global pseudo topic
+   */
+  isGlobalByDefault(tab) {
+    return tab.pinned && selectors.selectSettings(store.getState()).pinnedTabsGlobal;
+  }
+
+  /**
+   * Set the topic of a tab and tag the tab with it
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {string} topicId - Topic ID
+   * @returns {Promise<string>} Stable ID of the tab
+   */
+  async setTabTopic(tab, topicId) {
+    const stableId = await this.tabIdentifier.getStableTabId(tab);
+    
+    store.dispatch(actions.assignTab(stableId, topicId));
+    await this.tabIdentifier.setTabTopic(tab.id, topicId);
+    
+    return stableId;
+  }
+
+  /**
+   * Assign initial tabs to topics
+   * Unassigned tabs join the topic of their window.
+   */
+  async assignInitialTabs(regularTabs, topics) {
+    this.log(`Assigning initial tabs to topics`);
+    const assignedTabs = new Set();
+    
+    // Process all regular tabs
+    for (const tab of regularTabs) {
+      // Generate a stable ID for the tab
+      const stableId = await this.tabIdentifier.getStableTabId(tab);
+      
+      // If this stable ID isn't assigned to any topic yet
+      if (!this.getAssignedTopicId(stableId)) {
+        const windowTopicId = this.getWindowTopicId(tab.windowId);
+        
+        if (this.isGlobalByDefault(tab)) {
+          await this.setTabTopic(tab, GLOBAL_TOPIC_ID);
+          assignedTabs.add(stableId);
+          this.log(`Made pinned tab ${tab.id} (stable ID: ${stableId}) global`);
+        } else if (windowTopicId) {
+          // Assign to the topic of the window
+          await this.setTabTopic(tab, windowTopicId);
+          assignedTabs.add(stableId);
+          this.log(`Assigned tab ${tab.id} (stable ID: ${stableId}) to window topic ${windowTopicId}`);
+        } else if (topics.length > 0) {
+          // If no active topic but we have topics, assign to first topic
+          const firstTopicId = topics[0].id;
+          await this.setTabTopic(tab, firstTopicId);
+          assignedTabs.add(stableId);
+          this.log(`Assigned tab ${tab.id} (stable ID: ${stableId}) to first topic ${firstTopicId}`);
+        }
+      }
+    }
+    
+    // Log summary of tab assignments
+    this.logTabAssignments();
+  }
+
+  /**
+   * Enforce tab visibility based on the topic of each window
+   */
+  async enforceTabVisibility() {
+    try {
+      this.log(`Enforcing tab visibility for window topics`);
+      
+      const allTabs = await browser.tabs.query({});
+      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
+      
+      const tabsToShow = [];
+      const tabsToHide = [];
+      
+      // Categorize tabs
+      for (const tab of regularTabs) {
+        // Get the stable ID for this tab
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        
+        // Get the topic ID assigned to this stable ID
+        const tabTopicId = this.getAssignedTopicId(stableId);
+        const windowTopicId = this.getWindowTopicId(tab.windowId);
+        if (!windowTopicId) continue;
+        
+        // Global tabs are shown in every topic
+        if (this.isShownInTopic(tabTopicId, windowTopicId)) {
+          if (tab.hidden) {
+            tabsToShow.push(tab.id);
+          }
+        } else {
+          if (!tab.hidden) {
+            tabsToHide.push(tab.id);
+          }
+        }
+      }
+      
+      // First hide tabs that should be hidden
+      if (tabsToHide.length > 0) {
+        this.log(`Hiding ${tabsToHide.length} tabs not in their window's topic`);
+        await browser.tabs.hide(tabsToHide);
+      }
+      
+      // Then show tabs that should be visible
+      if (tabsToShow.length > 0) {
+        this.log(`Showing ${tabsToShow.length} tabs for their window's topic`);
+        await browser.tabs.show(tabsToShow);
+      }
+      
+      // Verify the results
+      await this.verifyTabVisibility();
+      
+      // Notify that tab visibility has changed
+      if (tabsToShow.length > 0 || tabsToHide.length > 0) {
+        try {
+          browser.runtime.sendMessage({ 
+            type: 'tabVisibilityChanged',
+            activeTopicId: store.getState().activeTopicId,
+            tabsShown: tabsToShow.length,
+            tabsHidden: tabsToHide.length
+          });
+        } catch (error) {
+          this.log(`[WARNING] Could not send tab visibility change message: ${error.message}`);
+        }
+      }
+    
+    } catch (e) {
+      this.log(`[ERROR] enforceTabVisibility failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Switch a window to a topic: make it the window's topic and show only its tabs there.
+   * The topic also becomes the global active topic, which new windows start with.
+   * Concurrent requests for the same topic and window share one switch.
+   * 
+   * @param {string} topicId - Topic ID to switch to
+   * @param {number} [windowId] - Window to switch, defaults to the focused window
+   * @returns {Promise<Object>} Switch status { success, topicId, windowId, tabsShown, tabsHidden, error }
+   */
+  async switchTopic(topicId, windowId = null) {
+    if (!topicId) {
+      return { success: false, topicId, error: 'No topic given' };
+    }
+    
+    const topic = selectors.selectTopicById(store.getState(), topicId);
+    if (!topic) {
+      return { success: false, topicId, error: 'Topic not found' };
+    }
+    
+    if (topic.archived) {
+      return { success: false, topicId, error: 'Topic is archived' };
+    }
+    
+    // Mark the topic as handled before dispatching, so our own store subscription ignores it
+    this.lastActiveTopicId = topicId;
+    
+    if (windowId === null || windowId === undefined) {
+      windowId = await this.getFocusedWindowId();
+    }
+    
+    const pendingSwitch = this.pendingSwitches.get(windowId);
+    if (pendingSwitch && pendingSwitch.topicId === topicId) {
+      return pendingSwitch.promise;
+    }
+    
+    // Remember how the topic we leave looked, so it can be restored on return
+    const previousTopicId = this.getWindowTopicId(windowId);
+    if (previousTopicId && previousTopicId !== topicId) {
+      this.previousWindowTopics.set(windowId, previousTopicId);
+      await this.saveTabOrder(previousTopicId, windowId);
+    }
+    
+    if (store.getState().activeTopicId !== topicId) {
+      store.dispatch(actions.setActiveTopic(topicId));
+    }
+    await this.setWindowTopic(windowId, topicId);
+    
+    const promise = this.handleTopicChange(topicId, windowId);
+    this.pendingSwitches.set(windowId, { topicId, promise });
+    
+    try {
+      return await promise;
+    } finally {
+      const currentSwitch = this.pendingSwitches.get(windowId);
+      if (currentSwitch && currentSwitch.promise === promise) {
+        this.pendingSwitches.delete(windowId);
+      }
+    }
+  }
+
+  /**
+   * Handle topic change in a window
+   * 
+   * @param {string} newTopicId - Topic ID to show tabs for
+   * @param {number} windowId - Window whose tabs are switched
+   * @returns {Promise<Object>} Switch status { success, topicId, windowId, tabsShown, tabsHidden, error }
+   */
+  async handleTopicChange(newTopicId, windowId) {
+    if (!this.hasTabHideAPI) {
+      return { success: false, topicId: newTopicId, windowId, error: 'Tab hiding API not available' };
+    }
+    
+    try {
+      this.log(`Switching window ${windowId} to topic ${newTopicId}`);
+      
+      // Bring back the tabs of a parked topic before looking at the window's tabs
+      await this.unparkTopic(newTopicId, windowId);
+      
+      // Get all tabs of the window
+      const allTabs = await browser.tabs.query({ windowId });
+      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
+      
+      // Determine which tabs to hide/show
+      const tabsToHide = [];
+      const tabsToShow = [];
+      const currentTopicTabs = [];
+      
+      for (const tab of regularTabs) {
+        // Get the stable ID for this tab
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        
+        // Get the topic ID assigned to this stable ID
+        const tabTopicId = this.getAssignedTopicId(stableId);
+        
+        // Global tabs stay visible whichever topic is shown
+        if (tabTopicId === GLOBAL_TOPIC_ID) continue;
+        
+        // If tab belongs to new topic (or one of its shown sub-topics) and is hidden, show it
+        if (this.isShownInTopic(tabTopicId, newTopicId)) {
+          currentTopicTabs.push(tab);
+          if (tab.hidden) {
+            tabsToShow.push(tab.id);
+          }
+        } 
+        // If tab doesn't belong to new topic and is visible, hide it
+        else if (!tab.hidden) {
+          tabsToHide.push(tab.id);
+        }
+      }
+      
+      // First hide tabs that should be hidden
+      if (tabsToHide.length > 0) {
+        this.log(`Hiding ${tabsToHide.length} tabs not in new topic`);
+        await browser.tabs.hide(tabsToHide);
+      }
+      
+      // Then show tabs for current topic
+      if (tabsToShow.length > 0) {
+        this.log(`Showing ${tabsToShow.length} tabs for new topic`);
+        await browser.tabs.show(tabsToShow);
+        
+        // Restore the tab order and activate the tab we were on
+        if (currentTopicTabs.length > 0) {
+          const tabToActivate = await this.restoreTabOrder(newTopicId, currentTopicTabs);
+          await browser.tabs.update(tabToActivate.id, { active: true });
+          this.log(`Activated tab ${tabToActivate.id}`);
+        }
+      } else if (currentTopicTabs.length === 0) {
+        // ONLY open the start page if topic has ZERO tabs
+        this.log(`Topic ${newTopicId} has no tabs visible, checking if it truly has no tabs...`);
+        
+        // Double check that this topic has no tabs at all before opening the start page
+        const allTopicTabs = await this.getTabsForTopic(newTopicId, windowId);
+        if (allTopicTabs.length === 0) {
+          this.log(`Confirmed topic ${newTopicId} has zero tabs, opening start page`);
+          await this.openStartTabs(newTopicId, windowId);
+        } else {
+          this.log(`Topic ${newTopicId} has ${allTopicTabs.length} tabs but none are visible, showing them`);
+          const tabIdsToShow = allTopicTabs.map(tab => tab.id);
+          await browser.tabs.show(tabIdsToShow);
+          
+          // Activate the one we were on
+          const tabToActivate = await this.restoreTabOrder(newTopicId, allTopicTabs);
+          await browser.tabs.update(tabToActivate.id, { active: true });
+        }
+      }
+      
+      // Verify final state
+      await this.verifyTabVisibility(windowId);
+      
+      // Notify that topic tabs have changed
+      try {
+        browser.runtime.sendMessage({ 
+          type: 'topicChanged',
+          topicId: newTopicId,
+          windowId,
+          tabsShown: tabsToShow.length,
+          tabsHidden: tabsToHide.length
+        });
+      } catch (error) {
+        this.log(`[WARNING] Could not send topic change message: ${error.message}`);
+      }
+      
+      return {
+        success: true,
+        topicId: newTopicId,
+        windowId,
+        tabsShown: tabsToShow.length,
+        tabsHidden: tabsToHide.length
+      };
+    } catch (e) {
+      this.log(`[ERROR] handleTopicChange failed: ${e.message}`);
+      return { success: false, topicId: newTopicId, windowId, error: e.message };
+    }
+  }
+
+  /**
+   * Remember the tab order and the active tab of a topic in a window
+   * Tabs are recorded by stable ID, so the order survives browser restarts.
+   * 
+   * @param {string} topicId - Topic ID
+   * @param {number} windowId - Window whose tabs are recorded
+   */
+  async saveTabOrder(topicId, windowId) {
+    try {
+      const windowTabs = await browser.tabs.query({ windowId });
+      const stableIds = [];
+      let activeStableId = null;
+      
+      // Query results are in strip order
+      for (const tab of windowTabs) {
+        if (!this.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        if (this.getAssignedTopicId(stableId) !== topicId) continue;
+        
+        stableIds.push(stableId);
+        if (tab.active) {
+          activeStableId = stableId;
+        }
+      }
+      
+      store.dispatch(actions.saveTabOrder(topicId, stableIds, activeStableId));
+      this.log(`Saved order of ${stableIds.length} tabs for topic ${topicId}`);
+    } catch (e) {
+      this.log(`[ERROR] saveTabOrder failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Move the tabs of a topic back into the order they had when the topic was left
+   * Tabs the saved order doesn't know (e.g. opened from another window) follow the known ones.
+   * 
+   * @param {string} topicId - Topic ID
+   * @param {Array} topicTabs - Firefox tab objects of the topic in one window, in strip order
+   * @returns {Promise<Object>} The tab to activate, the last active one if it is still open
+   */
+  async restoreTabOrder(topicId, topicTabs) {
+    const tabOrder = selectors.selectTabOrder(store.getState(), topicId);
+    if (!tabOrder) return topicTabs[0];
+    
+    const tabsByStableId = new Map();
+    for (const tab of topicTabs) {
+      tabsByStableId.set(await this.tabIdentifier.getStableTabId(tab), tab);
+    }
+    
+    const tabToActivate = tabsByStableId.get(tabOrder.activeStableId) || topicTabs[0];
+    
+    try {
+      // Pinned tabs can't be moved between unpinned ones
+      const movableTabs = topicTabs.filter(tab => !tab.pinned);
+      const knownTabs = tabOrder.stableIds
+        .map(stableId => tabsByStableId.get(stableId))
+        .filter(tab => tab && !tab.pinned);
+      const orderedTabs = [...knownTabs, ...movableTabs.filter(tab => !knownTabs.includes(tab))];
+      
+      if (orderedTabs.some((tab, index) => tab !== movableTabs[index])) {
+        // Move them as one block to where the topic's first tab is
+        const startIndex = Math.min(...movableTabs.map(tab => tab.index));
+        await browser.tabs.move(orderedTabs.map(tab => tab.id), { index: startIndex });
+        this.log(`Restored order of ${orderedTabs.length} tabs for topic ${topicId}`);
+      }
+    } catch (e) {
+      this.log(`[ERROR] restoreTabOrder failed: ${e.message}`);
+    }
+    
+    return tabToActivate;
+  }
+
+  /**
+   * Open the start page of a topic that has no tabs in a window
+   * Opens the start URLs of the topic (or the global ones) in order and activates the first.
+   * If the start page is NONE, only an empty new tab page is shown so the tabs of other
+   * topics can be hidden; it joins the topic once it loads a page.
+   * 
+   * @param {string} topicId - Topic ID
+   * @param {number} windowId - Window to open the start page in
+   * @returns {Promise<Array>} IDs of the tabs that were opened for the topic
+   */
+  async openStartTabs(topicId, windowId) {
+    try {
+      // Only open the start page if topic has zero tabs - double check
+      const allTabs = await browser.tabs.query({ windowId });
+      const tabsForThisTopic = [];
+      
+      for (const tab of allTabs) {
+        if (!this.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        if (this.getAssignedTopicId(stableId) === topicId) {
+          tabsForThisTopic.push(tab);
+        }
+      }
+      
+      // Don't open the start page if topic already has tabs
+      if (tabsForThisTopic.length > 0) {
+        this.log(`Topic ${topicId} already has ${tabsForThisTopic.length} tabs, skipping start page`);
+        return [];
+      }
+      
+      const startPage = selectors.selectStartPage(store.getState(), topicId);
+      
+      if (startPage.mode !== StartPageModes.URLS || startPage.urls.length === 0) {
+        // Reuse an empty new tab page that is already open, they are never hidden
+        const emptyTab = allTabs.find(tab => !tab.hidden && !this.isRegularTab(tab.url));
+        if (emptyTab) {
+          await browser.tabs.update(emptyTab.id, { active: true });
+        } else {
+          await browser.tabs.create({ windowId, active: true, ...this.getContainerOptions(topicId) });
+        }
+        
+        this.log(`Topic ${topicId} has no start URLs, showing its bookmarks only`);
+        return [];
+      }
+      
+      this.log(`Opening ${startPage.urls.length} start URLs for topic ${topicId}`);
+      
+      const tabIds = [];
+      for (const [index, url] of startPage.urls.entries()) {
+        const newTab = await browser.tabs.create({
+          url,
+          windowId,
+          active: index === 0,
+          ...this.getContainerOptions(topicId)
+        });
+        
+        // Reserve the topic before the tab listeners assign the tab
+        this.pendingTabTopics.set(newTab.id, topicId);
+        await this.assignTabToTopic(newTab, topicId);
+        tabIds.push(newTab.id);
+      }
+      
+      return tabIds;
+    } catch (e) {
+      this.log(`[ERROR] openStartTabs failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Close all tabs for a topic
+   */
+  async closeTabsForTopic(topicId) {
+    try {
+      // Find all tabs for this topic
+      const allTabs = await browser.tabs.query({});
+      const tabsToClose = [];
+      const stableIdsToRemove = [];
+      
+      for (const tab of allTabs) {
+        if (!this.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        if (this.getAssignedTopicId(stableId) === topicId) {
+          tabsToClose.push(tab);
+          stableIdsToRemove.push(stableId);
+        }
+      }
+      
+      if (tabsToClose.length > 0) {
+        this.log(`Closing ${tabsToClose.length} tabs for topic ${topicId}`);
+        
+        // Remove topic assignments for these tabs
+        for (const stableId of stableIdsToRemove) {
+          store.dispatch(actions.unassignTab(stableId));
+        }
+        
+        // Close the tabs, windows that show the topic keep an empty tab
+        await this.activateReplacementTabs(tabsToClose);
+        await browser.tabs.remove(tabsToClose.map(tab => tab.id));
+        
+        // Notify that tabs were removed for this topic
+        try {
+          browser.runtime.sendMessage({ 
+            type: 'topicTabsClosed',
+            topicId,
+            tabCount: tabsToClose.length
+          });
+        } catch (error) {
+          this.log(`[WARNING] Could not send topic tabs closed message: ${error.message}`);
+        }
+      }
+      
+      return true;
+    } catch (e) {
+      this.log(`[ERROR] closeTabsForTopic failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Park a topic: store snapshots of its tabs in the topic and close them
+   * The tabs come back unloaded the next time a window switches to the topic.
+   * 
+   * @param {string} topicId - Topic ID to park
+   * @returns {Promise<Object>} Status { success, parked, error }
+   */
+  async parkTopic(topicId) {
+    const topic = selectors.selectTopicById(store.getState(), topicId);
+    if (!topic) {
+      return { success: false, parked: 0, error: `Topic ${topicId} not found` };
+    }
+    
+    try {
+      // Query results are in strip order, window by window
+      const topicTabs = await this.getTabsForTopic(topicId);
+      if (topicTabs.length === 0) {
+        return { success: true, parked: 0 };
+      }
+      
+      const snapshots = topicTabs.map(tab => ({
+        url: tab.url,
+        title: tab.title,
+        favIconUrl: tab.favIconUrl || null,
+        pinned: tab.pinned
+      }));
+      
+      // Tabs parked earlier (e.g. before new tabs were opened in the topic) stay in front
+      store.dispatch(actions.updateTopic(topicId, {
+        parkedTabs: [...(topic.parkedTabs || []), ...snapshots]
+      }));
+      
+      // Unassign the tabs first, so they don't show up as closed tabs of the topic
+      for (const tab of topicTabs) {
+        store.dispatch(actions.unassignTab(await this.tabIdentifier.getStableTabId(tab)));
+      }
+      
+      // Windows that show the topic keep an empty tab
+      await this.activateReplacementTabs(topicTabs);
+      await browser.tabs.remove(topicTabs.map(tab => tab.id));
+      
+      this.log(`Parked ${snapshots.length} tabs of topic ${topicId}`);
+      return { success: true, parked: snapshots.length };
+    } catch (e) {
+      this.log(`[ERROR] parkTopic failed: ${e.message}`);
+      return { success: false, parked: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Recreate the parked tabs of a topic as unloaded tabs in a window, in their saved order
+   * The tabs start hidden, the topic switch shows them.
+   * 
+   * @param {string} topicId - Topic ID
+   * @param {number} windowId - Window to open the tabs in
+   * @returns {Promise<number>} Number of restored tabs
+   */
+  async unparkTopic(topicId, windowId) {
+    const topic = selectors.selectTopicById(store.getState(), topicId);
+    if (!topic || !topic.parkedTabs || topic.parkedTabs.length === 0) return 0;
+    
+    // Clear the snapshots first, so a second switch doesn't restore them again
+    store.dispatch(actions.updateTopic(topicId, { parkedTabs: null }));
+    
+    const restoredTabIds = [];
+    const failedSnapshots = [];
+    for (const snapshot of topic.parkedTabs) {
+      try {
+        // Firefox can't create pinned tabs unloaded, and a title is only allowed for unloaded tabs
+        const loadOptions = snapshot.pinned
+          ? { pinned: true }
+          : { discarded: true, title: snapshot.title };
+        
+        const newTab = await browser.tabs.create({
+          url: snapshot.url,
+          windowId,
+          active: false,
+          ...loadOptions,
+          ...this.getContainerOptions(topicId)
+        });
+        
+        // Reserve the topic before the tab listeners assign the tab
+        this.pendingTabTopics.set(newTab.id, topicId);
+        await this.assignTabToTopic(newTab, topicId);
+        restoredTabIds.push(newTab.id);
+      } catch (e) {
+        const restoreAttempts = (snapshot.restoreAttempts || 0) + 1;
+        if (restoreAttempts < MAX_PARKED_RESTORE_ATTEMPTS) {
+          this.log(`[ERROR] Could not restore parked tab ${snapshot.url}, trying again on the next switch: ${e.message}`);
+          failedSnapshots.push({ ...snapshot, restoreAttempts });
+        } else {
+          this.log(`[ERROR] Could not restore parked tab ${snapshot.url}, giving up: ${e.message}`);
+        }
+      }
+    }
+    
+    // Keep the snapshots that couldn't be restored yet, so a failure doesn't lose them
+    if (failedSnapshots.length > 0) {
+      const currentTopic = selectors.selectTopicById(store.getState(), topicId);
+      if (currentTopic) {
+        const parkedTabs = [...failedSnapshots, ...(currentTopic.parkedTabs || [])];
+        store.dispatch(actions.updateTopic(topicId, { parkedTabs }));
+      }
+    }
+    
+    if (restoredTabIds.length > 0 && this.hasTabHideAPI) {
+      await browser.tabs.hide(restoredTabIds);
+    }
+    
+    this.log(`Restored ${restoredTabIds.length} parked tabs of topic ${topicId}`);
+    return restoredTabIds.length;
+  }
+
+  /**
+   * Archive a topic and its sub-topics
+   * Windows that show one of them switch to another topic first. The tabs are parked,
+   * so they come back when the topic is restored and shown again, or closed.
+   * Categories and bookmarks stay with the archived topics.
+   * 
+   * @param {string} topicId - Topic ID to archive
+   * @param {boolean} [closeTabs] - Close the tabs instead of parking them
+   * @returns {Promise<Object>} Status { success, archived, error }
+   */
+  async archiveTopic(topicId, closeTabs = false) {
+    const state = store.getState();
+    if (!selectors.selectTopicById(state, topicId)) {
+      return { success: false, archived: 0, error: `Topic ${topicId} not found` };
+    }
+    
+    const topicIds = [topicId, ...selectors.selectDescendantTopicIds(state, topicId)];
+    const remainingIds = selectors.selectTopicTree(state)
+      .map(({ topic }) => topic.id)
+      .filter(id => !topicIds.includes(id));
+    
+    if (remainingIds.length === 0) {
+      return { success: false, archived: 0, error: "Can't archive the last topic" };
+    }
+    
+    try {
+      // Windows go back to the topic they showed before, or to the first one that is left
+      const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+      for (const window of windows) {
+        if (!topicIds.includes(this.getWindowTopicId(window.id))) continue;
+        
+        const previousTopicId = this.getPreviousWindowTopicId(window.id);
+        await this.switchTopic(remainingIds.includes(previousTopicId) ? previousTopicId : remainingIds[0], window.id);
+      }
+      
+      for (const id of topicIds) {
+        if (closeTabs) {
+          await this.closeTabsForTopic(id);
+        } else {
+          await this.parkTopic(id);
+        }
+        
+        store.dispatch(actions.updateTopic(id, { archived: true, archivedAt: Date.now() }));
+      }
+      
+      this.log(`Archived ${topicIds.length} topics starting at ${topicId}`);
+      return { success: true, archived: topicIds.length };
+    } catch (e) {
+      this.log(`[ERROR] archiveTopic failed: ${e.message}`);
+      return { success: false, archived: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Move tabs to a topic and update their visibility right away
+   * 
+   * @param {Array<number>} tabIds - Firefox tab IDs
+   * @param {string} topicId - Topic ID to move the tabs to
+   * @returns {Promise<Object>} Status { success, moved, error }
+   */
+  async moveTabsToTopic(tabIds, topicId) {
+    if (!selectors.selectTopicById(store.getState(), topicId)) {
+      return { success: false, moved: 0, error: `Topic ${topicId} not found` };
+    }
+    
+    try {
+      const movedTabs = [];
+      
+      for (const tabId of tabIds) {
+        const tab = await browser.tabs.get(tabId);
+        if (!this.isRegularTab(tab.url)) continue;
+        
+        await this.assignTabToTopic(tab, topicId);
+        movedTabs.push(tab);
+      }
+      
+      if (movedTabs.length > 0 && this.hasTabHideAPI) {
+        // Tabs stay visible in windows that show the topic
+        const tabsToShow = movedTabs.filter(tab => this.isShownInTopic(topicId, this.getWindowTopicId(tab.windowId)));
+        const tabsToHide = movedTabs.filter(tab => !tabsToShow.includes(tab));
+        
+        if (tabsToShow.length > 0) {
+          await browser.tabs.show(tabsToShow.map(tab => tab.id));
+        }
+        
+        if (tabsToHide.length > 0) {
+          // Active tabs can't be hidden, so focus another tab of the window first
+          await this.activateReplacementTabs(tabsToHide);
+          await browser.tabs.hide(tabsToHide.map(tab => tab.id));
+        }
+      }
+      
+      this.log(`Moved ${movedTabs.length} tabs to topic ${topicId}`);
+      return { success: true, moved: movedTabs.length };
+    } catch (e) {
+      this.log(`[ERROR] moveTabsToTopic failed: ${e.message}`);
+      return { success: false, moved: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Remove tabs from a topic
+   * The tabs are shown and stay unassigned until they navigate or are moved to a topic again.
+   * 
+   * @param {Array<number>} tabIds - Firefox tab IDs
+   * @param {string} topicId - Topic ID the tabs are removed from
+   * @returns {Promise<Object>} Status { success, removed, error }
+   */
+  async removeTabsFromTopic(tabIds, topicId) {
+    try {
+      const removedTabIds = [];
+      
+      for (const tabId of tabIds) {
+        const stableId = await this.tabIdentifier.getStableTabId(await browser.tabs.get(tabId));
+        if (this.getAssignedTopicId(stableId) !== topicId) continue;
+        
+        store.dispatch(actions.unassignTab(stableId));
+        await this.tabIdentifier.clearTabTopic(tabId);
+        removedTabIds.push(tabId);
+      }
+      
+      if (removedTabIds.length > 0 && this.hasTabHideAPI) {
+        await browser.tabs.show(removedTabIds);
+      }
+      
+      this.log(`Removed ${removedTabIds.length} tabs from topic ${topicId}`);
+      return { success: true, removed: removedTabIds.length };
+    } catch (e) {
+      this.log(`[ERROR] removeTabsFromTopic failed: ${e.message}`);
+      return { success: false, removed: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Mark tabs as global, so they are shown in every topic, or return them to a topic
+   * Tabs that are no longer global join the topic their window shows.
+   * 
+   * @param {Array<number>} tabIds - Firefox tab IDs
+   * @param {boolean} global - True to make the tabs global
+   * @returns {Promise<Object>} Status { success, changed, error }
+   */
+  async setTabsGlobal(tabIds, global) {
+    try {
+      let changed = 0;
+      
+      for (const tabId of tabIds) {
+        const tab = await browser.tabs.get(tabId);
+        if (!this.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        const isGlobal = this.getAssignedTopicId(stableId) === GLOBAL_TOPIC_ID;
+        if (isGlobal === global) continue;
+        
+        const topicId = global ? GLOBAL_TOPIC_ID : this.getWindowTopicId(tab.windowId);
+        if (!topicId) continue;
+        
+        await this.assignTabToTopic(tab, topicId);
+        changed++;
+      }
+      
+      if (changed > 0) {
+        await this.enforceTabVisibility();
+      }
+      
+      this.log(`${global ? 'Made' : 'Unmarked'} ${changed} global tabs`);
+      return { success: true, changed };
+    } catch (e) {
+      this.log(`[ERROR] setTabsGlobal failed: ${e.message}`);
+      return { success: false, changed: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Make pinned tabs global and return unpinned ones to their window's topic
+   * Only applies if pinned tabs are global by default.
+   */
+  async handleTabPinned(tabId, changeInfo, tab) {
+    if (!selectors.selectSettings(store.getState()).pinnedTabsGlobal) return;
+    if (!this.isRegularTab(tab.url)) return;
+    
+    await this.setTabsGlobal([tabId], changeInfo.pinned);
+  }
+
+  /**
+   * Open a URL in a new tab of a topic
+   * The tab is created hidden unless its window shows the topic.
+   * 
+   * @param {string} url - URL to open
+   * @param {string} topicId - Topic ID the tab belongs to
+   * @param {number} [windowId] - Window to open the tab in
+   * @returns {Promise<Object>} Status { success, tabId, error }
+   */
+  async openTabInTopic(url, topicId, windowId) {
+    if (!selectors.selectTopicById(store.getState(), topicId)) {
+      return { success: false, tabId: null, error: `Topic ${topicId} not found` };
+    }
+    
+    try {
+      const newTab = await browser.tabs.create({ url, windowId, active: false, ...this.getContainerOptions(topicId) });
+      
+      // Reserve the topic before the tab listeners assign the tab to the active topic
+      this.pendingTabTopics.set(newTab.id, topicId);
+      
+      if (!this.isShownInTopic(topicId, this.getWindowTopicId(newTab.windowId)) && this.hasTabHideAPI) {
+        await browser.tabs.hide(newTab.id);
+      }
+      
+      await this.assignTabToTopic(newTab, topicId);
+      
+      this.log(`Opened ${url} in tab ${newTab.id} of topic ${topicId}`);
+      return { success: true, tabId: newTab.id };
+    } catch (e) {
+      this.log(`[ERROR] openTabInTopic failed: ${e.message}`);
+      return { success: false, tabId: null, error: e.message };
+    }
+  }
+
+  /**
+   * Open several pages as tabs of a topic, e.g. the bookmarks of a category
+   * 
+   * @param {Array} pages - Array of { url, title }
+   * @param {string} topicId - Topic the tabs are assigned to
+   * @param {number} [windowId] - Window to open the tabs in, the focused one if not given
+   * @param {boolean} [discarded=false] - Create all but the first tab unloaded, they load when selected
+   * @returns {Promise<Object>} Status { success, opened, error }
+   */
+  async openTabsInTopic(pages, topicId, windowId, discarded = false) {
+    if (!selectors.selectTopicById(store.getState(), topicId)) {
+      return { success: false, opened: 0, error: `Topic ${topicId} not found` };
+    }
+    
+    try {
+      const openedTabs = [];
+      
+      for (const [index, page] of pages.entries()) {
+        // The first tab is shown right away, so it is always loaded
+        const unloaded = discarded && index > 0;
+        
+        try {
+          const newTab = await browser.tabs.create({
+            url: page.url,
+            windowId,
+            active: false,
+            ...this.getContainerOptions(topicId),
+            ...(unloaded ? { discarded: true, title: page.title } : {})
+          });
+          
+          // Reserve the topic before the tab listeners assign the tab to the active topic
+          this.pendingTabTopics.set(newTab.id, topicId);
+          await this.assignTabToTopic(newTab, topicId);
+          openedTabs.push(newTab);
+        } catch (e) {
+          this.log(`[WARNING] Could not open ${page.url}: ${e.message}`);
+        }
+      }
+      
+      if (openedTabs.length > 0) {
+        if (this.isShownInTopic(topicId, this.getWindowTopicId(openedTabs[0].windowId))) {
+          await browser.tabs.update(openedTabs[0].id, { active: true });
+        } else if (this.hasTabHideAPI) {
+          await browser.tabs.hide(openedTabs.map(tab => tab.id));
+        }
+      }
+      
+      this.log(`Opened ${openedTabs.length} tabs in topic ${topicId}`);
+      return { success: true, opened: openedTabs.length };
+    } catch (e) {
+      this.log(`[ERROR] openTabsInTopic failed: ${e.message}`);
+      return { success: false, opened: 0, error: e.message };
+    }
+  }
+
+  /**
+   * Activate another visible tab in the windows of tabs that are about to be hidden
+   * 
+   * @param {Array} tabsToHide - Firefox tab objects that will be hidden
+   */
+  async activateReplacementTabs(tabsToHide) {
+    const hiddenTabIds = new Set(tabsToHide.map(tab => tab.id));
+    
+    for (const tab of tabsToHide.filter(tab => tab.active)) {
+      const windowTabs = await browser.tabs.query({ windowId: tab.windowId, hidden: false });
+      const candidates = windowTabs.filter(windowTab => !hiddenTabIds.has(windowTab.id));
+      
+      if (candidates.length > 0) {
+        // Prefer the closest tab to the one being hidden
+        candidates.sort((a, b) => Math.abs(a.index - tab.index) - Math.abs(b.index - tab.index));
+        await browser.tabs.update(candidates[0].id, { active: true });
+      } else {
+        // The window would be empty, the new tab joins the window's topic
+        await browser.tabs.create({
+          windowId: tab.windowId,
+          active: true,
+          ...this.getContainerOptions(this.getWindowTopicId(tab.windowId))
+        });
+      }
+    }
+  }
+
+  /**
+   * Setup tab listeners
+   * Listeners are only registered once, even if initialize() runs again (e.g. after an import)
+   */
+  setupTabListeners() {
+    if (this.listenersAttached) return;
+    this.listenersAttached = true;
+    
+    browser.tabs.onCreated.addListener((tab) => this.handleTabCreated(tab));
+    browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => this.handleTabUpdated(tabId, changeInfo, tab));
+    browser.tabs.onUpdated.addListener(
+      (tabId, changeInfo, tab) => this.handleTabPinned(tabId, changeInfo, tab),
+      { properties: ['pinned'] }
+    );
+    browser.tabs.onUpdated.addListener(
+      (tabId, changeInfo, tab) => this.rememberTabDetails(tab),
+      { properties: ['url', 'title', 'favIconUrl'] }
+    );
+    browser.tabs.onMoved.addListener((tabId, moveInfo) => this.handleTabMoved(tabId, moveInfo));
+    browser.tabs.onRemoved.addListener((tabId, removeInfo) => this.handleTabRemoved(tabId, removeInfo));
+    browser.tabs.onReplaced.addListener((addedTabId, removedTabId) => this.handleTabReplaced(addedTabId, removedTabId));
+    browser.tabs.onAttached.addListener((tabId, attachInfo) => this.handleTabAttached(tabId, attachInfo));
+    browser.windows.onCreated.addListener((window) => this.handleWindowCreated(window));
+    browser.windows.onRemoved.addListener((windowId) => this.handleWindowRemoved(windowId));
+  }
+
+  /**
+   * Determine the topic a newly created tab belongs to.
+   * Tabs opened from another tab join the opener's topic, all others join the topic of their window.
+   * Links opened from global tabs don't become global themselves.
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @returns {string|null} Topic ID or null if there is no topic to assign to
+   */
+  getTopicForNewTab(tab) {
+    if (this.isGlobalByDefault(tab)) {
+      return GLOBAL_TOPIC_ID;
+    }
+    
+    if (tab.openerTabId !== undefined) {
+      const openerStableId = this.tabIdentifier.tabIdToStableIdMap.get(tab.openerTabId);
+      const openerTopicId = openerStableId && this.getAssignedTopicId(openerStableId);
+      
+      if (openerTopicId && openerTopicId !== GLOBAL_TOPIC_ID) {
+        return openerTopicId;
+      }
+    }
+    
+    return this.getWindowTopicId(tab.windowId);
+  }
+
+  /**
+   * Get the tabs.create options that open a tab in the container of a topic
+   * 
+   * @param {string} topicId - Topic ID
+   * @returns {Object} { cookieStoreId } or an empty object if the topic has no container
+   */
+  getContainerOptions(topicId) {
+    const topic = topicId && selectors.selectTopicById(store.getState(), topicId);
+    return topic && topic.containerId ? { cookieStoreId: topic.containerId } : {};
+  }
+
+  /**
+   * Check if a tab has to be reopened to be in the container of its topic
+   * Private windows have their own cookie store, their tabs are left as they are.
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {string} topicId - Topic ID
+   * @returns {boolean} True if the tab is in another container than its topic
+   */
+  needsContainer(tab, topicId) {
+    const { cookieStoreId } = this.getContainerOptions(topicId);
+    return Boolean(cookieStoreId) && !tab.incognito && tab.cookieStoreId !== cookieStoreId;
+  }
+
+  /**
+   * Reopen a tab in the container of its topic and close the original
+   * Firefox can't move a tab to another container, so the page is loaded again.
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {string} topicId - Topic ID
+   * @param {string} url - URL to open
+   * @returns {Promise<boolean>} True if the tab was reopened
+   */
+  async reopenInContainer(tab, topicId, url) {
+    try {
+      const newTab = await browser.tabs.create({
+        url,
+        windowId: tab.windowId,
+        index: tab.index + 1,
+        active: tab.active,
+        pinned: tab.pinned,
+        ...this.getContainerOptions(topicId)
+      });
+      
+      // Reserve the topic before the tab listeners assign the tab
+      this.pendingTabTopics.set(newTab.id, topicId);
+      await this.assignTabToTopic(newTab, topicId);
+      
+      this.pendingTabTopics.delete(tab.id);
+      await browser.tabs.remove(tab.id);
+      
+      this.log(`Reopened tab ${tab.id} as ${newTab.id} in the container of topic ${topicId}`);
+      await this.enforceTabVisibility();
+      return true;
+    } catch (e) {
+      // The container may have been removed, the tab stays where it is
+      this.log(`[WARNING] Could not reopen tab ${tab.id} in a container: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Assign a tab to a topic and persist the change
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {string} topicId - Topic ID
+   * @returns {Promise<string>} Stable ID of the tab
+   */
+  async assignTabToTopic(tab, topicId) {
+    const stableId = await this.setTabTopic(tab, topicId);
+    this.log(`Assigned tab ${tab.id} (stable ID: ${stableId}) to topic ${topicId}`);
+    
+    // Notify about the new tab assignment
+    try {
+      browser.runtime.sendMessage({ 
+        type: 'tabAssigned',
+        tabId: tab.id,
+        stableId,
+        topicId
+      });
+    } catch (error) {
+      this.log(`[WARNING] Could not send tab assignment message: ${error.message}`);
+    }
+    
+    return stableId;
+  }
+
+  /**
+   * Apply the routing rule that matches the URL of a tab
+   * A rule acts once while the tab stays on matching URLs, so tabs the user moves
+   * elsewhere or keeps after being asked aren't routed back on every navigation.
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {string} url - URL the tab loads
+   * @param {string|null} defaultTopicId - Topic an unassigned tab joins while a rule asks first
+   * @returns {Promise<boolean>} True if a rule handled the tab
+   */
+  async applyRoutingRule(tab, url, defaultTopicId) {
+    const state = store.getState();
+    const rule = selectors.selectRuleForUrl(state, url);
+    const ruleTopic = rule ? selectors.selectTopicById(state, rule.topicId) : null;
+    
+    // Rules of archived topics rest until the topic is restored
+    if (!ruleTopic || ruleTopic.archived) {
+      this.routedTabs.delete(tab.id);
+      return false;
+    }
+    
+    const stableId = await this.tabIdentifier.getStableTabId(tab);
+    const currentTopicId = this.getAssignedTopicId(stableId);
+    
+    // Global tabs stay global wherever they navigate
+    if (currentTopicId === GLOBAL_TOPIC_ID) return true;
+    
+    if (this.routedTabs.get(tab.id) === rule.id) return true;
+    this.routedTabs.set(tab.id, rule.id);
+    
+    if (currentTopicId === rule.topicId) return true;
+    
+    this.log(`Tab ${tab.id} matches rule ${rule.id} (${rule.pattern}) of topic ${rule.topicId}`);
+    
+    if (rule.action === RuleActions.ASK) {
+      // The tab joins its usual topic until the user answers
+      if (!currentTopicId && defaultTopicId) {
+        await this.assignTabToTopic(tab, defaultTopicId);
+        await this.enforceTabVisibility();
+      }
+      
+      await this.askToRouteTab(tab, rule);
+      return true;
+    }
+    
+    await this.routeTab(tab, rule.topicId, rule.action);
+    return true;
+  }
+
+  /**
+   * Move a tab to the topic of a routing rule
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {string} topicId - Topic ID of the rule
+   * @param {string} action - RuleActions.ASSIGN or RuleActions.SWITCH
+   */
+  async routeTab(tab, topicId, action) {
+    if (action === RuleActions.SWITCH) {
+      // The tab is shown by the switch, so it doesn't have to be hidden first
+      await this.assignTabToTopic(tab, topicId);
+      await this.switchTopic(topicId, tab.windowId);
+      await browser.tabs.update(tab.id, { active: true });
+      return;
+    }
+    
+    await this.moveTabsToTopic([tab.id], topicId);
+  }
+
+  /**
+   * Open the route-tab modal that asks whether a tab should move to the topic of a rule
+   * 
+   * @param {Object} tab - Firefox tab object
+   * @param {Object} rule - Matching rule with the ASK action
+   */
+  async askToRouteTab(tab, rule) {
+    const params = new URLSearchParams({ tabId: tab.id, ruleId: rule.id });
+    
+    try {
+      await browser.windows.create({
+        url: browser.runtime.getURL(`modals/route-tab/route-tab.html?${params}`),
+        type: 'popup',
+        width: 450,
+        height: 260,
+        allowScriptsToClose: true
+      });
+    } catch (e) {
+      this.log(`[ERROR] askToRouteTab failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Handle the answer of the route-tab modal
+   * 
+   * @param {number} tabId - Firefox tab ID
+   * @param {string} ruleId - ID of the rule that asked
+   * @param {string|null} action - RuleActions.ASSIGN or RuleActions.SWITCH, null to keep the tab where it is
+   * @returns {Promise<Object>} Status { success, error }
+   */
+  async handleRouteResponse(tabId, ruleId, action) {
+    if (!action) {
+      this.log(`Tab ${tabId} stays in its topic`);
+      return { success: true };
+    }
+    
+    const rule = selectors.selectRules(store.getState()).find(rule => rule.id === ruleId);
+    if (!rule) {
+      return { success: false, error: `Rule ${ruleId} not found` };
+    }
+    
+    try {
+      const tab = await browser.tabs.get(tabId);
+      await this.routeTab(tab, rule.topicId, action);
+      return { success: true };
+    } catch (e) {
+      this.log(`[ERROR] handleRouteResponse failed: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Handle a newly created tab
+   */
+  async handleTabCreated(tab) {
+    this.rememberTabDetails(tab);
+    
+    try {
+      // Restored tabs (e.g. undo close tab) still carry their topic as a session value
+      const taggedTopicId = await this.tabIdentifier.getTabTopic(tab.id);
+      
+      // Tabs opened by openTabInTopic already have their topic
+      if (this.pendingTabTopics.has(tab.id)) return;
+      
+      const topicExists = taggedTopicId === GLOBAL_TOPIC_ID ||
+        store.getState().topics.some(topic => topic.id === taggedTopicId);
+      const topicId = topicExists ? taggedTopicId : this.getTopicForNewTab(tab);
+      if (!topicId) return;
+      
+      // New tabs usually start with about:blank or about:newtab, so remember the topic
+      // until the tab navigates to a regular URL
+      if (!this.isRegularTab(tab.url)) {
+        this.pendingTabTopics.set(tab.id, topicId);
+        this.log(`New tab ${tab.id} is waiting for a regular URL, reserved for topic ${topicId}`);
+        return;
+      }
+      
+      this.log(`New tab created: ${tab.id} (${tab.url})`);
+      
+      // Restored tabs keep their topic, other tabs may be routed by a rule
+      if (!topicExists && await this.applyRoutingRule(tab, tab.url, topicId)) return;
+      
+      if (!topicExists && this.needsContainer(tab, topicId) &&
+          await this.reopenInContainer(tab, topicId, tab.url)) return;
+      
+      await this.assignTabToTopic(tab, topicId);
+      
+      // Enforce visibility to ensure it matches the active topic
+      await this.enforceTabVisibility();
+    } catch (e) {
+      this.log(`[ERROR] handleTabCreated failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Handle tab navigation
+   * The stable ID is stored with the tab, so navigating keeps the tab in its topic
+   * unless the new URL matches a routing rule.
+   * Tabs that were never assigned (e.g. opened as about:newtab) get a topic now.
+   */
+  async handleTabUpdated(tabId, changeInfo, tab) {
+    if (!changeInfo.url || !this.isRegularTab(changeInfo.url)) return;
+    
+    try {
+      const stableId = await this.tabIdentifier.getStableTabId(tab);
+      const pendingTopicId = this.pendingTabTopics.get(tabId);
+      this.pendingTabTopics.delete(tabId);
+      
+      const assignedTopicId = this.getAssignedTopicId(stableId);
+      
+      // Tabs opened in a topic on purpose (e.g. openTabInTopic) aren't routed
+      if (assignedTopicId && assignedTopicId === pendingTopicId) return;
+      
+      const topicId = pendingTopicId || this.getTopicForNewTab(tab);
+      if (await this.applyRoutingRule(tab, changeInfo.url, topicId)) return;
+      
+      if (assignedTopicId) return;
+      
+      this.log(`Tab URL updated: ${tabId} -> ${changeInfo.url}`);
+      if (!topicId) return;
+      
+      if (this.needsContainer(tab, topicId) &&
+          await this.reopenInContainer(tab, topicId, changeInfo.url)) return;
+      
+      await this.assignTabToTopic(tab, topicId);
+      await this.enforceTabVisibility();
+    } catch (e) {
+      this.log(`[ERROR] handleTabUpdated failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Handle a closed tab
+   */
+  async handleTabRemoved(tabId, removeInfo) {
+    this.pendingTabTopics.delete(tabId);
+    this.routedTabs.delete(tabId);
+    
+    const details = this.tabDetails.get(tabId);
+    this.tabDetails.delete(tabId);
+    
+    const stableId = this.tabIdentifier.tabIdToStableIdMap.get(tabId);
+    this.tabIdentifier.clearTabMapping(tabId);
+    
+    const topicId = stableId && this.getAssignedTopicId(stableId);
+    if (!topicId) return;
+    
+    this.log(`Tab ${tabId} with stable ID ${stableId} removed from topic ${topicId}`);
+    store.dispatch(actions.unassignTab(stableId));
+    
+    // Tabs of closing windows come back with the window, so only single tabs are remembered
+    if (details && !removeInfo.isWindowClosing && topicId !== GLOBAL_TOPIC_ID) {
+      store.dispatch(actions.addClosedTab(topicId, {
+        id: generateId('closed'),
+        ...details,
+        closedAt: Date.now()
+      }));
+    }
+  }
+
+  /**
+   * Remember what a tab shows, so it can be described after it was closed
+   * 
+   * @param {Object} tab - Firefox tab object
+   */
+  rememberTabDetails(tab) {
+    if (!this.isRegularTab(tab.url)) return;
+    
+    this.tabDetails.set(tab.id, {
+      url: tab.url,
+      title: tab.title,
+      favIconUrl: tab.favIconUrl || null,
+      index: tab.index
+    });
+  }
+
+  /**
+   * Keep the remembered position of a moved tab up to date
+   */
+  handleTabMoved(tabId, moveInfo) {
+    const details = this.tabDetails.get(tabId);
+    if (details) {
+      details.index = moveInfo.toIndex;
+    }
+  }
+
+  /**
+   * Reopen a recently closed tab in the topic it was closed in
+   * The browser's own session entry is restored if it still has one, so the tab gets
+   * its history back. Otherwise the URL is opened at the tab's old position.
+   * 
+   * @param {string} topicId - Topic ID the tab was closed in
+   * @param {string} closedTabId - ID of the closed tab entry
+   * @param {number} [windowId] - Window to reopen the tab in if there is no session entry
+   * @returns {Promise<Object>} Status { success, tabId, error }
+   */
+  async restoreClosedTab(topicId, closedTabId, windowId) {
+    const closedTab = selectors.selectClosedTabs(store.getState(), topicId)
+      .find(entry => entry.id === closedTabId);
+    
+    if (!closedTab || !selectors.selectTopicById(store.getState(), topicId)) {
+      return { success: false, tabId: null, error: 'Closed tab not found' };
+    }
+    
+    try {
+      const session = await this.findClosedTabSession(closedTab);
+      
+      let tab;
+      if (session) {
+        tab = (await browser.sessions.restore(session.tab.sessionId)).tab;
+      } else {
+        tab = await browser.tabs.create({
+          url: closedTab.url,
+          windowId,
+          index: closedTab.index,
+          active: false,
+          ...this.getContainerOptions(topicId)
+        });
+      }
+      
+      // The entry is only removed once the tab is back, a failed restore can be tried again
+      store.dispatch(actions.removeClosedTab(topicId, closedTabId));
+      
+      // Reserve the topic before the tab listeners assign the tab
+      this.pendingTabTopics.set(tab.id, topicId);
+      await this.assignTabToTopic(tab, topicId);
+      
+      if (this.isShownInTopic(topicId, this.getWindowTopicId(tab.windowId))) {
+        await browser.tabs.update(tab.id, { active: true });
+      } else if (this.hasTabHideAPI) {
+        await this.activateReplacementTabs([tab]);
+        await browser.tabs.hide(tab.id);
+      }
+      
+      this.log(`Restored closed tab ${closedTab.url} in topic ${topicId}`);
+      return { success: true, tabId: tab.id };
+    } catch (e) {
+      this.log(`[ERROR] restoreClosedTab failed: ${e.message}`);
+      return { success: false, tabId: null, error: e.message };
+    }
+  }
+
+  /**
+   * Find the browser's session entry of a closed tab
+   * The same URL may have been closed more than once, so the entry closed closest to
+   * the recorded time is picked.
+   * 
+   * @param {Object} closedTab - Closed tab entry { url, closedAt }
+   * @returns {Promise<Object|null>} Session entry with a tab, null if there is none
+   */
+  async findClosedTabSession(closedTab) {
+    const recentlyClosed = await browser.sessions.getRecentlyClosed();
+    let bestSession = null;
+    let bestDistance = SESSION_MATCH_TOLERANCE_MS;
+    
+    for (const entry of recentlyClosed) {
+      if (!entry.tab || entry.tab.url !== closedTab.url) continue;
+      
+      const distance = Math.abs(entry.lastModified - closedTab.closedAt);
+      if (distance <= bestDistance) {
+        bestSession = entry;
+        bestDistance = distance;
+      }
+    }
+    
+    return bestSession;
+  }
+
+  /**
+   * Handle a tab that was replaced by another one (e.g. prerendering or discarding)
+   * The new tab inherits the stable ID, and with it the topic, of the replaced tab
+   */
+  async handleTabReplaced(addedTabId, removedTabId) {
+    if (this.tabDetails.has(removedTabId)) {
+      this.tabDetails.set(addedTabId, this.tabDetails.get(removedTabId));
+      this.tabDetails.delete(removedTabId);
+    }
+    
+    const pendingTopicId = this.pendingTabTopics.get(removedTabId);
+    if (pendingTopicId) {
+      this.pendingTabTopics.delete(removedTabId);
+      this.pendingTabTopics.set(addedTabId, pendingTopicId);
+    }
+    
+    const stableId = this.tabIdentifier.tabIdToStableIdMap.get(removedTabId);
+    if (!stableId) return;
+    
+    this.tabIdentifier.clearTabMapping(removedTabId);
+    this.tabIdentifier.updateMappings(addedTabId, stableId);
+    this.log(`Tab ${removedTabId} replaced by ${addedTabId}, keeping stable ID ${stableId}`);
+  }
+
+  /**
+   * Handle a tab that was moved to another window
+   * Depending on the settings the tab keeps its topic (and is hidden if the window shows
+   * another one) or adopts the topic of the window. A window that only holds the moved tab,
+   * e.g. one created by dragging the tab out, shows the topic of the tab.
+   */
+  async handleTabAttached(tabId, attachInfo) {
+    const windowId = attachInfo.newWindowId;
+    this.log(`Tab ${tabId} attached to window ${windowId}`);
+    
+    try {
+      const tab = await browser.tabs.get(tabId);
+      if (!this.isRegularTab(tab.url)) return;
+      
+      const stableId = await this.tabIdentifier.getStableTabId(tab);
+      const tabTopicId = this.getAssignedTopicId(stableId);
+      const windowTopicId = this.getWindowTopicId(windowId);
+      
+      if (tabTopicId && tabTopicId !== windowTopicId && tabTopicId !== GLOBAL_TOPIC_ID) {
+        const windowTabs = await browser.tabs.query({ windowId });
+        const isOnlyTab = !windowTabs.some(other => other.id !== tabId && this.isRegularTab(other.url));
+        
+        if (isOnlyTab) {
+          await this.setWindowTopic(windowId, tabTopicId);
+        } else if (store.getState().settings.attachedTabs === AttachedTabRules.ADOPT_WINDOW_TOPIC) {
+          await this.assignTabToTopic(tab, windowTopicId);
+        } else {
+          // The tab keeps its topic, so it is hidden in this window
+          await this.activateReplacementTabs([tab]);
+        }
+      }
+      
+      await this.enforceTabVisibility();
+    } catch (e) {
+      this.log(`[ERROR] handleTabAttached failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Handle a new window
+   * Restored windows keep the topic they were tagged with, other windows start with the
+   * global active topic.
+   */
+  async handleWindowCreated(window) {
+    if (window.type !== 'normal') return;
+    
+    try {
+      const taggedTopicId = await browser.sessions.getWindowValue(window.id, WINDOW_TOPIC_KEY);
+      const topicExists = store.getState().topics.some(topic => topic.id === taggedTopicId);
+      const topicId = topicExists ? taggedTopicId : store.getState().activeTopicId;
+      
+      if (topicId) {
+        this.log(`New window ${window.id} shows topic ${topicId}`);
+        await this.setWindowTopic(window.id, topicId);
+      }
+    } catch (e) {
+      this.log(`[ERROR] handleWindowCreated failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Handle a closed window
+   */
+  handleWindowRemoved(windowId) {
+    this.pendingSwitches.delete(windowId);
+    this.previousWindowTopics.delete(windowId);
+    store.dispatch(actions.clearWindowTopic(windowId));
+  }
+
+  /**
+   * Verify tab visibility
+   * 
+   * @param {number} [windowId] - Only verify the tabs of this window
+   */
+  async verifyTabVisibility(windowId = null) {
+    try {
+      const allTabs = await browser.tabs.query(windowId === null ? {} : { windowId });
+      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
+      
+      const visibleTabs = regularTabs.filter(tab => !tab.hidden);
+      const hiddenTabs = regularTabs.filter(tab => tab.hidden);
+      
+      this.log(`Tab state: ${visibleTabs.length} visible, ${hiddenTabs.length} hidden`);
+      
+      // Check for incorrect visibility
+      const wrongVisibleTabs = [];
+      const wrongHiddenTabs = [];
+      
+      // Check visible tabs
+      for (const tab of visibleTabs) {
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        const topic = this.getAssignedTopicId(stableId) || 'none';
+        const isCorrect = this.isShownInTopic(topic, this.getWindowTopicId(tab.windowId));
+        
+        this.log(`Visible: Tab ${tab.id} (stable ID: ${stableId}) in topic ${topic} (${isCorrect ? 'CORRECT' : 'WRONG'})`);
+        
+        if (!isCorrect) {
+          wrongVisibleTabs.push(tab);
+        }
+      }
+      
+      // Check hidden tabs
+      for (const tab of hiddenTabs) {
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        const topic = this.getAssignedTopicId(stableId);
+        
+        if (this.isShownInTopic(topic, this.getWindowTopicId(tab.windowId))) {
+          wrongHiddenTabs.push(tab);
+        }
+      }
+      
+      // Report errors
+      if (wrongVisibleTabs.length > 0) {
+        this.log(`ERROR: ${wrongVisibleTabs.length} tabs visible but in wrong topic!`);
+        
+        // Try to fix the issue
+        const tabIdsToHide = wrongVisibleTabs.map(tab => tab.id);
+        await browser.tabs.hide(tabIdsToHide);
+        this.log(`Attempted to hide ${tabIdsToHide.length} incorrectly visible tabs`);
+      }
+      
+      if (wrongHiddenTabs.length > 0) {
+        this.log(`ERROR: ${wrongHiddenTabs.length} tabs hidden but should be visible!`);
+        
+        // Try to fix the issue
+        const tabIdsToShow = wrongHiddenTabs.map(tab => tab.id);
+        await browser.tabs.show(tabIdsToShow);
+        this.log(`Attempted to show ${tabIdsToShow.length} incorrectly hidden tabs`);
+      }
+      
+      return {
+        correct: wrongVisibleTabs.length === 0 && wrongHiddenTabs.length === 0,
+        wrongVisibleTabs,
+        wrongHiddenTabs
+      };
+    } catch (e) {
+      this.log(`[ERROR] verifyTabVisibility failed: ${e.message}`);
+      return { correct: false };
+    }
+  }
+
+  /**
+   * Log tab assignments
+   */
+  logTabAssignments() {
+    // Group tabs by topic
+    const tabsByTopic = new Map();
+    
+    for (const [stableId, topicId] of Object.entries(store.getState().tabAssignments)) {
+      if (!tabsByTopic.has(topicId)) {
+        tabsByTopic.set(topicId, []);
+      }
+      tabsByTopic.get(topicId).push(stableId);
+    }
+    
+    // Log summary
+    this.log(`Current tab assignments by topic:`);
+    for (const [topicId, stableIds] of tabsByTopic.entries()) {
+      this.log(`Topic ${topicId}: ${stableIds.length} tabs - Stable IDs: ${stableIds.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate tab assignments
+   */
+  async validateTabAssignments() {
+    try {
+      this.log(`Validating tab assignments...`);
+      
+      // Get all current tabs
+      const allTabs = await browser.tabs.query({});
+      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
+      
+      // Track changes
+      let changes = 0;
+      
+      // Ensure all regular tabs have a topic assignment
+      for (const tab of regularTabs) {
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        const windowTopicId = this.getWindowTopicId(tab.windowId);
+        
+        if (windowTopicId && !this.getAssignedTopicId(stableId)) {
+          this.log(`Assigning untracked tab ${tab.id} (stable ID: ${stableId}) to window topic ${windowTopicId}`);
+          await this.setTabTopic(tab, windowTopicId);
+          changes++;
+        }
+      }
+      
+      if (changes > 0) {
+        this.log(`Made ${changes} changes to tab assignments`);
+      } else {
+        this.log(`Tab assignments are valid, no changes needed`);
+      }
+      
+      return true;
+    } catch (e) {
+      this.log(`[ERROR] validateTabAssignments failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get all tabs for a specific topic
+   * 
+   * @param {string} topicId - Topic ID to get tabs for
+   * @param {number} [windowId] - Only get the tabs in this window
+   * @returns {Promise<Array>} - Array of tab objects for the topic
+   */
+  async getTabsForTopic(topicId, windowId = null) {
+    try {
+      const allTabs = await browser.tabs.query(windowId === null ? {} : { windowId });
+      const topicTabs = [];
+      
+      for (const tab of allTabs) {
+        if (!this.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        if (this.getAssignedTopicId(stableId) === topicId) {
+          topicTabs.push(tab);
+        }
+      }
+      
+      this.log(`Found ${topicTabs.length} tabs for topic ${topicId}`);
+      return topicTabs;
+    } catch (e) {
+      this.log(`[ERROR] getTabsForTopic failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Search the open tabs of all windows and topics by title and URL, hidden tabs included.
+   * Tabs are matched on their text first, so only the matches need a topic lookup.
+   * 
+   * @param {string} query - Search text
+   * @param {number} [limit=50] - Maximum number of results
+   * @returns {Promise<Array>} - Array of { tabId, windowId, title, url, favIconUrl, hidden, topicId }
+   */
+  async searchTabs(query, limit = 50) {
+    const normalizedQuery = query.toLowerCase().trim();
+    if (!normalizedQuery) return [];
+    
+    try {
+      const allTabs = await browser.tabs.query({});
+      const matchingTabs = allTabs.filter(tab => this.isRegularTab(tab.url) && (
+        (tab.title && tab.title.toLowerCase().includes(normalizedQuery)) ||
+        tab.url.toLowerCase().includes(normalizedQuery)
+      ));
+      
+      // Recently used tabs first
+      matchingTabs.sort((a, b) => b.lastAccessed - a.lastAccessed);
+      
+      const results = [];
+      for (const tab of matchingTabs.slice(0, limit)) {
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        results.push({
+          tabId: tab.id,
+          windowId: tab.windowId,
+          title: tab.title,
+          url: tab.url,
+          favIconUrl: tab.favIconUrl || null,
+          hidden: tab.hidden,
+          topicId: this.getAssignedTopicId(stableId)
+        });
+      }
+      
+      return results;
+    } catch (e) {
+      this.log(`[ERROR] searchTabs failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Bring a tab to the front. If it belongs to another topic than its window shows,
+   * the window is switched to that topic first.
+   * 
+   * @param {number} tabId - Firefox tab ID
+   * @returns {Promise<Object>} Status { success, topicId, error }
+   */
+  async focusTab(tabId) {
+    try {
+      const tab = await browser.tabs.get(tabId);
+      const stableId = await this.tabIdentifier.getStableTabId(tab);
+      const topicId = this.getAssignedTopicId(stableId);
+      
+      if (topicId && !this.isShownInTopic(topicId, this.getWindowTopicId(tab.windowId))) {
+        await this.switchTopic(topicId, tab.windowId);
+      } else if (tab.hidden) {
+        await browser.tabs.show(tabId);
+      }
+      
+      await browser.tabs.update(tabId, { active: true });
+      await browser.windows.update(tab.windowId, { focused: true });
+      
+      return { success: true, topicId };
+    } catch (e) {
+      this.log(`[ERROR] focusTab failed: ${e.message}`);
+      return { success: false, topicId: null, error: e.message };
+    }
+  }
+
+  /**
+   * Describe the assigned tabs for an export file.
+   * Stable IDs only exist in this browser profile, so tabs are described by URL and title.
+   * 
+   * @returns {Promise<Array>} - Array of { url, title, topicId }
+   */
+  async getTabsForExport() {
+    const exportedTabs = [];
+    
+    try {
+      const allTabs = await browser.tabs.query({});
+      
+      for (const tab of allTabs) {
+        if (!this.isRegularTab(tab.url)) continue;
+        
+        const stableId = await this.tabIdentifier.getStableTabId(tab);
+        const topicId = this.getAssignedTopicId(stableId);
+        if (topicId) {
+          exportedTabs.push({ url: tab.url, title: tab.title, topicId });
+        }
+      }
+    } catch (e) {
+      this.log(`[ERROR] getTabsForExport failed: ${e.message}`);
+    }
+    
+    return exportedTabs;
+  }
+
+  /**
+   * Assign open tabs to the topics of the tabs described in an import file.
+   * Each open tab is matched at most once.
+   * 
+   * @param {Array} importedTabs - Array of { url, title, topicId }
+   * @returns {Promise<number>} - Number of tabs that were assigned
+   */
+  async importTabAssignments(importedTabs) {
+    if (!Array.isArray(importedTabs) || importedTabs.length === 0) return 0;
+    
+    const topicIds = new Set([...store.getState().topics.map(topic => topic.id), GLOBAL_TOPIC_ID]);
+    const allTabs = await browser.tabs.query({});
+    let unclaimedTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
+    let assignedCount = 0;
+    
+    for (const tabInfo of importedTabs) {
+      if (!topicIds.has(tabInfo.topicId)) continue;
+      
+      const tab = this.tabIdentifier.findMatchingTab(tabInfo, unclaimedTabs);
+      if (!tab) continue;
+      
+      unclaimedTabs = unclaimedTabs.filter(candidate => candidate.id !== tab.id);
+      await this.setTabTopic(tab, tabInfo.topicId);
+      assignedCount++;
+    }
+    
+    this.log(`Matched ${assignedCount} of ${importedTabs.length} imported tabs`);
+    
+    if (assignedCount > 0) {
+      await this.enforceTabVisibility();
+    }
+    
+    return assignedCount;
+  }
+
+  /**
+   * Get the status of the tab service
+   * 
+   * @returns {Object} Status { initialized, hasTabHideAPI, activeTopicId }
+   */
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      hasTabHideAPI: this.hasTabHideAPI,
+      activeTopicId: this.lastActiveTopicId
+    };
+  }
+}
+
+export default TabService;
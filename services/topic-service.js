@@ -5,9 +5,25 @@
  */
 
 import { store, actions, selectors } from '../state/index.js';
-import { validateTopic } from '../models/topic.js';
+import { validateTopic, validateTopicParent } from '../models/topic.js';
+import { TabIdentifier } from '../utils/tab-identifier.js';
+import { TrashService } from './trash-service.js';
+import { ContainerService } from './container-service.js';
+import { MessageTypes, sendMessage } from '../background/messages.js';
 
 export class TopicService {
+  /**
+   * Create the topic service
+   * 
+   * @param {Object} [tabService] - Tab service to use directly when running in the background script
+   */
+  constructor(tabService = null) {
+    this.tabService = tabService;
+    this.tabIdentifier = new TabIdentifier();
+    this.trashService = new TrashService();
+    this.containerService = new ContainerService();
+  }
+  
   /**
    * Get all topics
    * 
@@ -40,7 +56,16 @@ export class TopicService {
     
     // Get the newly created topic (should be the last one)
     const state = store.getState();
-    const newTopic = state.topics[state.topics.length - 1];
+    let newTopic = state.topics[state.topics.length - 1];
+    
+    // Only topics created here get a container, restored and imported ones keep theirs
+    if (selectors.selectSettings(state).autoCreateContainers) {
+      const { success, containerId } = await this.createContainer(name);
+      if (success) {
+        store.dispatch(actions.updateTopic(newTopic.id, { containerId }));
+        newTopic = this.getTopicById(newTopic.id);
+      }
+    }
     
     // If initial categories provided, add them
     if (initialCategories && initialCategories.length > 0) {
@@ -52,6 +77,22 @@ export class TopicService {
     return newTopic;
   }
   
+  /**
+   * Create a container for a new topic
+   * Containers are managed by the background script, other pages ask it for one.
+   * 
+   * @param {string} name - Container name
+   * @returns {Promise<Object>} Status { success, containerId, error }
+   */
+  async createContainer(name) {
+    if (this.tabService) {
+      return this.containerService.createContainer(name);
+    }
+    
+    const result = await sendMessage(MessageTypes.CREATE_CONTAINER, { name });
+    return result || { success: false, error: 'No response from container service' };
+  }
+  
   /**
    * Update an existing topic
    * 
@@ -74,22 +115,119 @@ export class TopicService {
   }
   
   /**
-   * Delete a topic
+   * Move a topic under another topic or to the top level
+   * 
+   * @param {string} topicId - Topic ID to move
+   * @param {string|null} parentId - ID of the new parent, null for the top level
+   * @param {number} index - Position in the topic list after the move
+   * @returns {Promise<Object|null>} Moved topic or null if not found
+   * @throws {Error} If the move would make the topic its own ancestor
+   */
+  async moveTopic(topicId, parentId, index) {
+    const topics = this.getAllTopics();
+    const topic = this.getTopicById(topicId);
+    if (!topic) {
+      return null;
+    }
+    
+    validateTopicParent(topics, topicId, parentId);
+    
+    const newOrder = topics.filter(t => t.id !== topicId);
+    newOrder.splice(index, 0, { ...topic, parentId: parentId || null });
+    store.dispatch(actions.setTopics({ topics: newOrder }));
+    
+    return this.getTopicById(topicId);
+  }
+  
+  /**
+   * Delete a topic and close its tabs
+   * Its sub-topics are deleted with it or move up to the topic's parent. Everything
+   * deleted goes to the trash as one item, so it can be restored.
    * 
    * @param {string} topicId - Topic ID to delete
-   * @returns {Promise<boolean>} Success status
+   * @param {Object} [options] - Optional { deleteSubtopics }
+   * @returns {Promise<Object|null>} Trash item of the deleted topics, null if the topic wasn't found
    */
-  async deleteTopic(topicId) {
+  async deleteTopic(topicId, { deleteSubtopics = false } = {}) {
+    // The tab service owns the tabs, so the deletion runs in the background script
+    if (!this.tabService) {
+      const result = await sendMessage(MessageTypes.DELETE_TOPIC, { topicId, deleteSubtopics });
+      
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from tab service');
+      }
+      
+      return result.trashItem;
+    }
+    
     // Ensure topic exists
     const topic = this.getTopicById(topicId);
     if (!topic) {
-      return false;
+      return null;
+    }
+    
+    const state = store.getState();
+    const childIds = selectors.selectChildTopics(state, topicId).map(child => child.id);
+    const deletedIds = deleteSubtopics
+      ? [topicId, ...selectors.selectDescendantTopicIds(state, topicId)]
+      : [topicId];
+    
+    const trashItem = this.trashService.trashTopics(deletedIds, deleteSubtopics ? [] : childIds);
+    
+    // Close the tabs while they are still assigned to the topics
+    for (const id of deletedIds) {
+      await this.tabService.closeTabsForTopic(id);
+    }
+    
+    // Tabs that couldn't be closed stay open without a topic instead of hidden in a deleted one
+    for (const id of deletedIds) {
+      for (const stableId of selectors.selectTabIdsByTopicId(store.getState(), id)) {
+        store.dispatch(actions.unassignTab(stableId));
+      }
+    }
+    
+    if (!deleteSubtopics) {
+      for (const childId of childIds) {
+        store.dispatch(actions.updateTopic(childId, { parentId: topic.parentId || null }));
+      }
+    }
+    
+    // Delete the topics (also handles related categories and bookmarks via reducers)
+    for (const id of deletedIds) {
+      store.dispatch(actions.deleteTopic(id));
+    }
+    
+    return trashItem;
+  }
+  
+  /**
+   * Restore an archived topic and the sub-topics that were archived with it
+   * A topic whose parent is still archived moves to the top level.
+   * Parked tabs of the topics come back when a topic is shown again.
+   * 
+   * @param {string} topicId - Topic ID to restore
+   * @returns {Promise<Array>} IDs of the restored topics, empty if the topic wasn't found
+   */
+  async restoreTopic(topicId) {
+    const state = store.getState();
+    const topic = this.getTopicById(topicId);
+    if (!topic || !topic.archived) {
+      return [];
     }
     
-    // Delete the topic (also handles related categories and bookmarks via reducers)
-    store.dispatch(actions.deleteTopic(topicId));
+    const parent = topic.parentId ? this.getTopicById(topic.parentId) : null;
+    if (parent && parent.archived) {
+      store.dispatch(actions.updateTopic(topicId, { parentId: null }));
+    }
+    
+    const restoredIds = [topicId, ...selectors.selectDescendantTopicIds(state, topicId)]
+      .filter(id => this.getTopicById(id).archived);
+    
+    for (const id of restoredIds) {
+      store.dispatch(actions.updateTopic(id, { archived: false, archivedAt: null }));
+    }
     
-    return true;
+    return restoredIds;
   }
   
   /**
@@ -128,14 +266,21 @@ export class TopicService {
    */
   async getTopicTabs(topicId) {
     try {
-      // This requires accessing browser API directly
-      // Later we might want to also track this in state
+      const stableIds = new Set(selectors.selectTabIdsByTopicId(store.getState(), topicId));
+      if (stableIds.size === 0) return [];
+      
       const tabs = await browser.tabs.query({});
+      const topicTabs = [];
       
-      // Filter tabs that belong to this topic (based on your tab tagging mechanism)
-      // Implementation depends on how tabs are associated with topics
+      // Tabs carry their stable ID as a session value, tagged by the background tab service
+      for (const tab of tabs) {
+        const stableId = await this.tabIdentifier.readStableTabId(tab.id);
+        if (stableId && stableIds.has(stableId)) {
+          topicTabs.push(tab);
+        }
+      }
       
-      return tabs; // For now return all tabs, would need to be filtered based on your mechanism
+      return topicTabs;
     } catch (error) {
       console.error('Error getting topic tabs:', error);
       return [];
@@ -143,26 +288,43 @@ export class TopicService {
   }
   
   /**
-   * Add a tab to a topic
+   * Add a tab to a topic, hiding it unless the topic is active
    * 
    * @param {string} topicId - Topic ID
    * @param {number} tabId - Tab ID
    * @returns {Promise<boolean>} Success status
    */
   async addTabToTopic(topicId, tabId) {
+    return (await this.moveTabsToTopic([tabId], topicId)) > 0;
+  }
+  
+  /**
+   * Move tabs to a topic, hiding them unless the topic is active
+   * 
+   * @param {Array<number>} tabIds - Tab IDs
+   * @param {string} topicId - Topic ID
+   * @returns {Promise<number>} Number of tabs that were moved
+   */
+  async moveTabsToTopic(tabIds, topicId) {
     try {
-      // Implementation depends on how tabs are associated with topics
-      // This might involve tagging the tab or updating some state
+      // The background script can't message itself, so it passes its tab service in
+      const result = this.tabService
+        ? await this.tabService.moveTabsToTopic(tabIds, topicId)
+        : await sendMessage(MessageTypes.MOVE_TABS_TO_TOPIC, { tabIds, topicId });
       
-      return true;
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from tab service');
+      }
+      
+      return result.moved;
     } catch (error) {
-      console.error('Error adding tab to topic:', error);
-      return false;
+      console.error('Error moving tabs to topic:', error);
+      return 0;
     }
   }
   
   /**
-   * Remove a tab from a topic
+   * Remove a tab from a topic and show it
    * 
    * @param {string} topicId - Topic ID
    * @param {number} tabId - Tab ID
@@ -170,9 +332,15 @@ export class TopicService {
    */
   async removeTabFromTopic(topicId, tabId) {
     try {
-      // Implementation depends on how tabs are associated with topics
+      const result = this.tabService
+        ? await this.tabService.removeTabsFromTopic([tabId], topicId)
+        : await sendMessage(MessageTypes.REMOVE_TABS_FROM_TOPIC, { tabIds: [tabId], topicId });
+      
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from tab service');
+      }
       
-      return true;
+      return result.removed > 0;
     } catch (error) {
       console.error('Error removing tab from topic:', error);
       return false;
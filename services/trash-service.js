@@ -0,0 +1,336 @@
+/**
+ * Trash Service
+ * 
+ * Deleted topics, categories and bookmarks go to the trash first. A trash item keeps
+ * everything that was deleted with it and where it was, so restoring puts it back
+ * in place. Items are purged by hand or after the retention time of the settings.
+ */
+
+import { store, actions, selectors } from '../state/index.js';
+import { createTrashItem, TrashItemTypes } from '../models/trash.js';
+
+// Alarm that purges expired trash items
+const PURGE_ALARM = 'purge-trash';
+const CHECK_INTERVAL_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class TrashService {
+  constructor() {
+    this.DEBUG = true;
+    this.initialized = false;
+  }
+
+  /**
+   * Log a message with the TrashService prefix
+   */
+  log(...args) {
+    if (this.DEBUG) console.log("[TrashService]", ...args);
+  }
+
+  /**
+   * Start purging expired items, only the background does this
+   */
+  async initialize() {
+    if (this.initialized) return true;
+    this.initialized = true;
+    
+    browser.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === PURGE_ALARM) {
+        this.purgeExpiredItems();
+      }
+    });
+    browser.alarms.create(PURGE_ALARM, { periodInMinutes: CHECK_INTERVAL_MINUTES });
+    
+    await this.purgeExpiredItems();
+    return true;
+  }
+
+  /**
+   * Get all trash items
+   * 
+   * @returns {Array} Trash items, most recently deleted first
+   */
+  getItems() {
+    return selectors.selectTrash(store.getState());
+  }
+
+  /**
+   * Collect the categories and bookmarks of topics with their positions
+   * 
+   * @param {Object} state - Store state
+   * @param {Array<string>} topicIds - Topic IDs
+   * @returns {Object} { categories, bookmarks }
+   */
+  collectTopicContent(state, topicIds) {
+    const categories = [];
+    const bookmarks = [];
+    
+    for (const topicId of topicIds) {
+      selectors.selectCategoriesByTopicId(state, topicId).forEach((category, index) => {
+        categories.push({ category, topicId, index });
+        bookmarks.push(...this.collectCategoryBookmarks(state, category.id));
+      });
+    }
+    
+    return { categories, bookmarks };
+  }
+
+  /**
+   * Collect the bookmarks of a category with their positions
+   * 
+   * @param {Object} state - Store state
+   * @param {string} categoryId - Category ID
+   * @returns {Array} Array of { bookmark, categoryId, index }
+   */
+  collectCategoryBookmarks(state, categoryId) {
+    return selectors.selectBookmarksByCategoryId(state, categoryId)
+      .map((bookmark, index) => ({ bookmark, categoryId, index }));
+  }
+
+  /**
+   * Put topics that are about to be deleted into the trash as one item
+   * 
+   * @param {Array<string>} topicIds - IDs of the deleted topics, the first one is the topic the user deleted
+   * @param {Array<string>} [movedTopicIds] - Sub-topics that move up one level instead of being deleted
+   * @returns {Object|null} Trash item or null if the topic wasn't found
+   */
+  trashTopics(topicIds, movedTopicIds = []) {
+    const state = store.getState();
+    const topic = selectors.selectTopicById(state, topicIds[0]);
+    if (!topic) return null;
+    
+    const tabAssignments = {};
+    for (const [stableId, topicId] of Object.entries(state.tabAssignments)) {
+      if (topicIds.includes(topicId)) {
+        tabAssignments[stableId] = topicId;
+      }
+    }
+    
+    const item = createTrashItem(TrashItemTypes.TOPIC, topic.name, {
+      topics: topicIds.map(id => ({
+        topic: selectors.selectTopicById(state, id),
+        index: state.topics.findIndex(t => t.id === id)
+      })),
+      ...this.collectTopicContent(state, topicIds),
+      tabAssignments,
+      movedTopicIds
+    });
+    
+    store.dispatch(actions.addTrashItem(item));
+    return item;
+  }
+
+  /**
+   * Put a category that is about to be deleted into the trash with its bookmarks
+   * 
+   * @param {string} topicId - Topic ID
+   * @param {string} categoryId - Category ID
+   * @returns {Object|null} Trash item or null if the category wasn't found
+   */
+  trashCategory(topicId, categoryId) {
+    const state = store.getState();
+    const categories = selectors.selectCategoriesByTopicId(state, topicId);
+    const index = categories.findIndex(category => category.id === categoryId);
+    if (index === -1) return null;
+    
+    const item = createTrashItem(TrashItemTypes.CATEGORY, categories[index].name, {
+      categories: [{ category: categories[index], topicId, index }],
+      bookmarks: this.collectCategoryBookmarks(state, categoryId)
+    });
+    
+    store.dispatch(actions.addTrashItem(item));
+    return item;
+  }
+
+  /**
+   * Put a bookmark that is about to be deleted into the trash
+   * 
+   * @param {string} categoryId - Category ID
+   * @param {string} bookmarkId - Bookmark ID
+   * @returns {Object|null} Trash item or null if the bookmark wasn't found
+   */
+  trashBookmark(categoryId, bookmarkId) {
+    const bookmarks = this.collectCategoryBookmarks(store.getState(), categoryId);
+    const entry = bookmarks.find(({ bookmark }) => bookmark.id === bookmarkId);
+    if (!entry) return null;
+    
+    const item = createTrashItem(TrashItemTypes.BOOKMARK, entry.bookmark.title || entry.bookmark.url, {
+      bookmarks: [entry]
+    });
+    
+    store.dispatch(actions.addTrashItem(item));
+    return item;
+  }
+
+  /**
+   * Check if a category exists in any topic
+   */
+  categoryExists(state, categoryId) {
+    return Object.values(state.categories).some(categories =>
+      categories.some(category => category.id === categoryId)
+    );
+  }
+
+  /**
+   * Insert restored entries into lists at their old positions
+   * Entries are inserted in order of their positions, so restoring several keeps their order.
+   * 
+   * @param {Array} entries - Array of { item, index }
+   * @param {Array} list - Current list
+   * @returns {Array} New list
+   */
+  insertAtPositions(entries, list) {
+    const newList = [...list];
+    
+    for (const { item, index } of [...entries].sort((a, b) => a.index - b.index)) {
+      if (newList.some(existing => existing.id === item.id)) continue;
+      newList.splice(Math.min(index, newList.length), 0, item);
+    }
+    
+    return newList;
+  }
+
+  /**
+   * Group restored entries by the list they go back into
+   * 
+   * @param {Array} entries - Array of { key, item, index }
+   * @returns {Map} Entries { item, index } keyed by list key
+   */
+  groupByList(entries) {
+    const groups = new Map();
+    
+    for (const { key, item, index } of entries) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ item, index });
+    }
+    
+    return groups;
+  }
+
+  /**
+   * Restore a trash item: its topics, categories, bookmarks and tab assignments
+   * Sub-topics that moved up when their parent was deleted go back under it.
+   * 
+   * @param {string} itemId - Trash item ID
+   * @returns {Promise<Object>} The restored trash item
+   * @throws {Error} If the item doesn't exist or the topic or category it belongs to is gone
+   */
+  async restoreItem(itemId) {
+    const state = store.getState();
+    const item = this.getItems().find(trashItem => trashItem.id === itemId);
+    if (!item) {
+      throw new Error('Trash item not found');
+    }
+    
+    const restoredTopicIds = item.topics.map(({ topic }) => topic.id);
+    const restoredCategoryIds = item.categories.map(({ category }) => category.id);
+    
+    // Check everything first, so a failed restore doesn't restore half of the item
+    for (const { category, topicId } of item.categories) {
+      if (!restoredTopicIds.includes(topicId) && !selectors.selectTopicById(state, topicId)) {
+        throw new Error(`The topic of "${category.name}" no longer exists`);
+      }
+    }
+    
+    for (const { bookmark, categoryId } of item.bookmarks) {
+      if (!restoredCategoryIds.includes(categoryId) && !this.categoryExists(state, categoryId)) {
+        throw new Error(`The category of "${bookmark.title || bookmark.url}" no longer exists`);
+      }
+    }
+    
+    if (item.topics.length > 0) {
+      // A parent that is gone as well leaves the topic at the top level
+      const topicEntries = item.topics.map(({ topic, index }) => {
+        const parentKnown = !topic.parentId || restoredTopicIds.includes(topic.parentId) ||
+          selectors.selectTopicById(state, topic.parentId);
+        return { item: parentKnown ? topic : { ...topic, parentId: null }, index };
+      });
+      store.dispatch(actions.setTopics({ topics: this.insertAtPositions(topicEntries, state.topics) }));
+      
+      const [{ topic }] = item.topics;
+      for (const movedTopicId of item.movedTopicIds || []) {
+        const movedTopic = selectors.selectTopicById(store.getState(), movedTopicId);
+        if (movedTopic && (movedTopic.parentId || null) === (topic.parentId || null)) {
+          store.dispatch(actions.updateTopic(movedTopicId, { parentId: topic.id }));
+        }
+      }
+    }
+    
+    const categoryGroups = this.groupByList(item.categories.map(({ category, topicId, index }) => ({
+      key: topicId, item: category, index
+    })));
+    for (const [topicId, entries] of categoryGroups) {
+      const categories = selectors.selectCategoriesByTopicId(store.getState(), topicId);
+      store.dispatch(actions.setCategories({ topicId, categories: this.insertAtPositions(entries, categories) }));
+    }
+    
+    const bookmarkGroups = this.groupByList(item.bookmarks.map(({ bookmark, categoryId, index }) => ({
+      key: categoryId, item: bookmark, index
+    })));
+    for (const [categoryId, entries] of bookmarkGroups) {
+      const bookmarks = selectors.selectBookmarksByCategoryId(store.getState(), categoryId);
+      store.dispatch(actions.setBookmarks({ categoryId, bookmarks: this.insertAtPositions(entries, bookmarks) }));
+    }
+    
+    // Tabs that were reopened (e.g. with "Undo Close Tab") keep their stable ID and return to the topic
+    const tabAssignments = store.getState().tabAssignments;
+    for (const [stableId, topicId] of Object.entries(item.tabAssignments || {})) {
+      if (!(stableId in tabAssignments)) {
+        store.dispatch(actions.assignTab(stableId, topicId));
+      }
+    }
+    
+    store.dispatch(actions.removeTrashItems([itemId]));
+    this.log(`Restored ${item.type} ${item.name}`);
+    return item;
+  }
+
+  /**
+   * Delete trash items for good
+   * Deleted topics and categories leave their storage keys behind, they are removed as well.
+   * 
+   * @param {Array<string>} itemIds - Trash item IDs
+   * @returns {Promise<number>} Number of purged items
+   */
+  async purgeItems(itemIds) {
+    const items = this.getItems().filter(item => itemIds.includes(item.id));
+    if (items.length === 0) return 0;
+    
+    store.dispatch(actions.removeTrashItems(items.map(item => item.id)));
+    
+    const keys = items.flatMap(item => [
+      ...item.topics.map(({ topic }) => `categories_${topic.id}`),
+      ...item.categories.map(({ category }) => `bookmarks_${category.id}`)
+    ]);
+    
+    try {
+      if (keys.length > 0) {
+        await browser.storage.local.remove(keys);
+      }
+    } catch (e) {
+      this.log(`[WARNING] Could not remove storage keys of purged items: ${e.message}`);
+    }
+    
+    this.log(`Purged ${items.length} trash items`);
+    return items.length;
+  }
+
+  /**
+   * Purge the items that are in the trash for longer than the retention time of the settings
+   * 
+   * @returns {Promise<number>} Number of purged items
+   */
+  async purgeExpiredItems() {
+    const { trashRetentionDays } = selectors.selectSettings(store.getState());
+    const cutoff = Date.now() - trashRetentionDays * DAY_MS;
+    
+    const expiredIds = this.getItems()
+      .filter(item => item.deletedAt < cutoff)
+      .map(item => item.id);
+    
+    return this.purgeItems(expiredIds);
+  }
+}
+
+export default TrashService;
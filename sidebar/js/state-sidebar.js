@@ -7,8 +7,8 @@
 
 import { 
   store, 
-  actions, 
   initializeStore,
+  syncStoreWithStorage,
   showNotification
 } from '../../index.js';
 
@@ -16,19 +16,34 @@ import { StateTopicManager } from './state/topic-manager.js';
 import { StateCategoryManager } from './state/category-manager.js';
 import { StateBookmarkManager } from './state/bookmark-manager.js';
 import { StateTabManager } from './state/tab-manager.js';
+import { StateSettingsManager } from './state/settings-manager.js';
+import { StateRulesManager } from './state/rules-manager.js';
+import { StateClosedTabsManager } from './state/closed-tabs-manager.js';
+import { StateTabSearchManager } from './state/tab-search-manager.js';
+import { StateDuplicatesManager } from './state/duplicates-manager.js';
+import { StateCleanupManager } from './state/cleanup-manager.js';
+import { StateArchiveManager } from './state/archive-manager.js';
+import { StateTrashManager } from './state/trash-manager.js';
 
-let topicManager, categoryManager, bookmarkManager, tabManager;
+let topicManager, categoryManager, bookmarkManager, tabManager, settingsManager, rulesManager, closedTabsManager, tabSearchManager;
+let duplicatesManager, cleanupManager, archiveManager, trashManager;
 
 document.addEventListener("DOMContentLoaded", async function() {
   try {
+    // Each window has its own sidebar, which shows the topic of that window
+    const currentWindow = await browser.windows.getCurrent();
+    
     // Initialize store
-    await initializeStore();
+    await initializeStore({ windowId: currentWindow.id });
+    
+    // Pick up changes made by the background script and other extension pages
+    syncStoreWithStorage();
     
     // Get UI elements
     const elements = getElements();
     
     // Initialize managers
-    await initializeManagers(elements);
+    await initializeManagers(elements, currentWindow.id);
     
     // Setup coordination between managers
     setupCoordination();
@@ -54,9 +69,25 @@ function getElements() {
     editTopicForm: document.getElementById("edit-topic-form"),
     editTopicInput: document.getElementById("edit-topic-input"),
     editTopicId: document.getElementById("edit-topic-id"),
+    editTopicIcon: document.getElementById("edit-topic-icon"),
+    editTopicIconEmoji: document.getElementById("edit-topic-icon-emoji"),
+    editTopicColor: document.getElementById("edit-topic-color"),
+    editTopicHibernationMode: document.getElementById("edit-topic-hibernation-mode"),
+    editTopicHibernationDelayRow: document.getElementById("edit-topic-hibernation-delay-row"),
+    editTopicHibernationDelay: document.getElementById("edit-topic-hibernation-delay"),
+    editTopicStartMode: document.getElementById("edit-topic-start-mode"),
+    editTopicStartUrls: document.getElementById("edit-topic-start-urls"),
+    editTopicStaleMode: document.getElementById("edit-topic-stale-mode"),
+    editTopicStaleDaysRow: document.getElementById("edit-topic-stale-days-row"),
+    editTopicStaleDays: document.getElementById("edit-topic-stale-days"),
+    editTopicContainer: document.getElementById("edit-topic-container"),
     saveEditTopicBtn: document.getElementById("save-edit-topic-btn"),
     cancelEditTopicBtn: document.getElementById("cancel-edit-topic-btn"),
     
+    // Tab search elements
+    tabSearchInput: document.getElementById("tab-search-input"),
+    tabSearchResults: document.getElementById("tab-search-results"),
+    
     // Category elements
     bookmarkCategories: document.getElementById("bookmark-categories"),
     addCategoryBtn: document.getElementById("add-category-btn"),
@@ -89,27 +120,102 @@ function getElements() {
     cancelEditLinkBtn: document.getElementById("cancel-edit-link-btn"),
     editLinkId: document.getElementById("edit-link-id"),
     
+    // Closed tab elements
+    closedTabsHeader: document.getElementById("closed-tabs-header"),
+    closedTabsToggle: document.getElementById("closed-tabs-toggle"),
+    closedTabsCount: document.getElementById("closed-tabs-count"),
+    closedTabsList: document.getElementById("closed-tabs-list"),
+    
+    // Archive elements
+    archiveHeader: document.getElementById("archive-header"),
+    archiveToggle: document.getElementById("archive-toggle"),
+    archiveCount: document.getElementById("archive-count"),
+    archiveList: document.getElementById("archive-list"),
+    
+    // Trash elements
+    trashHeader: document.getElementById("trash-header"),
+    trashToggle: document.getElementById("trash-toggle"),
+    trashCount: document.getElementById("trash-count"),
+    trashList: document.getElementById("trash-list"),
+    emptyTrashBtn: document.getElementById("empty-trash-btn"),
+    
     // Data management elements
     saveDataBtn: document.getElementById("save-data-btn"),
-    loadDataBtn: document.getElementById("load-data-btn")
+    loadDataBtn: document.getElementById("load-data-btn"),
+    
+    // Settings elements
+    settingsBtn: document.getElementById("settings-btn"),
+    settingsForm: document.getElementById("settings-form"),
+    settingsHibernationMode: document.getElementById("settings-hibernation-mode"),
+    settingsHibernationDelayRow: document.getElementById("settings-hibernation-delay-row"),
+    settingsHibernationDelay: document.getElementById("settings-hibernation-delay"),
+    settingsStartMode: document.getElementById("settings-start-mode"),
+    settingsStartUrls: document.getElementById("settings-start-urls"),
+    settingsStaleMode: document.getElementById("settings-stale-mode"),
+    settingsStaleDaysRow: document.getElementById("settings-stale-days-row"),
+    settingsStaleDays: document.getElementById("settings-stale-days"),
+    settingsAttachedTabs: document.getElementById("settings-attached-tabs"),
+    settingsPinnedTabsGlobal: document.getElementById("settings-pinned-tabs-global"),
+    settingsSwitchToExistingTab: document.getElementById("settings-switch-to-existing-tab"),
+    settingsAutoCreateContainers: document.getElementById("settings-auto-create-containers"),
+    settingsShowSubtopicTabs: document.getElementById("settings-show-subtopic-tabs"),
+    settingsShowTopicBadge: document.getElementById("settings-show-topic-badge"),
+    settingsTrashRetentionDays: document.getElementById("settings-trash-retention-days"),
+    saveSettingsBtn: document.getElementById("save-settings-btn"),
+    cancelSettingsBtn: document.getElementById("cancel-settings-btn"),
+    
+    // Routing rule elements
+    rulesBtn: document.getElementById("rules-btn"),
+    rulesForm: document.getElementById("rules-form"),
+    rulesList: document.getElementById("rules-list"),
+    rulePattern: document.getElementById("rule-pattern"),
+    rulePatternType: document.getElementById("rule-pattern-type"),
+    ruleTopic: document.getElementById("rule-topic"),
+    ruleAction: document.getElementById("rule-action"),
+    saveRuleBtn: document.getElementById("save-rule-btn"),
+    cancelRuleBtn: document.getElementById("cancel-rule-btn"),
+    
+    // Duplicate tab elements
+    duplicatesBtn: document.getElementById("duplicates-btn"),
+    duplicatesForm: document.getElementById("duplicates-form"),
+    duplicatesList: document.getElementById("duplicates-list"),
+    closeDuplicatesBtn: document.getElementById("close-duplicates-btn"),
+    
+    // Stale tab elements
+    staleTabsBtn: document.getElementById("stale-tabs-btn"),
+    staleTabsBadge: document.getElementById("stale-tabs-badge"),
+    staleTabsForm: document.getElementById("stale-tabs-form"),
+    staleTabsList: document.getElementById("stale-tabs-list"),
+    archiveAllStaleBtn: document.getElementById("archive-all-stale-btn"),
+    closeStaleTabsBtn: document.getElementById("close-stale-tabs-btn")
   };
 }
 
 /**
  * Initialize all managers
  */
-async function initializeManagers(elements) {
+async function initializeManagers(elements, windowId) {
   // Create managers
   topicManager = new StateTopicManager(elements);
   categoryManager = new StateCategoryManager(elements);
   bookmarkManager = new StateBookmarkManager(elements);
-  tabManager = new StateTabManager();
+  tabManager = new StateTabManager(windowId);
+  settingsManager = new StateSettingsManager(elements);
+  rulesManager = new StateRulesManager(elements);
+  closedTabsManager = new StateClosedTabsManager(elements, tabManager);
+  tabSearchManager = new StateTabSearchManager(elements, tabManager);
+  duplicatesManager = new StateDuplicatesManager(elements, tabManager);
+  cleanupManager = new StateCleanupManager(elements, tabManager);
+  archiveManager = new StateArchiveManager(elements);
+  trashManager = new StateTrashManager(elements);
   
   // Setup callbacks
   topicManager.setCallbacks({
     onTopicSelect: handleTopicSelect,
     onTopicEdit: handleTopicEdit,
     onTopicDelete: handleTopicDelete,
+    onTopicPark: handleTopicPark,
+    onTopicArchive: handleTopicArchive,
     onTopicReorder: handleTopicReorder
   });
   
@@ -128,6 +234,14 @@ async function initializeManagers(elements) {
   topicManager.setupTopicFormListeners();
   categoryManager.setupCategoryFormListeners();
   bookmarkManager.setupBookmarkFormListeners();
+  settingsManager.setupSettingsFormListeners();
+  rulesManager.setupRulesFormListeners();
+  closedTabsManager.setupClosedTabsListeners();
+  tabSearchManager.setupTabSearchListeners();
+  duplicatesManager.setupDuplicatesFormListeners();
+  cleanupManager.setupCleanupListeners();
+  archiveManager.setupArchiveListeners();
+  trashManager.setupTrashListeners();
   
   // Initialize tab manager
   await tabManager.initialize();
@@ -144,6 +258,7 @@ function setupCoordination() {
   
   // Connect topic manager and tab manager for more accurate tab counting
   topicManager.setTabManager(tabManager);
+  categoryManager.setTabManager(tabManager);
 }
 
 /**
@@ -180,9 +295,8 @@ async function handleTopicSelect(topic) {
   console.log('Topic selected:', topic);
   
   try {
-    // The topic selection will be handled by the StateTabManager
-    // through its store subscription for activeTopicId changes
-    await tabManager.validateTabAssignments();
+    // Tab visibility is handled by the background tab service
+    await tabManager.switchTopic(topic.id);
   } catch (error) {
     console.error('Error in topic selection:', error);
     showNotification('Error selecting topic', 'error');
@@ -203,15 +317,31 @@ function handleTopicEdit(topic) {
 async function handleTopicDelete(topicId) {
   console.log('Topic deleted:', topicId);
   
-  try {
-    // Close all tabs for the deleted topic
-    await tabManager.closeTabsForTopic(topicId);
-  } catch (error) {
-    console.error('Error closing tabs for topic:', error);
-    showNotification('Error closing tabs for deleted topic', 'error');
+  // The background closed the topic's tabs, the UI will update through state subscription
+}
+
+/**
+ * Handle parking a topic
+ */
+async function handleTopicPark(topicId) {
+  const parked = await tabManager.parkTopic(topicId);
+  
+  if (parked === 0) {
+    showNotification('The topic has no open tabs to park', 'info');
+  } else if (parked > 0) {
+    showNotification(`Parked ${parked} tabs`, 'success');
   }
+}
+
+/**
+ * Handle topic archiving
+ */
+async function handleTopicArchive(topicId, closeTabs) {
+  const archived = await tabManager.archiveTopic(topicId, closeTabs);
   
-  // UI will update automatically through state subscription
+  if (archived > 0) {
+    showNotification(archived > 1 ? `Archived ${archived} topics` : 'Topic archived', 'success');
+  }
 }
 
 /**
@@ -255,6 +385,12 @@ async function handleExportData() {
     // Get all state
     const state = store.getState();
     
+    // Tab assignments are described by URL, stable IDs don't carry over to other profiles
+    const tabs = await tabManager.getTabsForExport();
+    
+    // Containers are described by name, cookie store IDs differ between profiles too
+    const containers = await tabManager.getContainersForExport();
+    
     // Create export data
     const exportData = {
       version: 1,
@@ -264,7 +400,11 @@ async function handleExportData() {
         activeTopicId: state.activeTopicId,
         categories: state.categories,
         bookmarks: state.bookmarks,
-        categorySets: state.categorySets
+        categorySets: state.categorySets,
+        rules: state.rules,
+        settings: state.settings,
+        tabs,
+        containers
       }
     };
     
@@ -313,7 +453,7 @@ async function handleImportData() {
           try {
             const content = e.target.result;
             const importData = JSON.parse(content);
-
+            
             console.log('Import data:', importData);
             
             // Validate import data
@@ -326,41 +466,19 @@ async function handleImportData() {
               return;
             }
             
-            // Reset state
-            store.dispatch(actions.resetState());
-            
-            // Import topics
-            if (importData.data.topics) {
-              store.dispatch(actions.setTopics({ topics: importData.data.topics }));
-            }
-            
-            // Import category sets
-            if (importData.data.categorySets) {
-              store.dispatch(actions.setCategorySets({ categorySets: importData.data.categorySets }));
+            // Let the background replace the data and reassign tabs, the sidebar state follows through storage
+            if (!await tabManager.importData(importData)) {
+              throw new Error('Background could not import the data');
             }
             
-            // Import categories
-            if (importData.data.categories) {
-              for (const [topicId, categories] of Object.entries(importData.data.categories)) {
-                store.dispatch(actions.setCategories({ topicId, categories }));
-              }
-            }
-            
-            // Import bookmarks
-            if (importData.data.bookmarks) {
-              for (const [categoryId, bookmarks] of Object.entries(importData.data.bookmarks)) {
-                store.dispatch(actions.setBookmarks({ categoryId, bookmarks }));
-              }
-            }
+            // Bind the topics to containers of this profile, also unbinds unknown ones
+            await tabManager.importContainers(importData.data.containers);
             
-            // Finally, set active topic (which will trigger tab changes)
-            if (importData.data.activeTopicId) {
-              store.dispatch(actions.setActiveTopic({ topicId: importData.data.activeTopicId }));
+            // Assign open tabs that match the exported ones to their topics
+            if (importData.data.tabs) {
+              await tabManager.importTabAssignments(importData.data.tabs);
             }
             
-            // Reinitialize tab manager to properly handle the new state
-            await tabManager.initialize();
-            
             showNotification('Data imported successfully', 'success');
           } catch (error) {
             console.error('Error parsing import data:', error);
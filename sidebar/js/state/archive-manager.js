@@ -0,0 +1,177 @@
+/**
+ * State-Integrated Archive Manager
+ * 
+ * Shows the archived topics in a collapsible "Archive" section. Archived topics
+ * keep their categories and bookmarks, they can be restored to the topic list
+ * or deleted for good from here.
+ */
+
+import {
+  store,
+  actions,
+  selectors,
+  TopicService,
+  escapeHtml,
+  formatDate,
+  showNotification
+} from '../../../index.js';
+import { notifyDeleted } from './trash-manager.js';
+
+export class StateArchiveManager {
+  /**
+   * @param {Object} elements - Sidebar DOM elements
+   */
+  constructor(elements) {
+    this.elements = elements;
+    this.topicService = new TopicService();
+    
+    // Set up store subscription
+    this.unsubscribe = store.subscribe(this.handleStateChange.bind(this));
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Handle state changes from the store
+   */
+  handleStateChange(state) {
+    // Archived topics have no tabs, so assignment changes don't affect the list
+    if (state.meta.lastChanged === 'tabAssignments') return;
+    
+    this.renderArchive();
+  }
+
+  /**
+   * Count what an archived topic and the sub-topics archived with it keep
+   * 
+   * @param {Object} state - Store state
+   * @param {string} topicId - Topic ID
+   * @returns {Object} { subtopics, categories, bookmarks }
+   */
+  countArchivedContent(state, topicId) {
+    const topicIds = [topicId, ...selectors.selectDescendantTopicIds(state, topicId)];
+    const counts = { subtopics: topicIds.length - 1, categories: 0, bookmarks: 0 };
+    
+    for (const id of topicIds) {
+      for (const category of selectors.selectCategoriesByTopicId(state, id)) {
+        counts.categories++;
+        counts.bookmarks += selectors.selectBookmarksByCategoryId(state, category.id).length;
+      }
+    }
+    
+    return counts;
+  }
+
+  /**
+   * Render the header and, if the section is expanded, the archived topics
+   */
+  renderArchive() {
+    if (!this.elements.archiveList) return;
+    
+    const state = store.getState();
+    const archivedTopics = selectors.selectArchivedTopics(state);
+    const expanded = Boolean(state.uiState.sidebarSections.archive);
+    
+    this.elements.archiveCount.textContent = archivedTopics.length;
+    this.elements.archiveToggle.classList.toggle('fa-chevron-down', expanded);
+    this.elements.archiveToggle.classList.toggle('fa-chevron-right', !expanded);
+    this.elements.archiveList.style.display = expanded ? 'block' : 'none';
+    
+    if (!expanded) return;
+    
+    if (archivedTopics.length === 0) {
+      this.elements.archiveList.innerHTML = "<li class='empty-list'>No archived topics</li>";
+      return;
+    }
+    
+    this.elements.archiveList.innerHTML = archivedTopics.map(topic => {
+      const counts = this.countArchivedContent(state, topic.id);
+      const details = [
+        counts.subtopics > 0 ? `${counts.subtopics} sub-topics` : null,
+        `${counts.categories} categories`,
+        `${counts.bookmarks} bookmarks`
+      ].filter(Boolean).join(', ');
+      
+      return `
+        <li class="archived-topic-item" data-id="${topic.id}">
+          <span class="archived-topic-text">
+            <span class="archived-topic-name">${escapeHtml(topic.name)}</span>
+            <span class="archived-topic-details">
+              ${topic.archivedAt ? `${formatDate(topic.archivedAt)} · ` : ''}${details}
+            </span>
+          </span>
+          <div class="topic-actions">
+            <button class="restore-btn" title="Restore Topic">
+              <i class="fas fa-undo"></i>
+            </button>
+            <button class="delete-btn" title="Delete Topic">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </li>
+      `;
+    }).join('');
+    
+    this.elements.archiveList.querySelectorAll('.archived-topic-item').forEach(item => {
+      const topicId = item.dataset.id;
+      item.querySelector('.restore-btn').addEventListener('click', () => this.restoreTopic(topicId));
+      item.querySelector('.delete-btn').addEventListener('click', () => this.deleteTopic(topicId));
+    });
+  }
+
+  /**
+   * Restore an archived topic to the topic list
+   * 
+   * @param {string} topicId - Topic ID
+   */
+  async restoreTopic(topicId) {
+    try {
+      const restoredIds = await this.topicService.restoreTopic(topicId);
+      if (restoredIds.length > 0) {
+        showNotification('Topic restored', 'success');
+      }
+    } catch (error) {
+      console.error('Error restoring topic:', error);
+      showNotification('Error restoring topic: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Delete an archived topic with its sub-topics, categories and bookmarks
+   * 
+   * @param {string} topicId - Topic ID
+   */
+  async deleteTopic(topicId) {
+    if (!confirm("Move this archived topic with its sub-topics, categories and bookmarks to the trash?")) {
+      return;
+    }
+    
+    try {
+      const trashItem = await this.topicService.deleteTopic(topicId, { deleteSubtopics: true });
+      notifyDeleted('Topic deleted', trashItem);
+    } catch (error) {
+      console.error('Error deleting topic:', error);
+      showNotification('Error deleting topic: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Setup the section header listener
+   */
+  setupArchiveListeners() {
+    if (this.elements.archiveHeader) {
+      this.elements.archiveHeader.addEventListener('click', () => {
+        store.dispatch(actions.toggleSidebarSection('archive'));
+      });
+    }
+    
+    this.renderArchive();
+  }
+}
@@ -12,6 +12,7 @@ import {
   BookmarkService,
   showNotification
 } from '../../../index.js';
+import { notifyDeleted } from './trash-manager.js';
 
 export class StateBookmarkManager {
   constructor(elements) {
@@ -183,6 +184,33 @@ export class StateBookmarkManager {
     return 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyNCAyNCI+PHBhdGggZmlsbD0iI2NjYyIgZD0iTTEyIDJjNS41MiAwIDEwIDQuNDggMTAgMTBzLTQuNDggMTAtMTAgMTAtMTAtNC40OC0xMC0xMCA0LjQ4LTEwIDEwLTEwem0wIDE4YzQuNDIgMCA4LTMuNTggOC04cy0zLjU4LTgtOC04LTggMy41OC04IDggMy41OCA4IDggOHptMC0xNGMzLjMxIDAgNiAyLjY5IDYgNnMtMi42OSA2LTYgNi02LTIuNjktNi02IDIuNjktNiA2LTZ6bTAgMTBjMi4yMSAwIDQtMS43OSA0LTRzLTEuNzktNC00LTQtNCAxLjc5LTQgNCAxLjc5IDQgNCA0em0wLTZjMS4xIDAgMiAuOSAyIDJzLS45IDItMiAyLTItLjktMi0yIC45LTIgMi0yeiIvPjwvc3ZnPg==';
   }
 
+  /**
+   * Get the container the active topic opens its tabs in
+   * 
+   * @returns {string|null} Cookie store ID or null if the topic has no container
+   */
+  getContainerId() {
+    const state = store.getState();
+    const topic = selectors.selectTopicById(state, state.activeTopicId);
+    return topic && topic.containerId ? topic.containerId : null;
+  }
+
+  /**
+   * Open a bookmark in a new tab of a container
+   * 
+   * @param {string} url - Bookmark URL
+   * @param {string} containerId - Cookie store ID of the container
+   */
+  async openInContainer(url, containerId) {
+    try {
+      await browser.tabs.create({ url, cookieStoreId: containerId, active: true });
+    } catch (error) {
+      // The container may have been removed in the meantime
+      console.error('Error opening bookmark in container:', error);
+      showNotification('Could not open the bookmark in the topic\'s container', 'error');
+    }
+  }
+
   /**
    * Attach event listeners to bookmark elements
    */
@@ -207,6 +235,18 @@ export class StateBookmarkManager {
       const bookmarkId = item.dataset.id;
       const index = parseInt(item.dataset.index, 10);
       
+      // Bookmarks of a topic with a container open in it
+      const link = item.querySelector('.bookmark-link');
+      if (link) {
+        link.addEventListener('click', (e) => {
+          const containerId = this.getContainerId();
+          if (!containerId) return;
+          
+          e.preventDefault();
+          this.openInContainer(bookmarks[index].url, containerId);
+        });
+      }
+      
       // Edit button
       const editBtn = item.querySelector('.edit-btn');
       if (editBtn) {
@@ -298,11 +338,11 @@ export class StateBookmarkManager {
         return;
       }
       
-      // Delete bookmark in state
-      await this.bookmarkService.deleteBookmark(categoryId, bookmarkId);
+      // Delete bookmark in state, it goes to the trash
+      const trashItem = await this.bookmarkService.deleteBookmark(categoryId, bookmarkId);
       
       // Show success notification
-      showNotification('Bookmark deleted', 'success');
+      notifyDeleted('Bookmark deleted', trashItem);
       
       // Notify callback if provided
       if (this.callbacks.onBookmarkDelete) {
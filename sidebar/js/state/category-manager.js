@@ -10,13 +10,23 @@ import {
   actions,
   selectors,
   CategoryService,
+  BookmarkService,
   showNotification
 } from '../../../index.js';
+import { notifyDeleted } from './trash-manager.js';
+
+// Opening more bookmarks than this at once asks first
+const CONFIRM_OPEN_ALL_ABOVE = 15;
+
+// Bigger categories open as unloaded tabs that load when selected
+const OPEN_UNLOADED_ABOVE = 5;
 
 export class StateCategoryManager {
   constructor(elements) {
     this.elements = elements;
     this.categoryService = new CategoryService();
+    this.bookmarkService = new BookmarkService();
+    this.tabManager = null;
     this.callbacks = {
       onCategorySelect: null,
       onCategoryEdit: null,
@@ -51,6 +61,13 @@ export class StateCategoryManager {
     this.callbacks = { ...this.callbacks, ...callbacks };
   }
 
+  /**
+   * Set the tab manager, used to read and open the tabs of a topic
+   */
+  setTabManager(tabManager) {
+    this.tabManager = tabManager;
+  }
+
   /**
    * Get active topic ID
    */
@@ -110,6 +127,9 @@ export class StateCategoryManager {
             data-index="${index}">
           <span class="category-text">${this.escapeHTML(category.name)}</span>
           <div class="category-actions">
+            <button class="open-all-btn" title="Open All as Tabs">
+              <i class="fas fa-external-link-alt"></i>
+            </button>
             <button class="edit-btn" title="Edit Category">
               <i class="fas fa-edit"></i>
             </button>
@@ -143,10 +163,19 @@ export class StateCategoryManager {
       
       // Click on category to select
       item.addEventListener('click', (e) => {
-        if (!e.target.closest('.edit-btn') && !e.target.closest('.delete-btn')) {
+        if (!e.target.closest('.edit-btn') && !e.target.closest('.delete-btn') && !e.target.closest('.open-all-btn')) {
           this.handleCategorySelect(categories[index]);
         }
       });
+      
+      // Open all button
+      const openAllBtn = item.querySelector('.open-all-btn');
+      if (openAllBtn) {
+        openAllBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.handleCategoryOpenAll(categories[index]);
+        });
+      }
 
       // Edit button
       const editBtn = item.querySelector('.edit-btn');
@@ -188,6 +217,78 @@ export class StateCategoryManager {
     }
   }
 
+  /**
+   * Open the bookmarks of a category as tabs of the active topic
+   */
+  async handleCategoryOpenAll(category) {
+    const activeTopicId = this.getActiveTopicId();
+    if (!this.tabManager || !activeTopicId) return;
+    
+    const bookmarks = selectors.selectBookmarksByCategoryId(store.getState(), category.id);
+    if (bookmarks.length === 0) {
+      showNotification('The category has no bookmarks to open', 'info');
+      return;
+    }
+    
+    if (bookmarks.length > CONFIRM_OPEN_ALL_ABOVE &&
+        !confirm(`Open ${bookmarks.length} tabs from "${category.name}"?`)) {
+      return;
+    }
+    
+    const pages = bookmarks.map(bookmark => ({ url: bookmark.url, title: bookmark.title }));
+    const opened = await this.tabManager.openTabsInTopic(pages, activeTopicId, bookmarks.length > OPEN_UNLOADED_ABOVE);
+    
+    if (opened >= 0) {
+      showNotification(`Opened ${opened} tabs`, 'success');
+    }
+  }
+
+  /**
+   * Save the open tabs of the active topic as bookmarks of a new category
+   * 
+   * @param {string} name - Name of the new category
+   * @param {boolean} closeTabs - Close the tabs once they are saved
+   */
+  async saveOpenTabsAsCategory(name, closeTabs) {
+    try {
+      const trimmedName = name.trim();
+      if (!trimmedName) {
+        throw new Error('Category name cannot be empty');
+      }
+      
+      const activeTopicId = this.getActiveTopicId();
+      if (!activeTopicId || !this.tabManager) {
+        throw new Error('No active topic');
+      }
+      
+      const tabs = await this.tabManager.getTabsForTopic(activeTopicId);
+      if (tabs.length === 0) {
+        throw new Error('The topic has no open tabs');
+      }
+      
+      const category = await this.categoryService.createCategory(trimmedName, activeTopicId);
+      for (const tab of tabs) {
+        await this.bookmarkService.createBookmarkFromTab(tab, category.id);
+      }
+      
+      if (closeTabs) {
+        await this.tabManager.closeTabsForTopic(activeTopicId);
+      }
+      
+      // Hide the form and show the new category
+      const saveTabsForm = document.getElementById('save-tabs-form');
+      if (saveTabsForm) {
+        saveTabsForm.style.display = 'none';
+      }
+      this.handleCategorySelect(category);
+      
+      showNotification(`Saved ${tabs.length} tabs as "${trimmedName}"`, 'success');
+    } catch (error) {
+      console.error('Error saving tabs as category:', error);
+      showNotification('Error saving tabs: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Handle category editing
    */
@@ -259,8 +360,8 @@ export class StateCategoryManager {
         return;
       }
       
-      // Delete category in state
-      await this.categoryService.deleteCategory(activeTopicId, categoryId);
+      // Delete category in state, it goes to the trash
+      const trashItem = await this.categoryService.deleteCategory(activeTopicId, categoryId);
       
       // If this was the selected category, clear selection
       const state = store.getState();
@@ -271,7 +372,7 @@ export class StateCategoryManager {
       }
       
       // Show success notification
-      showNotification('Category deleted', 'success');
+      notifyDeleted('Category deleted', trashItem);
       
       // Notify callback if provided
       if (this.callbacks.onCategoryDelete) {
@@ -325,6 +426,35 @@ export class StateCategoryManager {
       });
     }
 
+    // Save open tabs as a category
+    const saveTabsBtn = document.getElementById('save-tabs-btn');
+    const saveTabsForm = document.getElementById('save-tabs-form');
+    const saveTabsNameInput = document.getElementById('save-tabs-name-input');
+    const saveTabsCloseInput = document.getElementById('save-tabs-close');
+    const confirmSaveTabsBtn = document.getElementById('confirm-save-tabs-btn');
+    const cancelSaveTabsBtn = document.getElementById('cancel-save-tabs-btn');
+    
+    if (saveTabsBtn && saveTabsForm) {
+      saveTabsBtn.addEventListener('click', () => {
+        saveTabsForm.style.display = 'block';
+        saveTabsNameInput.value = '';
+        saveTabsCloseInput.checked = false;
+        saveTabsNameInput.focus();
+      });
+    }
+    
+    if (confirmSaveTabsBtn && saveTabsNameInput) {
+      confirmSaveTabsBtn.addEventListener('click', () => {
+        this.saveOpenTabsAsCategory(saveTabsNameInput.value, saveTabsCloseInput.checked);
+      });
+    }
+    
+    if (cancelSaveTabsBtn && saveTabsForm) {
+      cancelSaveTabsBtn.addEventListener('click', () => {
+        saveTabsForm.style.display = 'none';
+      });
+    }
+    
     // Save edited category
     const saveEditCategoryBtn = document.getElementById('save-edit-category-btn');
     const editCategoryInput = document.getElementById('edit-category-input');
@@ -0,0 +1,160 @@
+/**
+ * State-Integrated Cleanup Manager
+ * 
+ * Shows the tabs that weren't used for longer than the stale tab threshold of their
+ * topic. The list is a dry run, nothing is closed until the user archives tabs from it.
+ * Tabs of topics with the archive policy are marked as ready to archive, the others
+ * are only listed for review. All stale tabs are counted on the panel button.
+ */
+
+import {
+  store,
+  selectors,
+  StaleTabModes,
+  MessageTypes,
+  escapeHtml,
+  showNotification
+} from '../../../index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class StateCleanupManager {
+  /**
+   * @param {Object} elements - Sidebar DOM elements
+   * @param {Object} tabManager - Sidebar tab manager, talks to the background
+   */
+  constructor(elements, tabManager) {
+    this.elements = elements;
+    this.tabManager = tabManager;
+    this.staleTabs = [];
+    
+    // The background reports each periodic check
+    browser.runtime.onMessage.addListener((message) => {
+      if (message.type === MessageTypes.STALE_TABS_UPDATED) {
+        this.refreshStaleTabs();
+      }
+    });
+  }
+
+  /**
+   * Get the name shown for the topic of a stale tab
+   */
+  getTopicLabel(topicId) {
+    const topic = selectors.selectTopicById(store.getState(), topicId);
+    return topic ? topic.name : 'Unknown topic';
+  }
+
+  /**
+   * Look up the stale tabs, update the stale tab count and the panel if it is shown
+   */
+  async refreshStaleTabs() {
+    this.staleTabs = await this.tabManager.getStaleTabs();
+    
+    const count = this.staleTabs.length;
+    if (this.elements.staleTabsBadge) {
+      this.elements.staleTabsBadge.textContent = count;
+      this.elements.staleTabsBadge.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+    
+    if (this.elements.staleTabsForm && this.elements.staleTabsForm.style.display === 'block') {
+      this.renderStaleTabs();
+    }
+  }
+
+  /**
+   * Render the list of stale tabs
+   */
+  renderStaleTabs() {
+    const list = this.elements.staleTabsList;
+    if (!list) return;
+    
+    this.elements.archiveAllStaleBtn.disabled = this.staleTabs.length === 0;
+    
+    if (this.staleTabs.length === 0) {
+      list.innerHTML = "<li class='empty-list'>No stale tabs</li>";
+      return;
+    }
+    
+    const now = Date.now();
+    list.innerHTML = this.staleTabs.map(staleTab => {
+      const days = Math.floor((now - staleTab.lastAccessed) / DAY_MS);
+      const policyLabel = staleTab.mode === StaleTabModes.ARCHIVE ? 'ready to archive' : 'for review';
+      
+      return `
+        <li class="stale-tab-item" data-tab-id="${staleTab.tabId}">
+          <div class="stale-tab-text">
+            <span class="stale-tab-title">${escapeHtml(staleTab.title || staleTab.url)}</span>
+            <span class="stale-tab-info">${escapeHtml(this.getTopicLabel(staleTab.topicId))} · ${days} days unused · ${policyLabel}</span>
+          </div>
+          <button class="archive-btn" title="Save as bookmark and close">
+            <i class="fas fa-archive"></i>
+          </button>
+        </li>
+      `;
+    }).join('');
+    
+    list.querySelectorAll('.stale-tab-item').forEach((item, index) => {
+      const staleTab = this.staleTabs[index];
+      item.title = staleTab.url;
+      
+      item.querySelector('.stale-tab-text').addEventListener('click', () => this.tabManager.focusTab(staleTab.tabId));
+      item.querySelector('.archive-btn').addEventListener('click', () => this.archiveTabs([staleTab.tabId]));
+    });
+  }
+
+  /**
+   * Archive tabs and show what is left
+   * 
+   * @param {Array<number>} tabIds - Firefox tab IDs
+   */
+  async archiveTabs(tabIds) {
+    const archived = await this.tabManager.archiveTabs(tabIds);
+    
+    if (archived >= 0) {
+      showNotification(`Archived ${archived} tabs to bookmarks`, 'success');
+    }
+    
+    await this.refreshStaleTabs();
+  }
+
+  /**
+   * Show or hide the stale tabs panel
+   */
+  async toggleStaleTabsForm() {
+    const form = this.elements.staleTabsForm;
+    if (!form) return;
+    
+    if (form.style.display === 'block') {
+      form.style.display = 'none';
+      return;
+    }
+    
+    form.style.display = 'block';
+    await this.refreshStaleTabs();
+  }
+
+  /**
+   * Setup stale tabs panel listeners and show the stale tab count
+   */
+  setupCleanupListeners() {
+    if (this.elements.staleTabsBtn) {
+      this.elements.staleTabsBtn.addEventListener('click', () => this.toggleStaleTabsForm());
+    }
+    
+    if (this.elements.archiveAllStaleBtn) {
+      this.elements.archiveAllStaleBtn.addEventListener('click', () => {
+        if (confirm(`Save ${this.staleTabs.length} tabs as bookmarks and close them?`)) {
+          this.archiveTabs(this.staleTabs.map(tab => tab.tabId));
+        }
+      });
+    }
+    
+    if (this.elements.closeStaleTabsBtn) {
+      this.elements.closeStaleTabsBtn.addEventListener('click', () => {
+        this.elements.staleTabsForm.style.display = 'none';
+      });
+    }
+    
+    this.refreshStaleTabs();
+  }
+}
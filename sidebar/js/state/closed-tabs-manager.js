@@ -0,0 +1,111 @@
+/**
+ * State-Integrated Closed Tabs Manager
+ * 
+ * Shows the recently closed tabs of the active topic in a collapsible section.
+ * The list is recorded by the background tab service, clicking an entry reopens
+ * the tab in the topic it was closed in.
+ */
+
+import {
+  store,
+  actions,
+  selectors,
+  escapeHtml,
+  formatDate
+} from '../../../index.js';
+
+export class StateClosedTabsManager {
+  /**
+   * @param {Object} elements - Sidebar DOM elements
+   * @param {Object} tabManager - Sidebar tab manager, reopens the tabs
+   */
+  constructor(elements, tabManager) {
+    this.elements = elements;
+    this.tabManager = tabManager;
+    
+    // Set up store subscription
+    this.unsubscribe = store.subscribe(this.handleStateChange.bind(this));
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Handle state changes from the store
+   */
+  handleStateChange(state) {
+    // Assignments change with every opened tab, the list doesn't depend on them
+    if (state.meta.lastChanged === 'tabAssignments') return;
+    
+    this.renderClosedTabs();
+  }
+
+  /**
+   * Render the header and, if the section is expanded, the closed tabs of the active topic
+   */
+  renderClosedTabs() {
+    if (!this.elements.closedTabsList) return;
+    
+    const state = store.getState();
+    const closedTabs = state.activeTopicId ? selectors.selectClosedTabs(state, state.activeTopicId) : [];
+    const expanded = Boolean(state.uiState.sidebarSections.closedTabs);
+    
+    this.elements.closedTabsCount.textContent = closedTabs.length;
+    this.elements.closedTabsToggle.classList.toggle('fa-chevron-down', expanded);
+    this.elements.closedTabsToggle.classList.toggle('fa-chevron-right', !expanded);
+    this.elements.closedTabsList.style.display = expanded ? 'block' : 'none';
+    
+    if (!expanded) return;
+    
+    if (closedTabs.length === 0) {
+      this.elements.closedTabsList.innerHTML = "<li class='empty-list'>No recently closed tabs in this topic</li>";
+      return;
+    }
+    
+    this.elements.closedTabsList.innerHTML = closedTabs.map(closedTab => `
+      <li class="closed-tab-item" data-id="${closedTab.id}">
+        ${closedTab.favIconUrl ? `<img class="favicon" src="${encodeURI(closedTab.favIconUrl)}" alt="">` : ''}
+        <span class="closed-tab-text">
+          <span class="closed-tab-title">${escapeHtml(closedTab.title || closedTab.url)}</span>
+          <span class="closed-tab-time">${formatDate(closedTab.closedAt)}</span>
+        </span>
+      </li>
+    `).join('');
+    
+    this.elements.closedTabsList.querySelectorAll('.closed-tab-item').forEach((item, index) => {
+      item.title = closedTabs[index].url;
+      item.addEventListener('click', () => this.restoreClosedTab(item.dataset.id));
+    });
+  }
+
+  /**
+   * Reopen a closed tab of the active topic
+   * 
+   * @param {string} closedTabId - ID of the closed tab entry
+   */
+  async restoreClosedTab(closedTabId) {
+    const topicId = store.getState().activeTopicId;
+    if (!topicId) return;
+    
+    await this.tabManager.restoreClosedTab(topicId, closedTabId);
+  }
+
+  /**
+   * Setup the section header listener
+   */
+  setupClosedTabsListeners() {
+    if (this.elements.closedTabsHeader) {
+      this.elements.closedTabsHeader.addEventListener('click', () => {
+        store.dispatch(actions.toggleSidebarSection('closedTabs'));
+      });
+    }
+    
+    this.renderClosedTabs();
+  }
+}
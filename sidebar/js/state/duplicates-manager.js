@@ -0,0 +1,187 @@
+/**
+ * State-Integrated Duplicates Manager
+ * 
+ * Lists open tabs that show the same page, within a topic or across topics, and
+ * offers to close the extra copies or gather them in one topic. The tabs are
+ * looked up and closed by the background duplicate service.
+ */
+
+import {
+  store,
+  selectors,
+  DuplicateActions,
+  GLOBAL_TOPIC_ID,
+  escapeHtml,
+  showNotification
+} from '../../../index.js';
+
+export class StateDuplicatesManager {
+  /**
+   * @param {Object} elements - Sidebar DOM elements
+   * @param {Object} tabManager - Sidebar tab manager, talks to the background
+   */
+  constructor(elements, tabManager) {
+    this.elements = elements;
+    this.tabManager = tabManager;
+    this.groups = [];
+  }
+
+  /**
+   * Get the name shown for the topic of a tab
+   */
+  getTopicLabel(topicId) {
+    if (topicId === GLOBAL_TOPIC_ID) return 'All topics';
+    
+    const topic = topicId ? selectors.selectTopicById(store.getState(), topicId) : null;
+    return topic ? topic.name : 'No topic';
+  }
+
+  /**
+   * Count the tabs of a group per topic
+   * 
+   * @param {Object} group - Group of duplicate tabs
+   * @returns {Map} Tab counts keyed by topic ID, null for unassigned tabs
+   */
+  countTabsPerTopic(group) {
+    const counts = new Map();
+    for (const tab of group.tabs) {
+      counts.set(tab.topicId, (counts.get(tab.topicId) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Look up the duplicate tabs and render them
+   */
+  async refreshDuplicates() {
+    this.groups = await this.tabManager.findDuplicateTabs();
+    this.renderDuplicates();
+  }
+
+  /**
+   * Render the groups of duplicate tabs
+   */
+  renderDuplicates() {
+    const list = this.elements.duplicatesList;
+    if (!list) return;
+    
+    if (this.groups.length === 0) {
+      list.innerHTML = "<li class='empty-list'>No duplicate tabs open</li>";
+      return;
+    }
+    
+    const topicOptions = store.getState().topics
+      .filter(topic => !topic.archived)
+      .map(topic => `<option value="${topic.id}">${escapeHtml(topic.name)}</option>`)
+      .join('');
+    
+    list.innerHTML = this.groups.map((group, index) => {
+      const counts = this.countTabsPerTopic(group);
+      const hasCopiesInTopic = [...counts.values()].some(count => count > 1);
+      
+      const topicBadges = [...counts.entries()].map(([topicId, count]) => `
+        <span class="duplicate-topic">
+          ${escapeHtml(this.getTopicLabel(topicId))} ×${count}
+          ${count > 1 ? `
+            <button class="close-in-topic-btn" data-topic-id="${topicId || ''}" title="Close the extra copies in this topic">
+              <i class="fas fa-times"></i>
+            </button>
+          ` : ''}
+        </span>
+      `).join('');
+      
+      return `
+        <li class="duplicate-item" data-index="${index}">
+          <span class="duplicate-title">${escapeHtml(group.title || group.urlPattern)}</span>
+          <div class="duplicate-topics">${topicBadges}</div>
+          <div class="duplicate-actions">
+            ${hasCopiesInTopic ? '<button class="keep-one-btn">One per topic</button>' : ''}
+            <select class="consolidate-select">
+              <option value="">Keep one, in topic…</option>
+              ${topicOptions}
+            </select>
+          </div>
+        </li>
+      `;
+    }).join('');
+    
+    this.attachEventListeners();
+  }
+
+  /**
+   * Attach event listeners to the duplicate groups
+   */
+  attachEventListeners() {
+    this.elements.duplicatesList.querySelectorAll('.duplicate-item').forEach(item => {
+      const group = this.groups[parseInt(item.getAttribute('data-index'), 10)];
+      item.title = group.tabs[0].url;
+      
+      item.querySelectorAll('.close-in-topic-btn').forEach(button => {
+        button.addEventListener('click', () => {
+          const topicId = button.getAttribute('data-topic-id') || null;
+          this.resolveGroup(group, DuplicateActions.CLOSE_IN_TOPIC, topicId);
+        });
+      });
+      
+      const keepOneBtn = item.querySelector('.keep-one-btn');
+      if (keepOneBtn) {
+        keepOneBtn.addEventListener('click', () => this.resolveGroup(group, DuplicateActions.KEEP_ONE_PER_TOPIC));
+      }
+      
+      const consolidateSelect = item.querySelector('.consolidate-select');
+      consolidateSelect.addEventListener('change', () => {
+        if (consolidateSelect.value) {
+          this.resolveGroup(group, DuplicateActions.CONSOLIDATE, consolidateSelect.value);
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolve a group of duplicate tabs and show what is left
+   * 
+   * @param {Object} group - Group of duplicate tabs
+   * @param {string} action - How to resolve the group (DuplicateActions)
+   * @param {string} [topicId] - Topic the action applies to
+   */
+  async resolveGroup(group, action, topicId = null) {
+    const closed = await this.tabManager.resolveDuplicateTabs(group.urlPattern, action, topicId);
+    
+    if (closed >= 0) {
+      showNotification(`Closed ${closed} duplicate tabs`, 'success');
+    }
+    
+    await this.refreshDuplicates();
+  }
+
+  /**
+   * Show or hide the duplicates panel
+   */
+  async toggleDuplicatesForm() {
+    const form = this.elements.duplicatesForm;
+    if (!form) return;
+    
+    if (form.style.display === 'block') {
+      form.style.display = 'none';
+      return;
+    }
+    
+    form.style.display = 'block';
+    await this.refreshDuplicates();
+  }
+
+  /**
+   * Setup duplicates panel listeners
+   */
+  setupDuplicatesFormListeners() {
+    if (this.elements.duplicatesBtn) {
+      this.elements.duplicatesBtn.addEventListener('click', () => this.toggleDuplicatesForm());
+    }
+    
+    if (this.elements.closeDuplicatesBtn) {
+      this.elements.closeDuplicatesBtn.addEventListener('click', () => {
+        this.elements.duplicatesForm.style.display = 'none';
+      });
+    }
+  }
+}
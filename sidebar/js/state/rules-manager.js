@@ -0,0 +1,268 @@
+/**
+ * State-Integrated Rules Manager
+ * 
+ * Lists and edits the routing rules that put tabs into topics by URL.
+ * The rules are applied by the background tab service when tabs open or navigate.
+ */
+
+import {
+  store,
+  selectors,
+  RuleService,
+  RulePatternTypes,
+  RuleActions,
+  escapeHtml,
+  showNotification
+} from '../../../index.js';
+
+// Labels shown in the rules list
+const PATTERN_TYPE_LABELS = {
+  [RulePatternTypes.HOST]: 'Host',
+  [RulePatternTypes.PREFIX]: 'Prefix',
+  [RulePatternTypes.REGEX]: 'Regex'
+};
+
+const ACTION_LABELS = {
+  [RuleActions.ASSIGN]: 'assign',
+  [RuleActions.SWITCH]: 'assign and switch',
+  [RuleActions.ASK]: 'ask'
+};
+
+export class StateRulesManager {
+  constructor(elements) {
+    this.elements = elements;
+    this.ruleService = new RuleService();
+    this.editingRuleId = null; // Rule shown in the form, null while adding a new one
+    
+    // Set up store subscription
+    this.unsubscribe = store.subscribe(this.handleStateChange.bind(this));
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Handle state changes from the store
+   */
+  handleStateChange(state) {
+    const { lastChanged } = state.meta;
+    if (lastChanged !== 'rules' && lastChanged !== 'topics') return;
+    
+    if (this.elements.rulesForm && this.elements.rulesForm.style.display === 'block') {
+      this.renderRules();
+    }
+  }
+
+  /**
+   * Render the rules list and the topic options of the form
+   */
+  renderRules() {
+    const state = store.getState();
+    const rules = selectors.selectRules(state);
+    
+    this.renderTopicOptions(state.topics);
+    
+    if (!this.elements.rulesList) return;
+    
+    if (rules.length === 0) {
+      this.elements.rulesList.innerHTML = "<li class='empty-list'>No rules yet. Add a pattern below.</li>";
+      return;
+    }
+    
+    this.elements.rulesList.innerHTML = rules.map(rule => {
+      const topic = selectors.selectTopicById(state, rule.topicId);
+      const topicName = topic ? topic.name : 'Unknown topic';
+      
+      return `
+        <li class="rule-item" data-id="${rule.id}">
+          <div class="rule-text">
+            <span class="rule-pattern" title="${PATTERN_TYPE_LABELS[rule.patternType]}">${escapeHtml(rule.pattern)}</span>
+            <span class="rule-target">${ACTION_LABELS[rule.action]} → ${escapeHtml(topicName)}</span>
+          </div>
+          <div class="rule-actions">
+            <button class="edit-btn" title="Edit Rule">
+              <i class="fas fa-edit"></i>
+            </button>
+            <button class="delete-btn" title="Delete Rule">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+        </li>
+      `;
+    }).join('');
+    
+    this.attachEventListeners();
+  }
+
+  /**
+   * Fill the topic select of the form, keeping the current selection
+   * 
+   * @param {Array} topics - All topics
+   */
+  renderTopicOptions(topics) {
+    const select = this.elements.ruleTopic;
+    if (!select) return;
+    
+    const selectedTopicId = select.value;
+    select.innerHTML = topics
+      .map(topic => `<option value="${topic.id}">${escapeHtml(topic.name)}</option>`)
+      .join('');
+    
+    if (topics.some(topic => topic.id === selectedTopicId)) {
+      select.value = selectedTopicId;
+    }
+  }
+
+  /**
+   * Attach event listeners to the rule items
+   */
+  attachEventListeners() {
+    this.elements.rulesList.querySelectorAll('.rule-item').forEach(item => {
+      const ruleId = item.getAttribute('data-id');
+      
+      item.querySelector('.edit-btn').addEventListener('click', () => this.editRule(ruleId));
+      item.querySelector('.delete-btn').addEventListener('click', () => this.deleteRule(ruleId));
+    });
+  }
+
+  /**
+   * Show or hide the rules panel
+   */
+  toggleRulesForm() {
+    const form = this.elements.rulesForm;
+    if (!form) return;
+    
+    if (form.style.display === 'block') {
+      form.style.display = 'none';
+      return;
+    }
+    
+    this.resetRuleForm();
+    this.renderRules();
+    form.style.display = 'block';
+  }
+
+  /**
+   * Clear the form for a new rule
+   */
+  resetRuleForm() {
+    this.editingRuleId = null;
+    this.elements.rulePattern.value = '';
+    this.elements.rulePatternType.value = RulePatternTypes.HOST;
+    this.elements.ruleAction.value = RuleActions.ASSIGN;
+    this.elements.saveRuleBtn.textContent = 'Add';
+    
+    const activeTopicId = store.getState().activeTopicId;
+    if (activeTopicId) {
+      this.elements.ruleTopic.value = activeTopicId;
+    }
+  }
+
+  /**
+   * Load a rule into the form
+   * 
+   * @param {string} ruleId - Rule ID
+   */
+  editRule(ruleId) {
+    const rule = this.ruleService.getRuleById(ruleId);
+    if (!rule) return;
+    
+    this.editingRuleId = ruleId;
+    this.elements.rulePattern.value = rule.pattern;
+    this.elements.rulePatternType.value = rule.patternType;
+    this.elements.ruleTopic.value = rule.topicId;
+    this.elements.ruleAction.value = rule.action;
+    this.elements.saveRuleBtn.textContent = 'Save';
+    this.elements.rulePattern.focus();
+  }
+
+  /**
+   * Add a new rule or save the edited one from the form
+   */
+  async saveRule() {
+    const ruleData = {
+      pattern: this.elements.rulePattern.value.trim(),
+      patternType: this.elements.rulePatternType.value,
+      topicId: this.elements.ruleTopic.value,
+      action: this.elements.ruleAction.value
+    };
+    
+    try {
+      if (this.editingRuleId) {
+        await this.ruleService.updateRule(this.editingRuleId, ruleData);
+        showNotification('Rule updated', 'success');
+      } else {
+        await this.ruleService.createRule(ruleData);
+        showNotification('Rule added', 'success');
+      }
+      
+      this.resetRuleForm();
+      this.renderRules();
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      showNotification(`Failed to save rule: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Delete a rule after confirmation
+   * 
+   * @param {string} ruleId - Rule ID
+   */
+  async deleteRule(ruleId) {
+    const rule = this.ruleService.getRuleById(ruleId);
+    if (!rule || !confirm(`Delete the rule for "${rule.pattern}"?`)) return;
+    
+    try {
+      await this.ruleService.deleteRule(ruleId);
+      
+      if (this.editingRuleId === ruleId) {
+        this.resetRuleForm();
+      }
+      
+      this.renderRules();
+      showNotification('Rule deleted', 'success');
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      showNotification('Failed to delete rule', 'error');
+    }
+  }
+
+  /**
+   * Setup rules form listeners
+   */
+  setupRulesFormListeners() {
+    if (this.elements.rulesBtn) {
+      this.elements.rulesBtn.addEventListener('click', () => this.toggleRulesForm());
+    }
+    
+    if (this.elements.saveRuleBtn) {
+      this.elements.saveRuleBtn.addEventListener('click', () => this.saveRule());
+    }
+    
+    if (this.elements.rulePattern) {
+      this.elements.rulePattern.addEventListener('keyup', (e) => {
+        if (e.key === 'Enter') {
+          this.saveRule();
+        }
+      });
+    }
+    
+    if (this.elements.cancelRuleBtn) {
+      // Leaves editing first, a second click closes the panel
+      this.elements.cancelRuleBtn.addEventListener('click', () => {
+        if (this.editingRuleId) {
+          this.resetRuleForm();
+        } else {
+          this.elements.rulesForm.style.display = 'none';
+        }
+      });
+    }
+  }
+}
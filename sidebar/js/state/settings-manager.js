@@ -0,0 +1,193 @@
+/**
+ * State-Integrated Settings Manager
+ * 
+ * Shows and edits the global extension settings kept in the settings slice of the store.
+ * Topics can override some of these settings, e.g. the hibernation policy.
+ */
+
+import {
+  store,
+  actions,
+  selectors,
+  HibernationModes,
+  StartPageModes,
+  StaleTabModes,
+  validateSettings,
+  showNotification
+} from '../../../index.js';
+
+export class StateSettingsManager {
+  constructor(elements) {
+    this.elements = elements;
+  }
+
+  /**
+   * Fill the settings form from the current state
+   */
+  renderSettings() {
+    if (!this.elements.settingsHibernationMode) return;
+    
+    const {
+      hibernation,
+      startPage,
+      staleTabs,
+      attachedTabs,
+      pinnedTabsGlobal,
+      switchToExistingTab,
+      autoCreateContainers,
+      showSubtopicTabs,
+      showTopicBadge,
+      trashRetentionDays
+    } = selectors.selectSettings(store.getState());
+    this.elements.settingsHibernationMode.value = hibernation.mode;
+    this.elements.settingsHibernationDelay.value = hibernation.delayMinutes;
+    this.updateDelayVisibility();
+    
+    this.elements.settingsStartMode.value = startPage.mode;
+    this.elements.settingsStartUrls.value = startPage.urls.join('\n');
+    this.updateStartUrlsVisibility();
+    
+    this.elements.settingsStaleMode.value = staleTabs.mode;
+    this.elements.settingsStaleDays.value = staleTabs.days;
+    this.updateStaleDaysVisibility();
+    
+    this.elements.settingsAttachedTabs.value = attachedTabs;
+    this.elements.settingsPinnedTabsGlobal.checked = pinnedTabsGlobal;
+    this.elements.settingsSwitchToExistingTab.checked = switchToExistingTab;
+    this.elements.settingsAutoCreateContainers.checked = autoCreateContainers;
+    this.elements.settingsShowSubtopicTabs.checked = showSubtopicTabs;
+    this.elements.settingsShowTopicBadge.checked = showTopicBadge;
+    this.elements.settingsTrashRetentionDays.value = trashRetentionDays;
+  }
+
+  /**
+   * Show the delay input only for the delayed hibernation mode
+   */
+  updateDelayVisibility() {
+    if (!this.elements.settingsHibernationDelayRow) return;
+    
+    const isDelayed = this.elements.settingsHibernationMode.value === HibernationModes.DELAYED;
+    this.elements.settingsHibernationDelayRow.style.display = isDelayed ? 'flex' : 'none';
+  }
+
+  /**
+   * Show the start URLs input only if topics open start pages
+   */
+  updateStartUrlsVisibility() {
+    if (!this.elements.settingsStartUrls) return;
+    
+    const opensUrls = this.elements.settingsStartMode.value === StartPageModes.URLS;
+    this.elements.settingsStartUrls.style.display = opensUrls ? 'block' : 'none';
+  }
+
+  /**
+   * Show the stale tab threshold only if stale tabs are looked for
+   */
+  updateStaleDaysVisibility() {
+    if (!this.elements.settingsStaleDaysRow) return;
+    
+    const looksForStaleTabs = this.elements.settingsStaleMode.value !== StaleTabModes.OFF;
+    this.elements.settingsStaleDaysRow.style.display = looksForStaleTabs ? 'flex' : 'none';
+  }
+
+  /**
+   * Show or hide the settings form
+   */
+  toggleSettingsForm() {
+    const form = this.elements.settingsForm;
+    if (!form) return;
+    
+    if (form.style.display === 'block') {
+      form.style.display = 'none';
+      return;
+    }
+    
+    this.renderSettings();
+    form.style.display = 'block';
+  }
+
+  /**
+   * Save the settings from the form
+   */
+  saveSettings() {
+    try {
+      const hibernation = {
+        mode: this.elements.settingsHibernationMode.value,
+        delayMinutes: parseInt(this.elements.settingsHibernationDelay.value, 10)
+      };
+      
+      const startMode = this.elements.settingsStartMode.value;
+      const startPage = {
+        mode: startMode,
+        urls: startMode === StartPageModes.URLS
+          ? this.elements.settingsStartUrls.value.split('\n').map(url => url.trim()).filter(Boolean)
+          : []
+      };
+      
+      const staleTabs = {
+        mode: this.elements.settingsStaleMode.value,
+        days: parseInt(this.elements.settingsStaleDays.value, 10)
+      };
+      
+      const attachedTabs = this.elements.settingsAttachedTabs.value;
+      const pinnedTabsGlobal = this.elements.settingsPinnedTabsGlobal.checked;
+      const switchToExistingTab = this.elements.settingsSwitchToExistingTab.checked;
+      const autoCreateContainers = this.elements.settingsAutoCreateContainers.checked;
+      const showSubtopicTabs = this.elements.settingsShowSubtopicTabs.checked;
+      const showTopicBadge = this.elements.settingsShowTopicBadge.checked;
+      const trashRetentionDays = parseInt(this.elements.settingsTrashRetentionDays.value, 10);
+      
+      const settings = {
+        hibernation,
+        startPage,
+        staleTabs,
+        attachedTabs,
+        pinnedTabsGlobal,
+        switchToExistingTab,
+        autoCreateContainers,
+        showSubtopicTabs,
+        showTopicBadge,
+        trashRetentionDays
+      };
+      validateSettings(settings);
+      store.dispatch(actions.updateSettings(settings));
+      
+      this.elements.settingsForm.style.display = 'none';
+      showNotification('Settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      showNotification(`Failed to save settings: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Setup settings form listeners
+   */
+  setupSettingsFormListeners() {
+    if (this.elements.settingsBtn) {
+      this.elements.settingsBtn.addEventListener('click', () => this.toggleSettingsForm());
+    }
+    
+    if (this.elements.settingsHibernationMode) {
+      this.elements.settingsHibernationMode.addEventListener('change', () => this.updateDelayVisibility());
+    }
+    
+    if (this.elements.settingsStartMode) {
+      this.elements.settingsStartMode.addEventListener('change', () => this.updateStartUrlsVisibility());
+    }
+    
+    if (this.elements.settingsStaleMode) {
+      this.elements.settingsStaleMode.addEventListener('change', () => this.updateStaleDaysVisibility());
+    }
+    
+    if (this.elements.saveSettingsBtn) {
+      this.elements.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
+    }
+    
+    if (this.elements.cancelSettingsBtn) {
+      this.elements.cancelSettingsBtn.addEventListener('click', () => {
+        this.elements.settingsForm.style.display = 'none';
+      });
+    }
+  }
+}
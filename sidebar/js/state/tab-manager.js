@@ -1,740 +1,475 @@
 /**
  * State-Integrated Tab Manager
  * 
- * This manager handles Firefox tab operations and integrates with the state management system.
- * It tracks which tabs belong to which topics and controls their visibility.
- * Uses stable tab identification that persists across browser restarts and page reloads.
+ * Sidebar-side access to tab management. The tabs themselves are managed by the
+ * TabService in the background script, so hiding and showing keeps working while
+ * the sidebar is closed. This manager sends requests to it and reports the results.
  */
 
-import { 
-  store,
-  actions,
-  selectors,
+import {
+  MessageTypes,
+  sendMessage,
   showNotification
 } from '../../../index.js';
-import { TabIdentifier } from '../../../utils/tab-identifier.js';
 
 export class StateTabManager {
-  constructor() {
-    this.stableIdToTopicMap = new Map(); // Maps stable tab IDs to topic IDs
-    this.tabIdentifier = new TabIdentifier(); // Tab identifier for stable IDs
-    this.hasTabHideAPI = this.checkTabHideAPI();
+  /**
+   * @param {number} [windowId] - Window of the sidebar, topic switches apply to it
+   */
+  constructor(windowId = null) {
+    this.windowId = windowId;
     this.DEBUG = true;
-    
-    // Set up store subscription
-    this.unsubscribe = store.subscribe(this.handleStateChange.bind(this));
   }
 
   /**
    * Clean up resources
    */
   destroy() {
-    if (this.unsubscribe) {
-      this.unsubscribe();
-    }
+    // Nothing to clean up, the background owns all tab listeners
   }
 
   /**
-   * Handle state changes from the store
+   * Log a message with the TabManager prefix
    */
-  handleStateChange(state) {
-    // Only respond to changes in activeTopicId
-    if (state.activeTopicId && state.meta && state.meta.lastChanged === 'activeTopicId') {
-      this.log(`Detected active topic change to: ${state.activeTopicId}`);
-      this.handleTopicChange(state.activeTopicId);
-    }
+  log(...args) {
+    if (this.DEBUG) console.log("[StateTabManager]", ...args);
   }
 
   /**
-   * Check if the tab hide API is available
+   * Initialize the tab manager
+   * 
+   * @returns {Promise<boolean>} True if tab management is available
    */
-  checkTabHideAPI() {
+  async initialize() {
     try {
-      return typeof browser !== 'undefined' && 
-             browser.tabs && 
-             typeof browser.tabs.hide === 'function' &&
-             typeof browser.tabs.show === 'function';
+      const status = await sendMessage(MessageTypes.GET_TAB_STATUS);
+      
+      if (!status || !status.hasTabHideAPI) {
+        this.log("[ERROR] Tab Hide API not available");
+        showNotification('Tab hiding API not available, tab management is disabled', 'error');
+        return false;
+      }
+      
+      this.log(`Connected to background tab service, active topic: ${status.activeTopicId}`);
+      return status.initialized;
     } catch (e) {
+      this.log(`[ERROR] Initialization failed: ${e.message}`);
+      showNotification('Failed to initialize tab management', 'error');
       return false;
     }
   }
 
   /**
-   * Check if a tab is a regular browsing tab
+   * Switch the sidebar's window to a topic, hiding the tabs of all other topics there
+   * 
+   * @param {string} topicId - Topic ID to switch to
+   * @returns {Promise<Object>} Switch status from the background
    */
-  isRegularTab(url) {
-    return url && 
-           !url.startsWith("about:") && 
-           !url.startsWith("chrome:") && 
-           !url.startsWith("moz-extension:") &&
-           url !== "about:blank";
+  async switchTopic(topicId) {
+    try {
+      const result = await sendMessage(MessageTypes.SWITCH_TOPIC, { topicId, windowId: this.windowId });
+      
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
+      }
+      
+      this.log(`Switched to topic ${topicId}: ${result.tabsShown} shown, ${result.tabsHidden} hidden`);
+      return result;
+    } catch (e) {
+      this.log(`[ERROR] switchTopic failed: ${e.message}`);
+      showNotification('Error switching topic tabs', 'error');
+      return { success: false, topicId, error: e.message };
+    }
   }
 
   /**
-   * Log a message with the TabManager prefix
+   * Validate tab assignments
    */
-  log(...args) {
-    if (this.DEBUG) console.log("[StateTabManager]", ...args);
+  async validateTabAssignments() {
+    try {
+      const result = await sendMessage(MessageTypes.VALIDATE_TAB_ASSIGNMENTS);
+      return Boolean(result && result.success);
+    } catch (e) {
+      this.log(`[ERROR] validateTabAssignments failed: ${e.message}`);
+      return false;
+    }
   }
 
   /**
-   * Initialize the tab manager
+   * Close all tabs for a topic
    */
-  async initialize() {
-    if (!this.hasTabHideAPI) {
-      this.log("[ERROR] Tab Hide API not available");
-      showNotification('Tab hiding API not available, tab management is disabled', 'error');
-      return false;
-    }
-    
+  async closeTabsForTopic(topicId) {
     try {
-      this.log("Initializing tab manager...");
+      const result = await sendMessage(MessageTypes.CLOSE_TOPIC_TABS, { topicId });
       
-      // Load previously saved tab assignments
-      await this.loadTabAssignments();
-      
-      // Get current state
-      const state = store.getState();
-      const topics = state.topics;
-      const activeTopicId = state.activeTopicId;
-      
-      // Get all tabs
-      const allTabs = await browser.tabs.query({});
-      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
-      this.log(`Found ${regularTabs.length} regular tabs`);
-      
-      // Set initial topic if there is an active topic
-      const activeTopic = selectors.selectActiveTopic(state);
-      
-      // Assign tabs to topics (only for tabs not yet assigned)
-      await this.assignInitialTabs(regularTabs, topics, activeTopicId);
-      
-      // Enforce visibility based on current topic
-      if (activeTopicId) {
-        await this.enforceTabVisibility(activeTopicId);
+      if (!result || !result.success) {
+        throw new Error('Background could not close tabs');
       }
       
-      // Setup event listeners
-      this.setupTabListeners();
-      
-      this.log(`Initialization complete, active topic: ${activeTopicId}`);
       return true;
     } catch (e) {
-      this.log(`[ERROR] Initialization failed: ${e.message}`);
-      showNotification('Failed to initialize tab management', 'error');
+      this.log(`[ERROR] closeTabsForTopic failed: ${e.message}`);
+      showNotification('Failed to close tabs for topic', 'error');
       return false;
     }
   }
 
   /**
-   * Assign initial tabs to topics
+   * Park a topic: its tabs are stored in the topic and closed until it is shown again
+   * 
+   * @param {string} topicId - Topic ID to park
+   * @returns {Promise<number>} Number of parked tabs, -1 if parking failed
    */
-  async assignInitialTabs(regularTabs, topics, activeTopicId) {
-    this.log(`Assigning initial tabs to topics`);
-    const assignedTabs = new Set();
-    
-    // Process all regular tabs
-    for (const tab of regularTabs) {
-      // Generate a stable ID for the tab
-      const stableId = await this.tabIdentifier.getStableTabId(tab);
+  async parkTopic(topicId) {
+    try {
+      const result = await sendMessage(MessageTypes.PARK_TOPIC, { topicId });
       
-      // If this stable ID isn't assigned to any topic yet
-      if (!this.stableIdToTopicMap.has(stableId)) {
-        if (activeTopicId) {
-          // Assign to active topic
-          this.stableIdToTopicMap.set(stableId, activeTopicId);
-          assignedTabs.add(stableId);
-          this.log(`Assigned tab ${tab.id} (stable ID: ${stableId}) to active topic ${activeTopicId}`);
-        } else if (topics.length > 0) {
-          // If no active topic but we have topics, assign to first topic
-          const firstTopicId = topics[0].id;
-          this.stableIdToTopicMap.set(stableId, firstTopicId);
-          assignedTabs.add(stableId);
-          this.log(`Assigned tab ${tab.id} (stable ID: ${stableId}) to first topic ${firstTopicId}`);
-        }
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
       }
+      
+      return result.parked;
+    } catch (e) {
+      this.log(`[ERROR] parkTopic failed: ${e.message}`);
+      showNotification('Failed to park topic', 'error');
+      return -1;
     }
-    
-    // Persist the assignments
-    await this.persistTabAssignments();
-    
-    // Log summary of tab assignments
-    this.logTabAssignments();
   }
 
   /**
-   * Enforce tab visibility based on the active topic
+   * Archive a topic and its sub-topics, parking or closing their tabs
+   * 
+   * @param {string} topicId - Topic ID to archive
+   * @param {boolean} closeTabs - Close the tabs instead of parking them
+   * @returns {Promise<number>} Number of archived topics, -1 if archiving failed
    */
-  async enforceTabVisibility(activeTopicId) {
+  async archiveTopic(topicId, closeTabs) {
     try {
-      if (!activeTopicId) return;
-      
-      this.log(`Enforcing tab visibility for topic ${activeTopicId}`);
-      
-      const allTabs = await browser.tabs.query({});
-      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
-      
-      const tabsToShow = [];
-      const tabsToHide = [];
-      
-      // Categorize tabs
-      for (const tab of regularTabs) {
-        // Get the stable ID for this tab
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        
-        // Get the topic ID assigned to this stable ID
-        const tabTopicId = this.stableIdToTopicMap.get(stableId);
-        
-        if (tabTopicId === activeTopicId) {
-          if (tab.hidden) {
-            tabsToShow.push(tab.id);
-          }
-        } else {
-          if (!tab.hidden) {
-            tabsToHide.push(tab.id);
-          }
-        }
-      }
+      const result = await sendMessage(MessageTypes.ARCHIVE_TOPIC, { topicId, closeTabs });
       
-      // First hide tabs that should be hidden
-      if (tabsToHide.length > 0) {
-        this.log(`Hiding ${tabsToHide.length} tabs not in active topic`);
-        await browser.tabs.hide(tabsToHide);
-      }
-      
-      // Then show tabs that should be visible
-      if (tabsToShow.length > 0) {
-        this.log(`Showing ${tabsToShow.length} tabs for active topic`);
-        await browser.tabs.show(tabsToShow);
-      }
-      
-      // Verify the results
-      await this.verifyTabVisibility(activeTopicId);
-      
-      // Notify that tab visibility has changed
-      if (tabsToShow.length > 0 || tabsToHide.length > 0) {
-        try {
-          browser.runtime.sendMessage({ 
-            type: 'tabVisibilityChanged',
-            activeTopicId,
-            tabsShown: tabsToShow.length,
-            tabsHidden: tabsToHide.length
-          });
-        } catch (error) {
-          this.log(`[WARNING] Could not send tab visibility change message: ${error.message}`);
-        }
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
       }
       
+      return result.archived;
     } catch (e) {
-      this.log(`[ERROR] enforceTabVisibility failed: ${e.message}`);
-      showNotification('Error enforcing tab visibility', 'error');
+      this.log(`[ERROR] archiveTopic failed: ${e.message}`);
+      showNotification('Failed to archive topic: ' + e.message, 'error');
+      return -1;
     }
   }
 
   /**
-   * Handle topic change
+   * Open pages as tabs of a topic in the sidebar's window
+   * 
+   * @param {Array} pages - Array of { url, title }
+   * @param {string} topicId - Topic the tabs are assigned to
+   * @param {boolean} [discarded=false] - Create the tabs unloaded
+   * @returns {Promise<number>} Number of opened tabs, -1 if opening failed
    */
-  async handleTopicChange(newTopicId) {
-    if (!this.hasTabHideAPI || !newTopicId) return;
-    
+  async openTabsInTopic(pages, topicId, discarded = false) {
     try {
-      this.log(`Switching to topic ${newTopicId}`);
-      
-      // Get all tabs
-      const allTabs = await browser.tabs.query({});
-      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
-      
-      // Determine which tabs to hide/show
-      const tabsToHide = [];
-      const tabsToShow = [];
-      const currentTopicTabs = [];
-      
-      for (const tab of regularTabs) {
-        // Get the stable ID for this tab
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        
-        // Get the topic ID assigned to this stable ID
-        const tabTopicId = this.stableIdToTopicMap.get(stableId);
-        
-        // If tab belongs to new topic and is hidden, show it
-        if (tabTopicId === newTopicId) {
-          currentTopicTabs.push(tab);
-          if (tab.hidden) {
-            tabsToShow.push(tab.id);
-          }
-        } 
-        // If tab doesn't belong to new topic and is visible, hide it
-        else if (tabTopicId !== newTopicId && !tab.hidden) {
-          tabsToHide.push(tab.id);
-        }
-      }
-      
-      // First hide tabs that should be hidden
-      if (tabsToHide.length > 0) {
-        this.log(`Hiding ${tabsToHide.length} tabs not in new topic`);
-        await browser.tabs.hide(tabsToHide);
-      }
+      const result = await sendMessage(MessageTypes.OPEN_TABS_IN_TOPIC, {
+        pages,
+        topicId,
+        windowId: this.windowId,
+        discarded
+      });
       
-      // Then show tabs for current topic
-      if (tabsToShow.length > 0) {
-        this.log(`Showing ${tabsToShow.length} tabs for new topic`);
-        await browser.tabs.show(tabsToShow);
-        
-        // Activate a tab if we have any
-        if (currentTopicTabs.length > 0) {
-          const tabToActivate = currentTopicTabs[0].id;
-          await browser.tabs.update(tabToActivate, { active: true });
-          this.log(`Activated tab ${tabToActivate}`);
-        }
-      } else if (currentTopicTabs.length === 0) {
-        // ONLY Create default tab if topic has ZERO tabs
-        this.log(`Topic ${newTopicId} has no tabs visible, checking if it truly has no tabs...`);
-        
-        // Double check that this topic has no tabs at all before creating default
-        const allTopicTabs = await this.getTabsForTopic(newTopicId);
-        if (allTopicTabs.length === 0) {
-          this.log(`Confirmed topic ${newTopicId} has zero tabs, creating default tab`);
-          await this.createDefaultTab(newTopicId);
-        } else {
-          this.log(`Topic ${newTopicId} has ${allTopicTabs.length} tabs but none are visible, showing them`);
-          const tabIdsToShow = allTopicTabs.map(tab => tab.id);
-          await browser.tabs.show(tabIdsToShow);
-          
-          // Activate one of them
-          await browser.tabs.update(allTopicTabs[0].id, { active: true });
-        }
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
       }
       
-      // Verify final state
-      await this.verifyTabVisibility(newTopicId);
+      return result.opened;
+    } catch (e) {
+      this.log(`[ERROR] openTabsInTopic failed: ${e.message}`);
+      showNotification('Failed to open tabs', 'error');
+      return -1;
+    }
+  }
+
+  /**
+   * Reopen a recently closed tab in the topic it was closed in
+   * 
+   * @param {string} topicId - Topic ID the tab was closed in
+   * @param {string} closedTabId - ID of the closed tab entry
+   * @returns {Promise<boolean>} True if the tab was reopened
+   */
+  async restoreClosedTab(topicId, closedTabId) {
+    try {
+      const result = await sendMessage(MessageTypes.RESTORE_CLOSED_TAB, { topicId, closedTabId, windowId: this.windowId });
       
-      // Notify that topic tabs have changed
-      try {
-        browser.runtime.sendMessage({ 
-          type: 'topicChanged',
-          topicId: newTopicId,
-          tabsShown: tabsToShow.length,
-          tabsHidden: tabsToHide.length
-        });
-      } catch (error) {
-        this.log(`[WARNING] Could not send topic change message: ${error.message}`);
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
       }
       
       return true;
     } catch (e) {
-      this.log(`[ERROR] handleTopicChange failed: ${e.message}`);
-      showNotification('Error switching topic tabs', 'error');
+      this.log(`[ERROR] restoreClosedTab failed: ${e.message}`);
+      showNotification('Failed to reopen closed tab', 'error');
       return false;
     }
   }
 
   /**
-   * Create a default tab for a topic
+   * Search the open tabs of all topics by title and URL
+   * 
+   * @param {string} query - Search text
+   * @returns {Promise<Array>} - Array of { tabId, windowId, title, url, favIconUrl, hidden, topicId }
    */
-  async createDefaultTab(topicId) {
+  async searchTabs(query) {
     try {
-      // Only create default tab if topic has zero tabs - double check
-      const allTabs = await browser.tabs.query({});
-      const tabsForThisTopic = [];
-      
-      for (const tab of allTabs) {
-        if (!this.isRegularTab(tab.url)) continue;
-        
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        if (this.stableIdToTopicMap.get(stableId) === topicId) {
-          tabsForThisTopic.push(tab);
-        }
-      }
-      
-      // Don't create default tab if topic already has tabs
-      if (tabsForThisTopic.length > 0) {
-        this.log(`Topic ${topicId} already has ${tabsForThisTopic.length} tabs, skipping default tab creation`);
-        return null;
-      }
-      
-      this.log(`Creating default tab for topic ${topicId}`);
-      
-      // Create a unique URL for each topic to prevent mixing up default tabs
-      // Adding a hash parameter with the topic ID ensures each topic gets a unique default tab
-      const defaultUrl = `https://www.google.de/#topicId=${topicId}`;
-      
-      const newTab = await browser.tabs.create({
-        url: defaultUrl,
-        active: true
-      });
-      
-      // Generate a stable ID and assign to topic
-      const stableId = await this.tabIdentifier.getStableTabId(newTab);
-      this.stableIdToTopicMap.set(stableId, topicId);
-      this.log(`Assigned new tab ${newTab.id} (stable ID: ${stableId}) to topic ${topicId}`);
-      
-      // Persist the assignments
-      await this.persistTabAssignments();
-      
-      return newTab.id;
+      const results = await sendMessage(MessageTypes.SEARCH_TABS, { query });
+      return Array.isArray(results) ? results : [];
     } catch (e) {
-      this.log(`[ERROR] createDefaultTab failed: ${e.message}`);
-      showNotification('Failed to create default tab', 'error');
-      return null;
+      this.log(`[ERROR] searchTabs failed: ${e.message}`);
+      return [];
     }
   }
 
   /**
-   * Close all tabs for a topic
+   * Switch to the topic of a tab and focus the tab
+   * 
+   * @param {number} tabId - Firefox tab ID
+   * @returns {Promise<boolean>} True if the tab was focused
    */
-  async closeTabsForTopic(topicId) {
+  async focusTab(tabId) {
     try {
-      // Find all tabs for this topic
-      const allTabs = await browser.tabs.query({});
-      const tabsToClose = [];
-      const stableIdsToRemove = [];
-      
-      for (const tab of allTabs) {
-        if (!this.isRegularTab(tab.url)) continue;
-        
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        if (this.stableIdToTopicMap.get(stableId) === topicId) {
-          tabsToClose.push(tab.id);
-          stableIdsToRemove.push(stableId);
-        }
-      }
+      const result = await sendMessage(MessageTypes.FOCUS_TAB, { tabId });
       
-      if (tabsToClose.length > 0) {
-        this.log(`Closing ${tabsToClose.length} tabs for topic ${topicId}`);
-        
-        // Remove topic assignments for these tabs
-        for (const stableId of stableIdsToRemove) {
-          this.stableIdToTopicMap.delete(stableId);
-        }
-        
-        // Persist assignments before closing tabs
-        await this.persistTabAssignments();
-        
-        // Close the tabs
-        await browser.tabs.remove(tabsToClose);
-        
-        // Notify that tabs were removed for this topic
-        try {
-          browser.runtime.sendMessage({ 
-            type: 'topicTabsClosed',
-            topicId,
-            tabCount: tabsToClose.length
-          });
-        } catch (error) {
-          this.log(`[WARNING] Could not send topic tabs closed message: ${error.message}`);
-        }
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
       }
       
       return true;
     } catch (e) {
-      this.log(`[ERROR] closeTabsForTopic failed: ${e.message}`);
-      showNotification('Failed to close tabs for topic', 'error');
+      this.log(`[ERROR] focusTab failed: ${e.message}`);
+      showNotification('Failed to switch to tab', 'error');
       return false;
     }
   }
 
   /**
-   * Setup tab listeners
+   * Find groups of open tabs that show the same page
+   * 
+   * @returns {Promise<Array>} - Array of { urlPattern, title, tabs }
    */
-  setupTabListeners() {
-    // Tab created
-    browser.tabs.onCreated.addListener(async (tab) => {
-      if (!this.isRegularTab(tab.url)) return;
-      
-      // Get the active topic ID
-      const activeTopicId = store.getState().activeTopicId;
-      
-      // Generate a stable ID for this tab
-      const stableId = await this.tabIdentifier.getStableTabId(tab);
-      
-      // Only assign tab to a topic if it's not already assigned
-      if (!this.stableIdToTopicMap.has(stableId) && activeTopicId) {
-        this.log(`New tab created: ${tab.id} (${tab.url}), stable ID: ${stableId}`);
-        
-        // Assign to active topic
-        this.stableIdToTopicMap.set(stableId, activeTopicId);
-        this.log(`Assigned new tab with stable ID ${stableId} to active topic ${activeTopicId}`);
-        
-        // Persist the assignments
-        await this.persistTabAssignments();
-        
-        // Notify about the new tab assignment
-        try {
-          browser.runtime.sendMessage({ 
-            type: 'tabAssigned',
-            tabId: tab.id,
-            stableId,
-            topicId: activeTopicId
-          });
-        } catch (error) {
-          this.log(`[WARNING] Could not send tab assignment message: ${error.message}`);
-        }
-        
-        // Enforce visibility to ensure it matches topic
-        await this.enforceTabVisibility(activeTopicId);
-      }
-    });
-    
-    // Tab removed
-    browser.tabs.onRemoved.addListener(async (tabId) => {
-      // We need to find and clean up any stable IDs that were mapped to this tab
-      const stableIdsToRemove = [];
-      
-      for (const stableId of this.tabIdentifier.stableIdToTabIdMap.keys()) {
-        if (this.tabIdentifier.stableIdToTabIdMap.get(stableId) === tabId) {
-          stableIdsToRemove.push(stableId);
-        }
-      }
-      
-      // Clean up mappings
-      for (const stableId of stableIdsToRemove) {
-        const topicId = this.stableIdToTopicMap.get(stableId);
-        this.log(`Tab ${tabId} with stable ID ${stableId} removed from topic ${topicId}`);
-        
-        // Remove from mapping
-        this.tabIdentifier.clearTabMapping(tabId);
-        
-        // Note: We keep the stableIdToTopicMap intact so that if a tab with the same 
-        // stable ID is re-opened later, it will return to its original topic
-      }
-    });
-    
-    // Tab updated
-    browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-      if (changeInfo.url && this.isRegularTab(changeInfo.url)) {
-        this.log(`Tab URL updated: ${tabId} -> ${changeInfo.url}`);
-        
-        // Check if the URL change is significant enough to generate a new stable ID
-        const hasSignificantChange = await this.tabIdentifier.hasTabChangedSignificantly(tab);
-        
-        if (hasSignificantChange) {
-          // Generate a new stable ID for this tab
-          const newStableId = await this.tabIdentifier.updateStableId(tab);
-          
-          // Get the active topic ID
-          const activeTopicId = store.getState().activeTopicId;
-          
-          // Assign to active topic if not already assigned
-          if (!this.stableIdToTopicMap.has(newStableId) && activeTopicId) {
-            this.stableIdToTopicMap.set(newStableId, activeTopicId);
-            this.log(`Assigned updated tab with new stable ID ${newStableId} to active topic ${activeTopicId}`);
-            
-            // Persist the assignments
-            await this.persistTabAssignments();
-            
-            // Enforce visibility to ensure it matches topic
-            await this.enforceTabVisibility(activeTopicId);
-          }
-        }
-      }
-    });
+  async findDuplicateTabs() {
+    try {
+      const groups = await sendMessage(MessageTypes.FIND_DUPLICATE_TABS);
+      return Array.isArray(groups) ? groups : [];
+    } catch (e) {
+      this.log(`[ERROR] findDuplicateTabs failed: ${e.message}`);
+      return [];
+    }
   }
 
   /**
-   * Verify tab visibility
+   * Resolve a group of duplicate tabs
+   * 
+   * @param {string} urlPattern - Normalized URL of the group
+   * @param {string} action - How to resolve the group (DuplicateActions)
+   * @param {string} [topicId] - Topic the action applies to
+   * @returns {Promise<number>} - Number of closed tabs, -1 if resolving failed
    */
-  async verifyTabVisibility(activeTopicId) {
+  async resolveDuplicateTabs(urlPattern, action, topicId = null) {
     try {
-      const allTabs = await browser.tabs.query({});
-      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
-      
-      const visibleTabs = regularTabs.filter(tab => !tab.hidden);
-      const hiddenTabs = regularTabs.filter(tab => tab.hidden);
-      
-      this.log(`Tab state: ${visibleTabs.length} visible, ${hiddenTabs.length} hidden`);
+      const result = await sendMessage(MessageTypes.RESOLVE_DUPLICATE_TABS, { urlPattern, action, topicId });
       
-      // Check for incorrect visibility
-      const wrongVisibleTabs = [];
-      const wrongHiddenTabs = [];
-      
-      // Check visible tabs
-      for (const tab of visibleTabs) {
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        const topic = this.stableIdToTopicMap.get(stableId) || 'none';
-        const isCorrect = topic === activeTopicId;
-        
-        this.log(`Visible: Tab ${tab.id} (stable ID: ${stableId}) in topic ${topic} (${isCorrect ? 'CORRECT' : 'WRONG'})`);
-        
-        if (!isCorrect) {
-          wrongVisibleTabs.push(tab);
-        }
-      }
-      
-      // Check hidden tabs
-      for (const tab of hiddenTabs) {
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        const topic = this.stableIdToTopicMap.get(stableId);
-        
-        if (topic === activeTopicId) {
-          wrongHiddenTabs.push(tab);
-        }
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
       }
       
-      // Report errors
-      if (wrongVisibleTabs.length > 0) {
-        this.log(`ERROR: ${wrongVisibleTabs.length} tabs visible but in wrong topic!`);
-        
-        // Try to fix the issue
-        const tabIdsToHide = wrongVisibleTabs.map(tab => tab.id);
-        await browser.tabs.hide(tabIdsToHide);
-        this.log(`Attempted to hide ${tabIdsToHide.length} incorrectly visible tabs`);
-      }
+      return result.closed;
+    } catch (e) {
+      this.log(`[ERROR] resolveDuplicateTabs failed: ${e.message}`);
+      showNotification('Failed to resolve duplicate tabs', 'error');
+      return -1;
+    }
+  }
+
+  /**
+   * List the stale tabs of all topics without closing anything
+   * 
+   * @returns {Promise<Array>} - Array of { tabId, title, url, topicId, lastAccessed, mode }
+   */
+  async getStaleTabs() {
+    try {
+      const staleTabs = await sendMessage(MessageTypes.GET_STALE_TABS);
+      return Array.isArray(staleTabs) ? staleTabs : [];
+    } catch (e) {
+      this.log(`[ERROR] getStaleTabs failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Save tabs as bookmarks in the archive category of their topic and close them
+   * 
+   * @param {Array<number>} tabIds - Firefox tab IDs
+   * @returns {Promise<number>} - Number of archived tabs, -1 if archiving failed
+   */
+  async archiveTabs(tabIds) {
+    try {
+      const result = await sendMessage(MessageTypes.ARCHIVE_TABS, { tabIds });
       
-      if (wrongHiddenTabs.length > 0) {
-        this.log(`ERROR: ${wrongHiddenTabs.length} tabs hidden but should be visible!`);
-        
-        // Try to fix the issue
-        const tabIdsToShow = wrongHiddenTabs.map(tab => tab.id);
-        await browser.tabs.show(tabIdsToShow);
-        this.log(`Attempted to show ${tabIdsToShow.length} incorrectly hidden tabs`);
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'No response from background');
       }
       
-      return {
-        correct: wrongVisibleTabs.length === 0 && wrongHiddenTabs.length === 0,
-        wrongVisibleTabs,
-        wrongHiddenTabs
-      };
+      return result.archived;
     } catch (e) {
-      this.log(`[ERROR] verifyTabVisibility failed: ${e.message}`);
-      return { correct: false };
+      this.log(`[ERROR] archiveTabs failed: ${e.message}`);
+      showNotification('Failed to archive tabs', 'error');
+      return -1;
     }
   }
 
   /**
-   * Log tab assignments
+   * Get all tabs for a specific topic
+   * 
+   * @param {string} topicId - Topic ID to get tabs for
+   * @returns {Promise<Array>} - Array of tab objects for the topic
    */
-  logTabAssignments() {
-    // Group tabs by topic
-    const tabsByTopic = new Map();
-    
-    for (const [stableId, topicId] of this.stableIdToTopicMap.entries()) {
-      if (!tabsByTopic.has(topicId)) {
-        tabsByTopic.set(topicId, []);
-      }
-      tabsByTopic.get(topicId).push(stableId);
+  async getTabsForTopic(topicId) {
+    try {
+      const tabs = await sendMessage(MessageTypes.GET_TOPIC_TABS, { topicId });
+      return Array.isArray(tabs) ? tabs : [];
+    } catch (e) {
+      this.log(`[ERROR] getTabsForTopic failed: ${e.message}`);
+      return [];
     }
-    
-    // Log summary
-    this.log(`Current tab assignments by topic:`);
-    for (const [topicId, stableIds] of tabsByTopic.entries()) {
-      this.log(`Topic ${topicId}: ${stableIds.length} tabs - Stable IDs: ${stableIds.join(', ')}`);
+  }
+
+  /**
+   * Count unloaded (discarded) tabs per topic
+   * 
+   * @returns {Promise<Object>} - Unloaded tab counts keyed by topic ID
+   */
+  async getUnloadedTabCounts() {
+    try {
+      return (await sendMessage(MessageTypes.GET_UNLOADED_TAB_COUNTS)) || {};
+    } catch (e) {
+      this.log(`[ERROR] getUnloadedTabCounts failed: ${e.message}`);
+      return {};
     }
   }
 
   /**
-   * Validate tab assignments
+   * Replace all data with imported data and reassign the open tabs to the imported topics
+   * 
+   * @param {Object} importData - Parsed export file
+   * @returns {Promise<boolean>} - True if the import succeeded
    */
-  async validateTabAssignments() {
+  async importData(importData) {
     try {
-      this.log(`Validating tab assignments...`);
-      
-      // Get all current tabs
-      const allTabs = await browser.tabs.query({});
-      const regularTabs = allTabs.filter(tab => this.isRegularTab(tab.url));
-      
-      // Track changes
-      let changes = 0;
-      
-      // Get active topic ID
-      const activeTopicId = store.getState().activeTopicId;
-      if (!activeTopicId) return true;
-      
-      // Ensure all regular tabs have a topic assignment
-      for (const tab of regularTabs) {
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        
-        if (!this.stableIdToTopicMap.has(stableId)) {
-          this.log(`Assigning untracked tab ${tab.id} (stable ID: ${stableId}) to active topic ${activeTopicId}`);
-          this.stableIdToTopicMap.set(stableId, activeTopicId);
-          changes++;
-        }
+      const result = await sendMessage(MessageTypes.IMPORT_DATA, { importData });
+      if (!result || result.error) {
+        throw new Error(result ? result.error : 'No response from background');
       }
-      
-      // Clean up stale stable ID references
-      // Note: We keep stableIdToTopicMap entries even if the tab is closed, 
-      // as they may be needed if the tab is reopened later
-      
-      if (changes > 0) {
-        this.log(`Made ${changes} changes to tab assignments`);
-        // Persist the assignments
-        await this.persistTabAssignments();
-      } else {
-        this.log(`Tab assignments are valid, no changes needed`);
-      }
-      
-      return true;
+      return result.success;
     } catch (e) {
-      this.log(`[ERROR] validateTabAssignments failed: ${e.message}`);
+      this.log(`[ERROR] importData failed: ${e.message}`);
       return false;
     }
   }
-  
+
   /**
-   * Persist tab assignments to storage
-   * This allows tab assignments to survive extension restarts
+   * Get the assigned tabs for an export file
+   * 
+   * @returns {Promise<Array>} - Array of { url, title, topicId }
    */
-  async persistTabAssignments() {
+  async getTabsForExport() {
     try {
-      const assignments = Object.fromEntries(this.stableIdToTopicMap);
-      await browser.storage.local.set({ tabAssignments: assignments });
-      this.log('Tab assignments persisted to storage');
-      
-      // Send a message to notify other components that tab assignments have changed
-      try {
-        browser.runtime.sendMessage({ type: 'tabAssignmentsChanged' });
-      } catch (error) {
-        this.log(`[WARNING] Could not send tab assignments change message: ${error.message}`);
-      }
-      
-      return true;
+      const tabs = await sendMessage(MessageTypes.GET_TABS_FOR_EXPORT);
+      return Array.isArray(tabs) ? tabs : [];
     } catch (e) {
-      this.log(`[ERROR] Failed to persist tab assignments: ${e.message}`);
-      return false;
+      this.log(`[ERROR] getTabsForExport failed: ${e.message}`);
+      return [];
     }
   }
-  
+
   /**
-   * Load tab assignments from storage
+   * Assign open tabs to the topics of imported tabs
+   * 
+   * @param {Array} tabs - Array of { url, title, topicId }
+   * @returns {Promise<number>} - Number of tabs that were assigned
    */
-  async loadTabAssignments() {
+  async importTabAssignments(tabs) {
     try {
-      const data = await browser.storage.local.get('tabAssignments');
-      if (data && data.tabAssignments) {
-        this.stableIdToTopicMap = new Map(Object.entries(data.tabAssignments));
-        this.log(`Loaded ${this.stableIdToTopicMap.size} tab assignments from storage`);
-      }
-      return true;
+      const result = await sendMessage(MessageTypes.IMPORT_TAB_ASSIGNMENTS, { tabs });
+      return result && result.assigned ? result.assigned : 0;
     } catch (e) {
-      this.log(`[ERROR] Failed to load tab assignments: ${e.message}`);
-      return false;
+      this.log(`[ERROR] importTabAssignments failed: ${e.message}`);
+      showNotification('Failed to restore tab assignments', 'error');
+      return 0;
     }
   }
 
-/**
- * Get all tabs for a specific topic
- * 
- * @param {string} topicId - Topic ID to get tabs for
- * @returns {Promise<Array>} - Array of tab objects for the topic
- */
-async getTabsForTopic(topicId) {
+  /**
+   * Get the containers topics can open their tabs in
+   * 
+   * @returns {Promise<Array>} - Array of { cookieStoreId, name, color, icon }
+   */
+  async getContainers() {
     try {
-      const allTabs = await browser.tabs.query({});
-      const topicTabs = [];
-      
-      for (const tab of allTabs) {
-        if (!this.isRegularTab(tab.url)) continue;
-        
-        const stableId = await this.tabIdentifier.getStableTabId(tab);
-        if (this.stableIdToTopicMap.get(stableId) === topicId) {
-          topicTabs.push(tab);
-        }
+      const containers = await sendMessage(MessageTypes.GET_CONTAINERS);
+      return Array.isArray(containers) ? containers : [];
+    } catch (e) {
+      this.log(`[ERROR] getContainers failed: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Create a container for a topic
+   * 
+   * @param {string} name - Container name
+   * @returns {Promise<string|null>} - Cookie store ID of the new container, null if it failed
+   */
+  async createContainer(name) {
+    try {
+      const result = await sendMessage(MessageTypes.CREATE_CONTAINER, { name });
+      if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'Unknown error');
       }
-      
-      this.log(`Found ${topicTabs.length} tabs for topic ${topicId}`);
-      return topicTabs;
+      return result.containerId;
     } catch (e) {
-      this.log(`[ERROR] getTabsForTopic failed: ${e.message}`);
+      this.log(`[ERROR] createContainer failed: ${e.message}`);
+      showNotification('Failed to create a container for the topic', 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Get the containers of the topics for an export file
+   * 
+   * @returns {Promise<Array>} - Array of { topicId, name, color, icon }
+   */
+  async getContainersForExport() {
+    try {
+      const containers = await sendMessage(MessageTypes.GET_CONTAINERS_FOR_EXPORT);
+      return Array.isArray(containers) ? containers : [];
+    } catch (e) {
+      this.log(`[ERROR] getContainersForExport failed: ${e.message}`);
       return [];
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Bind imported topics to containers of this browser profile
+   * 
+   * @param {Array} containers - Array of { topicId, name, color, icon }
+   * @returns {Promise<number>} - Number of topics bound to a container
+   */
+  async importContainers(containers) {
+    try {
+      const result = await sendMessage(MessageTypes.IMPORT_CONTAINERS, { containers });
+      return result && result.bound ? result.bound : 0;
+    } catch (e) {
+      this.log(`[ERROR] importContainers failed: ${e.message}`);
+      showNotification('Failed to restore topic containers', 'error');
+      return 0;
+    }
+  }
+}
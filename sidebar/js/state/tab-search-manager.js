@@ -0,0 +1,134 @@
+/**
+ * State-Integrated Tab Search Manager
+ * 
+ * Searches the open tabs of all topics, hidden ones included, by title and URL.
+ * The tabs are searched by the background tab service, picking a result switches
+ * to its topic and focuses the tab.
+ */
+
+import {
+  store,
+  selectors,
+  GLOBAL_TOPIC_ID,
+  debounce,
+  escapeHtml
+} from '../../../index.js';
+
+// Wait for a pause in typing before asking the background, searches go over all tabs
+const SEARCH_DELAY_MS = 150;
+
+export class StateTabSearchManager {
+  /**
+   * @param {Object} elements - Sidebar DOM elements
+   * @param {Object} tabManager - Sidebar tab manager, searches and focuses the tabs
+   */
+  constructor(elements, tabManager) {
+    this.elements = elements;
+    this.tabManager = tabManager;
+    this.results = [];
+    this.searchCount = 0; // Number of the latest search, answers to older ones are dropped
+    this.debouncedSearch = debounce(() => this.search(), SEARCH_DELAY_MS);
+  }
+
+  /**
+   * Search the tabs for the text in the search box and show the results
+   */
+  async search() {
+    const query = this.elements.tabSearchInput.value.trim();
+    const searchNumber = ++this.searchCount;
+    
+    const results = query ? await this.tabManager.searchTabs(query) : [];
+    if (searchNumber !== this.searchCount) return;
+    
+    this.results = results;
+    this.renderResults(query);
+  }
+
+  /**
+   * Get the name shown for the topic of a result
+   */
+  getTopicLabel(topicId) {
+    if (topicId === GLOBAL_TOPIC_ID) return 'All topics';
+    
+    const topic = topicId ? selectors.selectTopicById(store.getState(), topicId) : null;
+    return topic ? topic.name : 'No topic';
+  }
+
+  /**
+   * Render the search results
+   * 
+   * @param {string} query - Text the results were searched for
+   */
+  renderResults(query) {
+    const list = this.elements.tabSearchResults;
+    if (!list) return;
+    
+    if (!query) {
+      list.innerHTML = '';
+      list.style.display = 'none';
+      return;
+    }
+    
+    list.style.display = 'block';
+    
+    if (this.results.length === 0) {
+      list.innerHTML = "<li class='empty-list'>No open tabs match</li>";
+      return;
+    }
+    
+    list.innerHTML = this.results.map(result => `
+      <li class="tab-search-item${result.hidden ? ' hidden-tab' : ''}" data-tab-id="${result.tabId}">
+        ${result.favIconUrl ? `<img class="favicon" src="${encodeURI(result.favIconUrl)}" alt="">` : ''}
+        <span class="tab-search-text">
+          <span class="tab-search-title">${escapeHtml(result.title || result.url)}</span>
+          <span class="tab-search-topic">${escapeHtml(this.getTopicLabel(result.topicId))}</span>
+        </span>
+      </li>
+    `).join('');
+    
+    list.querySelectorAll('.tab-search-item').forEach((item, index) => {
+      item.title = this.results[index].url;
+      item.addEventListener('click', () => this.focusResult(this.results[index]));
+    });
+  }
+
+  /**
+   * Switch to the topic of a result and focus its tab
+   * 
+   * @param {Object} result - Search result
+   */
+  async focusResult(result) {
+    if (await this.tabManager.focusTab(result.tabId)) {
+      this.clearSearch();
+    }
+  }
+
+  /**
+   * Empty the search box and hide the results
+   */
+  clearSearch() {
+    this.searchCount++;
+    this.results = [];
+    this.elements.tabSearchInput.value = '';
+    this.renderResults('');
+  }
+
+  /**
+   * Setup search box listeners
+   */
+  setupTabSearchListeners() {
+    const input = this.elements.tabSearchInput;
+    if (!input) return;
+    
+    input.addEventListener('input', () => this.debouncedSearch());
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && this.results.length > 0) {
+        e.preventDefault();
+        this.focusResult(this.results[0]);
+      } else if (e.key === 'Escape') {
+        this.clearSearch();
+      }
+    });
+  }
+}
@@ -7,12 +7,29 @@
 
 import { 
   store, 
-  actions, 
   selectors,
   TopicService,
+  HibernationModes,
+  StartPageModes,
+  StaleTabModes,
+  validateHibernationPolicy,
+  validateStartPage,
+  validateStaleTabPolicy,
+  TOPIC_COLORS,
+  TOPIC_ICONS,
+  validateTopicColor,
+  validateTopicIcon,
+  topicMarkerHtml,
+  debounce,
   showNotification
 } from '../../../index.js';
-import { TabIdentifier } from '../../../utils/tab-identifier.js';
+import { notifyDeleted } from './trash-manager.js';
+
+// Container choice of the edit form that creates a new container for the topic
+const NEW_CONTAINER = '__new__';
+
+// Icon choice of the edit form that takes the emoji typed next to it
+const EMOJI_ICON = '__emoji__';
 
 export class StateTopicManager {
   constructor(elements) {
@@ -22,37 +39,31 @@ export class StateTopicManager {
       onTopicSelect: null,
       onTopicEdit: null,
       onTopicDelete: null,
+      onTopicPark: null,
+      onTopicArchive: null,
       onTopicReorder: null
     };
     this.dragState = {
       draggedIndex: -1,
-      dropTarget: null
+      dropTarget: null,
+      dropPosition: null // 'before' or 'after' the target as a sibling, or 'inside' as its sub-topic
     };
     this.tabCountMap = new Map(); // Map to store tab counts by topic ID
-    this.tabIdentifier = new TabIdentifier(); // Use the same tab identifier as the tab manager
-
+    this.unloadedCountMap = new Map(); // Map to store unloaded (discarded) tab counts by topic ID
+    this.refreshUnloadedCounts = debounce(() => this.updateUnloadedCounts(), 500);
+    
+    // Discarding happens in the background, so watch the tabs for it
+    browser.tabs.onUpdated.addListener(() => this.refreshUnloadedCounts(), { properties: ['discarded'] });
+    
     // Set up store subscription
     this.unsubscribe = store.subscribe(this.handleStateChange.bind(this));
-
+    
     // Set up message listener for modal responses
     browser.runtime.onMessage.addListener((message) => {
       if (message.type === 'modalResponse') {
         this.handleModalResponse(message);
       }
     });
-    
-    // Set up tab event listeners to track tab counts
-    this.setupTabEventListeners();
-    
-    // Set up runtime message listeners for tab changes
-    browser.runtime.onMessage.addListener((message) => {
-      if (message.type === 'tabAssignmentsChanged' || 
-          message.type === 'tabVisibilityChanged' ||
-          message.type === 'tabAssigned' ||
-          message.type === 'topicTabsClosed') {
-        this.updateAllTabCounts();
-      }
-    });
   }
 
   /**
@@ -68,7 +79,12 @@ export class StateTopicManager {
    * Handle state changes from the store
    */
   handleStateChange(state) {
-    // Only re-render if topics or activeTopicId changed
+    // Tab assignment changes only affect the tab counts
+    if (state.meta.lastChanged === 'tabAssignments') {
+      this.updateAllTabCounts();
+      return;
+    }
+    
     this.renderTopics();
   }
 
@@ -111,199 +127,41 @@ export class StateTopicManager {
     const topics = this.getTopics();
     const activeTopicIndex = this.getActiveTopicIndex();
     
+    this.updateTabCountMap();
     this.elements.topicsList.innerHTML = this.generateTopicsHTML(topics, activeTopicIndex);
     this.attachEventListeners(topics);
-    
-    // Update tab counts after rendering
-    this.updateAllTabCounts();
-  }
-  
-  /**
-   * Set up tab event listeners to keep track of tab counts
-   */
-  setupTabEventListeners() {
-    // Update tab counts initially
-    this.updateAllTabCounts();
-
-    // Listen for tab creation - needs immediate update
-    browser.tabs.onCreated.addListener(async (tab) => {
-      await this.updateAllTabCounts();
-    });
-
-    // Listen for tab removal - needs immediate update
-    browser.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
-      await this.updateAllTabCounts();
-    });
-
-    // Listen for tab updates (URL changes)
-    browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-      if (changeInfo.url) {
-        await this.updateAllTabCounts();
-      }
-    });
-
-    // Listen for tab visibility changes - only if the API is available
-    try {
-      if (browser.tabs.onShown && browser.tabs.onHidden) {
-        browser.tabs.onShown.addListener(async (tabId, windowId) => {
-          console.log("Tab shown, updating tab counts");
-          await this.updateAllTabCounts();
-        });
-
-        browser.tabs.onHidden.addListener(async (tabId, windowId) => {
-          console.log("Tab hidden, updating tab counts");
-          await this.updateAllTabCounts();
-        });
-        console.log("Successfully added tab visibility event listeners");
-      } else {
-        console.log("Tab visibility events (onShown/onHidden) not available in this browser version");
-      }
-    } catch (err) {
-      console.warn("Could not set up tab visibility listeners:", err.message);
-    }
-
-    // Also update counts when we get a message from background
-    browser.runtime.onMessage.addListener(async (message) => {
-      if (message.type === 'tabsChanged' || message.type === 'topicChanged') {
-        await this.updateAllTabCounts();
-      }
-    });
+    this.refreshUnloadedCounts();
   }
 
   /**
    * Update tab counts for all topics
    */
-  async updateAllTabCounts() {
-    try {
-      console.log("🔄 Updating tab counts...");
-      
-      // Try to get counts from tab manager first (most accurate)
-      if (this.tabManager) {
-        try {
-          await this.updateTabCountsFromTabManager();
-          console.log("✓ Used tab manager for counting");
-          return true;
-        } catch (err) {
-          console.warn("Could not use tab manager for counting, falling back to storage-based counting", err);
-        }
-      }
-      
-      // Fallback: Count from storage and browser tabs
-      
-      // Get all tabs directly from browser API
-      const allTabs = await browser.tabs.query({});
-      
-      // Get tab assignments from storage
-      const tabAssignments = await browser.storage.local.get('tabAssignments');
-      const stableIdToTopicMap = tabAssignments.tabAssignments || {};
-      
-      // Reset counts
-      this.tabCountMap.clear();
-      
-      // Initialize counts for all topics to zero
-      const topics = this.getTopics();
-      topics.forEach(topic => {
-        this.tabCountMap.set(topic.id, 0);
-      });
-
-      // Add an additional safety check - make sure all topics have an entry
-      Object.values(stableIdToTopicMap).forEach(topicId => {
-        if (!this.tabCountMap.has(topicId)) {
-          this.tabCountMap.set(topicId, 0);
-        }
-      });
-
-      // Track tabs by topic ID for more accurate counting
-      const tabsByTopic = new Map();
-      const processedStableIds = new Set(); // Track by stable ID instead of tab ID
-      
-      // First pass: catalog all tabs by their stable IDs
-      const tabStableIds = new Map(); // Map tab IDs to stable IDs
-      
-      for (const tab of allTabs) {
-        if (!this.isRegularTab(tab.url)) continue;
-        
-        try {
-          const stableId = await this.getStableTabId(tab);
-          tabStableIds.set(tab.id, stableId);
-        } catch (err) {
-          console.error(`Error getting stable ID for tab ${tab.id}:`, err);
-        }
-      }
-      
-      // Second pass: group tabs by topic and count them
-      for (const tab of allTabs) {
-        if (!this.isRegularTab(tab.url)) continue;
-        
-        try {
-          const stableId = tabStableIds.get(tab.id);
-          if (!stableId) continue;
-          
-          // Skip if we've already processed this stable ID
-          if (processedStableIds.has(stableId)) continue;
-          processedStableIds.add(stableId);
-          
-          // Get topic for this tab
-          const topicId = stableIdToTopicMap[stableId];
-          if (!topicId) continue;
-          
-          // Add to the topic's tab collection
-          if (!tabsByTopic.has(topicId)) {
-            tabsByTopic.set(topicId, new Set());
-          }
-          tabsByTopic.get(topicId).add(tab.id);
-        } catch (err) {
-          console.error(`Error processing tab ${tab.id}:`, err);
-        }
-      }
-      
-      // Third pass: count tabs per topic and update the map
-      let totalTabs = 0;
-      for (const [topicId, tabSet] of tabsByTopic.entries()) {
-        if (this.tabCountMap.has(topicId)) {
-          const count = tabSet.size;
-          this.tabCountMap.set(topicId, count);
-          totalTabs += count;
-          console.log(`Topic ${topicId}: ${count} tabs`);
-        }
-      }
-      
-      // Log total tabs counted
-      console.log(`Total tabs counted: ${totalTabs}`);
-      
-      // Update UI with the new counts
-      this.updateTabCountUI();
-      
-      console.log("✅ Tab count update completed using storage-based method");
-      return true;
-    } catch (error) {
-      console.error('❌ Error updating tab counts:', error);
-      return false;
-    }
+  updateAllTabCounts() {
+    this.updateTabCountMap();
+    this.updateTabCountUI();
+    this.refreshUnloadedCounts();
   }
 
   /**
-   * Check if a tab is a regular browsing tab
+   * Ask the background for the unloaded tab counts of all topics
    */
-  isRegularTab(url) {
-    return url && 
-           !url.startsWith("about:") && 
-           !url.startsWith("chrome:") && 
-           !url.startsWith("moz-extension:") &&
-           url !== "about:blank";
+  async updateUnloadedCounts() {
+    if (!this.tabManager) return;
+    
+    const counts = await this.tabManager.getUnloadedTabCounts();
+    this.unloadedCountMap = new Map(Object.entries(counts));
+    this.updateTabCountUI();
   }
 
   /**
-   * Get stable ID for a tab
+   * Read the tab counts of all topics from the tabAssignments state
    */
-  async getStableTabId(tab) {
-    try {
-      // Use the TabIdentifier class to get the stable ID
-      return await this.tabIdentifier.getStableTabId(tab);
-    } catch (error) {
-      console.error('Error getting stable tab ID:', error);
-      return tab.url; // Fallback to using URL directly
-    }
+  updateTabCountMap() {
+    const counts = selectors.selectTabCountByTopic(store.getState());
+    
+    this.tabCountMap = new Map(
+      this.getTopics().map(topic => [topic.id, counts[topic.id] || 0])
+    );
   }
 
   /**
@@ -322,184 +180,94 @@ export class StateTopicManager {
         const count = this.tabCountMap.get(topicId) || 0;
         tabCountBadge.textContent = `(${count})`;
       }
+      
+      const unloadedBadge = item.querySelector('.unloaded-count-badge');
+      if (unloadedBadge && topicId) {
+        const unloaded = this.unloadedCountMap.get(topicId) || 0;
+        unloadedBadge.querySelector('.unloaded-count').textContent = unloaded;
+        unloadedBadge.classList.toggle('empty', unloaded === 0);
+      }
     });
   }
-  
+
   /**
    * Set a reference to the tab manager for better coordination
    */
   setTabManager(tabManager) {
     this.tabManager = tabManager;
-    
-    // Initial count using tab manager data
-    if (tabManager) {
-      this.updateTabCountsFromTabManager();
-    }
   }
-  
-  /**
-   * Alternative method to count tabs using the tab manager directly
-   * This helps ensure consistency between what's shown and what's counted
-   */
-  async updateTabCountsFromTabManager() {
-    if (!this.tabManager) return false;
-    
-    try {
-      // Get all topics
-      const topics = this.getTopics();
-      
-      // Create a new count map to avoid partial updates
-      const newTabCountMap = new Map();
-      
-      // Initialize counts for all topics to zero
-      topics.forEach(topic => {
-        newTabCountMap.set(topic.id, 0);
-      });
-      
-      // Ask tab manager for tabs per topic (most accurate method)
-      const activeTopicId = this.getActiveTopicId();
-      
-      // Update active topic first for better perceived performance
-      if (activeTopicId) {
-        try {
-          const topicTabs = await this.tabManager.getTabsForTopic(activeTopicId);
-          newTabCountMap.set(activeTopicId, topicTabs.length);
-          
-          // Apply this immediately for better UX
-          this.tabCountMap.set(activeTopicId, topicTabs.length);
-          this.updateTabCountForTopic(activeTopicId);
-        } catch (err) {
-          console.warn(`Could not get tabs for active topic ${activeTopicId}:`, err);
-        }
-      }
-      
-      // Get counts for all other topics
-      for (const topic of topics) {
-        // Skip active topic as we've already counted it
-        if (topic.id === activeTopicId) continue;
-        
-        try {
-          const topicTabs = await this.tabManager.getTabsForTopic(topic.id);
-          newTabCountMap.set(topic.id, topicTabs.length);
-        } catch (err) {
-          console.warn(`Could not get tabs for topic ${topic.id}:`, err);
-        }
-      }
-      
-      // Update the complete map at once
-      this.tabCountMap = newTabCountMap;
-      
-      // Update UI for all topics
-      this.updateTabCountUI();
-      return true;
-    } catch (error) {
-      console.error('Error counting tabs from tab manager:', error);
-      return false;
-    }
-  }
-  
-  /**
-   * Update tab count for a specific topic in the UI
-   */
-  updateTabCountForTopic(topicId) {
-    if (!this.elements.topicsList) return;
-    
-    const topicItem = this.elements.topicsList.querySelector(`.topic-item[data-id="${topicId}"]`);
-    if (!topicItem) return;
-    
-    const tabCountBadge = topicItem.querySelector('.tab-count-badge');
-    if (tabCountBadge) {
-      const count = this.tabCountMap.get(topicId) || 0;
-      tabCountBadge.textContent = `(${count})`;
-    }
-  }
-  
-  /**
-   * Count tabs per topic from the stable ID to topic map
-   */
-  countTabsPerTopic(stableIdToTopicMap) {
-    const counts = new Map();
-    
-    // Count occurrences of each topic ID
-    for (const topicId of stableIdToTopicMap.values()) {
-      if (!counts.has(topicId)) {
-        counts.set(topicId, 0);
-      }
-      counts.set(topicId, counts.get(topicId) + 1);
-    }
-    
-    return counts;
-  }
-  
+
   /**
-   * Get tabs for a topic if tab manager isn't available or doesn't have this method
+   * Get tabs for a topic from the tab manager
    */
   async getTabsForTopic(topicId) {
-    try {
-      // If we have a tab manager, use it
-      if (this.tabManager && typeof this.tabManager.getTabsForTopic === 'function') {
-        return await this.tabManager.getTabsForTopic(topicId);
-      }
-      
-      // Otherwise, implement our own version
-      // Get all tabs from browser
-      const allTabs = await browser.tabs.query({});
-      
-      // Get tab assignments from storage
-      const tabAssignments = await browser.storage.local.get('tabAssignments');
-      const stableIdToTopicMap = tabAssignments.tabAssignments || {};
-      
-      // Find tabs for this topic
-      const topicTabs = [];
-      
-      for (const tab of allTabs) {
-        if (!this.isRegularTab(tab.url)) continue;
-        
-        try {
-          // Get stable ID for this tab
-          const stableId = await this.getStableTabId(tab);
-          
-          // Check if tab belongs to this topic
-          if (stableIdToTopicMap[stableId] === topicId) {
-            topicTabs.push(tab);
-          }
-        } catch (err) {
-          console.error(`Error checking tab ${tab.id} for topic:`, err);
-        }
-      }
-      
-      return topicTabs;
-    } catch (error) {
-      console.error(`Error getting tabs for topic ${topicId}:`, error);
-      return [];
-    }
+    if (!this.tabManager) return [];
+    
+    return await this.tabManager.getTabsForTopic(topicId);
   }
 
   /**
    * Generate HTML for topics list
+   * Sub-topics follow their parent, indented by their depth. The sub-topics of
+   * collapsed topics are left out. data-index stays the position in the topic list.
    */
   generateTopicsHTML(topics, activeTopicIndex) {
     if (topics.length === 0) {
       return "<li class='empty-list'>No topics yet. Add your first topic!</li>";
     }
-
-    return topics.map((topic, index) => {
+    
+    const visibleTopics = [];
+    let collapsedDepth = Infinity; // Depth of the collapsed topic whose sub-topics are skipped
+    
+    for (const { topic, depth } of selectors.selectTopicTree({ topics })) {
+      if (depth > collapsedDepth) continue;
+      
+      collapsedDepth = topic.collapsed ? depth : Infinity;
+      visibleTopics.push({ topic, depth });
+    }
+    
+    return visibleTopics.map(({ topic, depth }) => {
+      const index = topics.indexOf(topic);
       const isSelected = index === activeTopicIndex;
+      const hasSubtopics = topics.some(t => t.parentId === topic.id && !t.archived);
       const tabCount = this.tabCountMap.get(topic.id) || 0;
+      const unloadedCount = this.unloadedCountMap.get(topic.id) || 0;
+      const parkedCount = topic.parkedTabs ? topic.parkedTabs.length : 0;
       
       return `
-        <li class="topic-item ${isSelected ? 'selected' : ''}" 
+        <li class="topic-item ${isSelected ? 'selected' : ''} ${parkedCount > 0 ? 'parked' : ''}" 
             data-id="${topic.id}" 
             data-index="${index}" 
+            style="--topic-depth: ${depth}"
             draggable="true">
+          ${hasSubtopics ? `
+            <button class="collapse-btn" title="${topic.collapsed ? 'Expand' : 'Collapse'} sub-topics">
+              <i class="fas fa-chevron-${topic.collapsed ? 'right' : 'down'}"></i>
+            </button>
+          ` : '<span class="collapse-spacer"></span>'}
           <span class="topic-text">
+            ${topicMarkerHtml(topic)}
             ${this.escapeHTML(topic.name)} 
             <span class="tab-count-badge">(${tabCount})</span>
+            <span class="unloaded-count-badge ${unloadedCount === 0 ? 'empty' : ''}" title="Unloaded tabs">
+              <i class="fas fa-moon"></i> <span class="unloaded-count">${unloadedCount}</span>
+            </span>
+            ${parkedCount > 0 ? `
+              <span class="parked-badge" title="Parked tabs, restored when switching to the topic">
+                <i class="fas fa-parking"></i> ${parkedCount}
+              </span>
+            ` : ''}
           </span>
           <div class="topic-actions">
+            <button class="park-btn" title="Park Topic (close its tabs until the next switch)">
+              <i class="fas fa-parking"></i>
+            </button>
             <button class="edit-btn" title="Edit Topic">
               <i class="fas fa-edit"></i>
             </button>
+            <button class="archive-btn" title="Archive Topic (hide it, keep its bookmarks)">
+              <i class="fas fa-archive"></i>
+            </button>
             <button class="delete-btn" title="Delete Topic">
               <i class="fas fa-trash"></i>
             </button>
@@ -523,7 +291,7 @@ export class StateTopicManager {
    */
   attachEventListeners(topics) {
     if (!this.elements.topicsList) return;
-
+    
     const topicItems = this.elements.topicsList.querySelectorAll('.topic-item');
     
     topicItems.forEach((item) => {
@@ -532,11 +300,12 @@ export class StateTopicManager {
       
       // Click on topic to select
       item.addEventListener('click', (e) => {
-        if (!e.target.closest('.edit-btn') && !e.target.closest('.delete-btn')) {
+        if (!e.target.closest('.edit-btn') && !e.target.closest('.delete-btn') && !e.target.closest('.park-btn') &&
+            !e.target.closest('.archive-btn') && !e.target.closest('.collapse-btn')) {
           this.handleTopicSelect(topicId);
         }
       });
-
+      
       // Drag and drop events
       item.addEventListener('dragstart', (e) => this.handleDragStart(e, index));
       item.addEventListener('dragover', (e) => this.handleDragOver(e));
@@ -544,16 +313,43 @@ export class StateTopicManager {
       item.addEventListener('dragleave', (e) => this.handleDragLeave(e));
       item.addEventListener('drop', (e) => this.handleDrop(e, index, topics));
       item.addEventListener('dragend', () => this.handleDragEnd());
-
+      
+      // Collapse button
+      const collapseBtn = item.querySelector('.collapse-btn');
+      if (collapseBtn) {
+        collapseBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.handleTopicCollapse(topicId);
+        });
+      }
+      
       // Edit button
       const editBtn = item.querySelector('.edit-btn');
       if (editBtn) {
         editBtn.addEventListener('click', (e) => {
           e.stopPropagation();
-          this.handleTopicEdit(topicId, topics[index].name);
+          this.handleTopicEdit(topicId, topics[index]);
         });
       }
-
+      
+      // Park button
+      const parkBtn = item.querySelector('.park-btn');
+      if (parkBtn) {
+        parkBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.handleTopicPark(topicId);
+        });
+      }
+      
+      // Archive button
+      const archiveBtn = item.querySelector('.archive-btn');
+      if (archiveBtn) {
+        archiveBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.handleTopicArchive(topicId);
+        });
+      }
+      
       // Delete button
       const deleteBtn = item.querySelector('.delete-btn');
       if (deleteBtn) {
@@ -567,37 +363,11 @@ export class StateTopicManager {
 
   /**
    * Handle topic selection
+   * The background switches the window and sets its topic, which reaches this
+   * sidebar's state through storage.
    */
   async handleTopicSelect(topicId) {
     try {
-      // Capture current active topic
-      const previousTopicId = this.getActiveTopicId();
-      
-      // Update active topic in state
-      store.dispatch(actions.setActiveTopic(topicId));
-      
-      // Immediately show UI feedback for better UX - update counts for both topics
-      // This will be refined later when the full count is updated
-      if (previousTopicId) {
-        // Previous topic likely has 0 visible tabs now
-        this.tabCountMap.set(previousTopicId, 0);
-        this.updateTabCountForTopic(previousTopicId);
-      }
-      
-      // For the new topic, immediately update count if we have tab manager
-      if (this.tabManager) {
-        try {
-          const topicTabs = await this.tabManager.getTabsForTopic(topicId);
-          this.tabCountMap.set(topicId, topicTabs.length);
-          this.updateTabCountForTopic(topicId);
-        } catch (err) {
-          // Silent fail, will be updated by the full count update
-        }
-      }
-      
-      // Update all tab counts for accuracy
-      this.updateAllTabCounts();
-      
       // Notify callback if provided
       if (this.callbacks.onTopicSelect) {
         const topic = selectors.selectTopicById(store.getState(), topicId);
@@ -609,10 +379,20 @@ export class StateTopicManager {
     }
   }
 
+  /**
+   * Collapse or expand the sub-topics of a topic
+   */
+  async handleTopicCollapse(topicId) {
+    const topic = selectors.selectTopicById(store.getState(), topicId);
+    if (!topic) return;
+    
+    await this.topicService.updateTopic(topicId, { collapsed: !topic.collapsed });
+  }
+
   /**
    * Handle topic editing
    */
-  handleTopicEdit(topicId, currentName) {
+  handleTopicEdit(topicId, topic) {
     if (!this.elements.editTopicForm || !this.elements.editTopicInput || !this.elements.editTopicId) {
       return;
     }
@@ -622,22 +402,259 @@ export class StateTopicManager {
     const idInput = this.elements.editTopicId;
     
     form.style.display = 'block';
-    input.value = currentName;
+    input.value = topic.name;
     idInput.value = topicId;
+    
+    // Topics without their own policy use the global one
+    const hibernation = topic.hibernation || { mode: HibernationModes.INHERIT };
+    if (this.elements.editTopicHibernationMode) {
+      this.elements.editTopicHibernationMode.value = hibernation.mode;
+      this.elements.editTopicHibernationDelay.value = hibernation.delayMinutes || 30;
+      this.updateHibernationDelayVisibility();
+    }
+    
+    const startPage = topic.startPage || { mode: StartPageModes.INHERIT, urls: [] };
+    if (this.elements.editTopicStartMode) {
+      this.elements.editTopicStartMode.value = startPage.mode;
+      this.elements.editTopicStartUrls.value = startPage.urls.join('\n');
+      this.updateStartUrlsVisibility();
+    }
+    
+    const staleTabs = topic.staleTabs || { mode: StaleTabModes.INHERIT };
+    if (this.elements.editTopicStaleMode) {
+      this.elements.editTopicStaleMode.value = staleTabs.mode;
+      this.elements.editTopicStaleDays.value = staleTabs.days || 14;
+      this.updateStaleDaysVisibility();
+    }
+    
+    this.renderAppearanceOptions(topic);
+    this.renderContainerOptions(topic);
+    
     input.focus();
   }
 
+  /**
+   * Fill the icon and color choices of the edit form
+   * 
+   * @param {Object} topic - Topic that is edited
+   */
+  renderAppearanceOptions(topic) {
+    const iconSelect = this.elements.editTopicIcon;
+    const colorSelect = this.elements.editTopicColor;
+    if (!iconSelect || !colorSelect) return;
+    
+    iconSelect.innerHTML = '';
+    iconSelect.add(new Option('No icon', ''));
+    for (const icon of TOPIC_ICONS) {
+      iconSelect.add(new Option(icon.name, icon.value));
+    }
+    iconSelect.add(new Option('Emoji', EMOJI_ICON));
+    
+    colorSelect.innerHTML = '';
+    colorSelect.add(new Option('No color', ''));
+    for (const color of TOPIC_COLORS) {
+      const option = new Option(color.name, color.value);
+      option.style.color = color.value;
+      colorSelect.add(option);
+    }
+    
+    const isBuiltIn = TOPIC_ICONS.some(icon => icon.value === topic.icon);
+    iconSelect.value = topic.icon ? (isBuiltIn ? topic.icon : EMOJI_ICON) : '';
+    this.elements.editTopicIconEmoji.value = topic.icon && !isBuiltIn ? topic.icon : '';
+    this.updateIconEmojiVisibility();
+    
+    colorSelect.value = TOPIC_COLORS.some(color => color.value === topic.color) ? topic.color : '';
+  }
+
+  /**
+   * Show the emoji input only if the topic uses an emoji as its icon
+   */
+  updateIconEmojiVisibility() {
+    if (!this.elements.editTopicIconEmoji) return;
+    
+    const usesEmoji = this.elements.editTopicIcon.value === EMOJI_ICON;
+    this.elements.editTopicIconEmoji.style.display = usesEmoji ? 'block' : 'none';
+  }
+
+  /**
+   * Read the icon and color from the edit form
+   * 
+   * @returns {Object|null} { icon, color }, null values remove them, null if the form has no choice
+   */
+  getEditedAppearance() {
+    if (!this.elements.editTopicIcon || !this.elements.editTopicColor) return null;
+    
+    const icon = this.elements.editTopicIcon.value === EMOJI_ICON
+      ? this.elements.editTopicIconEmoji.value.trim()
+      : this.elements.editTopicIcon.value;
+    
+    return {
+      icon: icon || null,
+      color: this.elements.editTopicColor.value || null
+    };
+  }
+
+  /**
+   * Fill the container choice of the edit form
+   * 
+   * @param {Object} topic - Topic that is edited
+   */
+  async renderContainerOptions(topic) {
+    const select = this.elements.editTopicContainer;
+    if (!select || !this.tabManager) return;
+    
+    const containers = await this.tabManager.getContainers();
+    
+    select.innerHTML = '';
+    select.add(new Option('No container', ''));
+    for (const container of containers) {
+      select.add(new Option(container.name, container.cookieStoreId));
+    }
+    select.add(new Option('New container for this topic', NEW_CONTAINER));
+    
+    select.value = containers.some(container => container.cookieStoreId === topic.containerId)
+      ? topic.containerId
+      : '';
+  }
+
+  /**
+   * Read the container choice from the edit form
+   * 
+   * @returns {string|null|undefined} Cookie store ID, NEW_CONTAINER, null for none, undefined if there is no choice
+   */
+  getEditedContainer() {
+    if (!this.elements.editTopicContainer || this.elements.editTopicContainer.options.length === 0) {
+      return undefined;
+    }
+    
+    return this.elements.editTopicContainer.value || null;
+  }
+
+  /**
+   * Show the delay input only for the delayed hibernation mode
+   */
+  updateHibernationDelayVisibility() {
+    if (!this.elements.editTopicHibernationDelayRow) return;
+    
+    const isDelayed = this.elements.editTopicHibernationMode.value === HibernationModes.DELAYED;
+    this.elements.editTopicHibernationDelayRow.style.display = isDelayed ? 'flex' : 'none';
+  }
+
+  /**
+   * Read the hibernation policy from the edit form
+   */
+  getEditedHibernationPolicy() {
+    if (!this.elements.editTopicHibernationMode) return null;
+    
+    return {
+      mode: this.elements.editTopicHibernationMode.value,
+      delayMinutes: parseInt(this.elements.editTopicHibernationDelay.value, 10)
+    };
+  }
+
+  /**
+   * Show the start URLs input only if the topic opens start pages
+   */
+  updateStartUrlsVisibility() {
+    if (!this.elements.editTopicStartUrls) return;
+    
+    const opensUrls = this.elements.editTopicStartMode.value === StartPageModes.URLS;
+    this.elements.editTopicStartUrls.style.display = opensUrls ? 'block' : 'none';
+  }
+
+  /**
+   * Read the start page from the edit form
+   */
+  getEditedStartPage() {
+    if (!this.elements.editTopicStartMode) return null;
+    
+    const mode = this.elements.editTopicStartMode.value;
+    const urls = mode === StartPageModes.URLS
+      ? this.elements.editTopicStartUrls.value.split('\n').map(url => url.trim()).filter(Boolean)
+      : [];
+    
+    return { mode, urls };
+  }
+
+  /**
+   * Show the stale tab threshold only if the topic looks for stale tabs itself
+   */
+  updateStaleDaysVisibility() {
+    if (!this.elements.editTopicStaleDaysRow) return;
+    
+    const mode = this.elements.editTopicStaleMode.value;
+    const hasThreshold = mode === StaleTabModes.ARCHIVE || mode === StaleTabModes.FLAG;
+    this.elements.editTopicStaleDaysRow.style.display = hasThreshold ? 'flex' : 'none';
+  }
+
+  /**
+   * Read the stale tab policy from the edit form
+   */
+  getEditedStaleTabPolicy() {
+    if (!this.elements.editTopicStaleMode) return null;
+    
+    return {
+      mode: this.elements.editTopicStaleMode.value,
+      days: parseInt(this.elements.editTopicStaleDays.value, 10)
+    };
+  }
+
   /**
    * Save edited topic
+   * 
+   * @param {string} topicId - Topic ID
+   * @param {string} newName - New topic name
+   * @param {Object} [options] - Optional { hibernation, startPage, staleTabs, appearance, containerId } to save with the topic,
+   *                              containerId NEW_CONTAINER creates a container for the topic
    */
-  async saveEditedTopic(topicId, newName) {
+  async saveEditedTopic(topicId, newName, {
+    hibernation = null,
+    startPage = null,
+    staleTabs = null,
+    appearance = null,
+    containerId = undefined
+  } = {}) {
     try {
       if (!newName.trim()) {
         throw new Error('Topic name cannot be empty');
       }
       
+      const updates = { name: newName.trim() };
+      
+      if (hibernation) {
+        validateHibernationPolicy(hibernation);
+        updates.hibernation = hibernation;
+      }
+      
+      if (startPage) {
+        validateStartPage(startPage);
+        updates.startPage = startPage;
+      }
+      
+      if (staleTabs) {
+        validateStaleTabPolicy(staleTabs);
+        updates.staleTabs = staleTabs;
+      }
+      
+      if (appearance) {
+        if (appearance.icon) validateTopicIcon(appearance.icon);
+        if (appearance.color) validateTopicColor(appearance.color);
+        updates.icon = appearance.icon;
+        updates.color = appearance.color;
+      }
+      
+      if (containerId === NEW_CONTAINER) {
+        // Keep the current container if no new one could be created
+        const newContainerId = this.tabManager && await this.tabManager.createContainer(updates.name);
+        if (newContainerId) {
+          updates.containerId = newContainerId;
+        }
+      } else if (containerId !== undefined) {
+        updates.containerId = containerId;
+      }
+      
       // Update topic in state
-      await this.topicService.updateTopic(topicId, { name: newName.trim() });
+      await this.topicService.updateTopic(topicId, updates);
       
       // Hide edit form
       if (this.elements.editTopicForm) {
@@ -661,14 +678,16 @@ export class StateTopicManager {
 
   /**
    * Handle topic deletion
+   * For a topic with sub-topics, asks whether they are deleted as well or move up one level.
    */
   async handleTopicDelete(topicId) {
     try {
       const state = store.getState();
-      const topics = state.topics;
+      // Archived topics can't be switched to, so they don't count
+      const visibleTopics = selectors.selectTopicTree(state).map(({ topic }) => topic);
       
       // Don't allow deleting the last topic
-      if (topics.length <= 1) {
+      if (visibleTopics.length <= 1) {
         showNotification("Can't delete the last topic", 'warning');
         return;
       }
@@ -678,22 +697,77 @@ export class StateTopicManager {
         return;
       }
       
-      // Delete topic in state
-      await this.topicService.deleteTopic(topicId);
+      const subtopicIds = selectors.selectDescendantTopicIds(state, topicId);
+      const subtopicCount = subtopicIds.length;
+      const deleteSubtopics = subtopicCount > 0 && confirm(
+        `Delete its ${subtopicCount} sub-topic${subtopicCount === 1 ? '' : 's'} as well?\n` +
+        'Cancel keeps them and moves them up one level.'
+      );
+      
+      if (deleteSubtopics && visibleTopics.every(topic => topic.id === topicId || subtopicIds.includes(topic.id))) {
+        showNotification("Can't delete the last topic", 'warning');
+        return;
+      }
+      
+      // Delete topic in state, it goes to the trash
+      const trashItem = await this.topicService.deleteTopic(topicId, { deleteSubtopics });
+      const deletedIds = trashItem ? trashItem.topics.map(({ topic }) => topic.id) : [topicId];
       
       // Show success notification
-      showNotification('Topic deleted', 'success');
+      notifyDeleted(deletedIds.length > 1 ? `${deletedIds.length} topics deleted` : 'Topic deleted', trashItem);
       
       // Notify callback if provided
       if (this.callbacks.onTopicDelete) {
-        this.callbacks.onTopicDelete(topicId);
+        deletedIds.forEach(id => this.callbacks.onTopicDelete(id));
       }
     } catch (error) {
       console.error('Error deleting topic:', error);
       showNotification('Error deleting topic: ' + error.message, 'error');
     }
   }
+  
+  /**
+   * Handle archiving a topic
+   * Asks whether the tabs of the topic and its sub-topics are parked or closed.
+   * The tabs are handled by the background, so archiving goes through the callback.
+   */
+  handleTopicArchive(topicId) {
+    const state = store.getState();
+    const topicIds = [topicId, ...selectors.selectDescendantTopicIds(state, topicId)];
+    
+    if (selectors.selectTopicTree(state).every(({ topic }) => topicIds.includes(topic.id))) {
+      showNotification("Can't archive the last topic", 'warning');
+      return;
+    }
+    
+    const message = topicIds.length > 1
+      ? `Archive this topic and its ${topicIds.length - 1} sub-topics?`
+      : 'Archive this topic?';
+    if (!confirm(`${message}\nIts categories and bookmarks are kept and it can be restored from the archive.`)) {
+      return;
+    }
+    
+    const tabCount = topicIds.reduce((sum, id) => sum + (this.tabCountMap.get(id) || 0), 0);
+    const closeTabs = tabCount > 0 && !confirm(
+      `Park its ${tabCount} open tab${tabCount === 1 ? '' : 's'} to reopen them after restoring?\n` +
+      'Cancel closes them.'
+    );
+    
+    if (this.callbacks.onTopicArchive) {
+      this.callbacks.onTopicArchive(topicId, closeTabs);
+    }
+  }
 
+  /**
+   * Handle parking a topic
+   * The tabs are closed by the background, so parking goes through the callback.
+   */
+  handleTopicPark(topicId) {
+    if (this.callbacks.onTopicPark) {
+      this.callbacks.onTopicPark(topicId);
+    }
+  }
+  
   // Drag and drop handlers
   handleDragStart(e, index) {
     this.dragState.draggedIndex = index;
@@ -701,12 +775,26 @@ export class StateTopicManager {
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', index.toString());
   }
-
+  
   handleDragOver(e) {
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
+    
+    // The top and bottom quarter of a topic drop next to it, the middle drops into it
+    const item = e.currentTarget;
+    const rect = item.getBoundingClientRect();
+    const offset = (e.clientY - rect.top) / rect.height;
+    const position = offset < 0.25 ? 'before' : (offset > 0.75 ? 'after' : 'inside');
+    
+    if (this.dragState.dropPosition !== position || this.dragState.dropTarget !== item) {
+      this.dragState.dropTarget = item;
+      this.dragState.dropPosition = position;
+      item.classList.toggle('drop-before', position === 'before');
+      item.classList.toggle('drop-after', position === 'after');
+      item.classList.toggle('drop-inside', position === 'inside');
+    }
   }
-
+  
   handleDragEnter(e) {
     e.preventDefault();
     const item = e.currentTarget;
@@ -714,45 +802,52 @@ export class StateTopicManager {
       item.classList.add('drag-over');
     }
   }
-
+  
   handleDragLeave(e) {
-    e.currentTarget.classList.remove('drag-over');
+    e.currentTarget.classList.remove('drag-over', 'drop-before', 'drop-after', 'drop-inside');
   }
-
+  
   async handleDrop(e, dropIndex, topics) {
     e.preventDefault();
-    e.currentTarget.classList.remove('drag-over');
+    e.currentTarget.classList.remove('drag-over', 'drop-before', 'drop-after', 'drop-inside');
     
     const draggedIndex = this.dragState.draggedIndex;
+    const position = this.dragState.dropPosition || 'before';
     if (draggedIndex === -1 || draggedIndex === dropIndex) return;
-
+    
     try {
-      // Get the topic IDs
-      const draggedTopicId = topics[draggedIndex].id;
+      const draggedTopic = topics[draggedIndex];
+      const targetTopic = topics[dropIndex];
       
-      // Create a new array with the reordered topics
-      const newOrder = [...topics];
-      const [draggedTopic] = newOrder.splice(draggedIndex, 1);
-      newOrder.splice(dropIndex, 0, draggedTopic);
+      // Siblings share the parent of the target, a topic dropped inside becomes its first sub-topic
+      const parentId = position === 'inside' ? targetTopic.id : (targetTopic.parentId || null);
+      let newIndex = dropIndex > draggedIndex ? dropIndex - 1 : dropIndex;
+      if (position !== 'before') newIndex++;
       
-      // Update the state with the new order
-      store.dispatch(actions.setTopics({ topics: newOrder }));
+      await this.topicService.moveTopic(draggedTopic.id, parentId, newIndex);
+      
+      // Show the moved topic in a collapsed parent
+      if (position === 'inside' && targetTopic.collapsed) {
+        await this.topicService.updateTopic(targetTopic.id, { collapsed: false });
+      }
       
       // Notify callback if provided
       if (this.callbacks.onTopicReorder) {
-        this.callbacks.onTopicReorder(draggedIndex, dropIndex);
+        this.callbacks.onTopicReorder(draggedIndex, newIndex);
       }
     } catch (error) {
       console.error('Error reordering topics:', error);
-      showNotification('Error reordering topics', 'error');
+      showNotification('Error moving topic: ' + error.message, 'error');
     }
   }
-
+  
   handleDragEnd() {
     this.dragState.draggedIndex = -1;
+    this.dragState.dropTarget = null;
+    this.dragState.dropPosition = null;
     const items = this.elements.topicsList.querySelectorAll('.topic-item');
     items.forEach(item => {
-      item.classList.remove('dragging', 'drag-over');
+      item.classList.remove('dragging', 'drag-over', 'drop-before', 'drop-after', 'drop-inside');
     });
   }
 
@@ -765,7 +860,7 @@ export class StateTopicManager {
         this.openAddTopicModal();
       });
     }
-
+    
     if (this.elements.saveEditTopicBtn) {
       this.elements.saveEditTopicBtn.addEventListener('click', () => {
         const input = this.elements.editTopicInput;
@@ -776,12 +871,42 @@ export class StateTopicManager {
           const newName = input.value.trim();
           
           if (topicId && newName) {
-            this.saveEditedTopic(topicId, newName);
+            this.saveEditedTopic(topicId, newName, {
+              hibernation: this.getEditedHibernationPolicy(),
+              startPage: this.getEditedStartPage(),
+              staleTabs: this.getEditedStaleTabPolicy(),
+              appearance: this.getEditedAppearance(),
+              containerId: this.getEditedContainer()
+            });
           }
         }
       });
     }
-
+    
+    if (this.elements.editTopicIcon) {
+      this.elements.editTopicIcon.addEventListener('change', () => {
+        this.updateIconEmojiVisibility();
+      });
+    }
+    
+    if (this.elements.editTopicHibernationMode) {
+      this.elements.editTopicHibernationMode.addEventListener('change', () => {
+        this.updateHibernationDelayVisibility();
+      });
+    }
+    
+    if (this.elements.editTopicStartMode) {
+      this.elements.editTopicStartMode.addEventListener('change', () => {
+        this.updateStartUrlsVisibility();
+      });
+    }
+    
+    if (this.elements.editTopicStaleMode) {
+      this.elements.editTopicStaleMode.addEventListener('change', () => {
+        this.updateStaleDaysVisibility();
+      });
+    }
+    
     if (this.elements.cancelEditTopicBtn) {
       this.elements.cancelEditTopicBtn.addEventListener('click', () => {
         if (this.elements.editTopicForm) {
@@ -0,0 +1,213 @@
+/**
+ * State-Integrated Trash Manager
+ * 
+ * Shows the deleted topics, categories and bookmarks in a collapsible "Trash"
+ * section, where they can be restored or purged. Deletions elsewhere in the
+ * sidebar show their notification with an "Undo" button through notifyDeleted.
+ */
+
+import {
+  store,
+  actions,
+  selectors,
+  TrashService,
+  TrashItemTypes,
+  escapeHtml,
+  formatDate,
+  showNotification
+} from '../../../index.js';
+
+// How long the "Undo" button of a deletion stays available
+const UNDO_DURATION_MS = 8000;
+
+// Icons of the trash item types
+const TYPE_ICONS = {
+  [TrashItemTypes.TOPIC]: 'fa-list',
+  [TrashItemTypes.CATEGORY]: 'fa-folder',
+  [TrashItemTypes.BOOKMARK]: 'fa-bookmark'
+};
+
+/**
+ * Restore a trash item and report the outcome
+ * 
+ * @param {string} itemId - Trash item ID
+ */
+async function restoreTrashItem(itemId) {
+  try {
+    const item = await new TrashService().restoreItem(itemId);
+    showNotification(`Restored ${item.name}`, 'success');
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    showNotification('Error restoring from trash: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Show the notification of a deletion with an "Undo" button
+ * 
+ * @param {string} message - Notification message
+ * @param {Object|null} trashItem - Trash item of the deletion, without one there is nothing to undo
+ */
+export function notifyDeleted(message, trashItem) {
+  if (!trashItem) {
+    showNotification(message, 'success');
+    return;
+  }
+  
+  showNotification(message, 'success', UNDO_DURATION_MS, {
+    label: 'Undo',
+    onClick: () => restoreTrashItem(trashItem.id)
+  });
+}
+
+export class StateTrashManager {
+  /**
+   * @param {Object} elements - Sidebar DOM elements
+   */
+  constructor(elements) {
+    this.elements = elements;
+    this.trashService = new TrashService();
+    
+    // Set up store subscription
+    this.unsubscribe = store.subscribe(this.handleStateChange.bind(this));
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Handle state changes from the store
+   */
+  handleStateChange(state) {
+    // Assignments change with every opened tab, the list doesn't depend on them
+    if (state.meta.lastChanged === 'tabAssignments') return;
+    
+    this.renderTrash();
+  }
+
+  /**
+   * Describe what a trash item holds
+   * 
+   * @param {Object} item - Trash item
+   * @returns {string} Description, e.g. "2 categories, 14 bookmarks"
+   */
+  describeItem(item) {
+    const parts = [];
+    
+    if (item.topics.length > 1) {
+      parts.push(`${item.topics.length - 1} sub-topics`);
+    }
+    if (item.type === TrashItemTypes.TOPIC) {
+      parts.push(`${item.categories.length} categories`);
+    }
+    if (item.type !== TrashItemTypes.BOOKMARK) {
+      parts.push(`${item.bookmarks.length} bookmarks`);
+    }
+    
+    return parts.join(', ');
+  }
+
+  /**
+   * Render the header and, if the section is expanded, the trash items
+   */
+  renderTrash() {
+    if (!this.elements.trashList) return;
+    
+    const state = store.getState();
+    const items = selectors.selectTrash(state);
+    const expanded = Boolean(state.uiState.sidebarSections.trash);
+    
+    this.elements.trashCount.textContent = items.length;
+    this.elements.trashToggle.classList.toggle('fa-chevron-down', expanded);
+    this.elements.trashToggle.classList.toggle('fa-chevron-right', !expanded);
+    this.elements.trashList.style.display = expanded ? 'block' : 'none';
+    
+    if (!expanded) return;
+    
+    if (items.length === 0) {
+      this.elements.trashList.innerHTML = "<li class='empty-list'>The trash is empty</li>";
+      return;
+    }
+    
+    this.elements.trashList.innerHTML = items.map(item => {
+      const description = this.describeItem(item);
+      
+      return `
+        <li class="trash-item" data-id="${item.id}">
+          <i class="fas ${TYPE_ICONS[item.type]} trash-item-icon"></i>
+          <span class="trash-item-text">
+            <span class="trash-item-name">${escapeHtml(item.name)}</span>
+            <span class="trash-item-details">
+              ${formatDate(item.deletedAt)}${description ? ` · ${description}` : ''}
+            </span>
+          </span>
+          <div class="topic-actions">
+            <button class="restore-btn" title="Restore">
+              <i class="fas fa-undo"></i>
+            </button>
+            <button class="delete-btn" title="Delete for good">
+              <i class="fas fa-times"></i>
+            </button>
+          </div>
+        </li>
+      `;
+    }).join('');
+    
+    this.elements.trashList.querySelectorAll('.trash-item').forEach(item => {
+      const itemId = item.dataset.id;
+      item.querySelector('.restore-btn').addEventListener('click', () => restoreTrashItem(itemId));
+      item.querySelector('.delete-btn').addEventListener('click', () => this.purgeItems([itemId]));
+    });
+  }
+
+  /**
+   * Delete trash items for good
+   * 
+   * @param {Array<string>} itemIds - Trash item IDs
+   */
+  async purgeItems(itemIds) {
+    const message = itemIds.length === 1
+      ? "Delete this item for good? It can't be restored afterwards."
+      : `Delete all ${itemIds.length} items in the trash for good? They can't be restored afterwards.`;
+    if (!confirm(message)) {
+      return;
+    }
+    
+    try {
+      await this.trashService.purgeItems(itemIds);
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      showNotification('Error emptying trash: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Setup the section header listeners
+   */
+  setupTrashListeners() {
+    if (this.elements.trashHeader) {
+      this.elements.trashHeader.addEventListener('click', () => {
+        store.dispatch(actions.toggleSidebarSection('trash'));
+      });
+    }
+    
+    if (this.elements.emptyTrashBtn) {
+      this.elements.emptyTrashBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        
+        const itemIds = this.trashService.getItems().map(item => item.id);
+        if (itemIds.length > 0) {
+          this.purgeItems(itemIds);
+        }
+      });
+    }
+    
+    this.renderTrash();
+  }
+}
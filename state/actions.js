@@ -190,6 +190,135 @@ export function deleteCategorySet(categorySetId) {
   return createAction(ActionTypes.DELETE_CATEGORY_SET, { categorySetId });
 }
 
+// Tab assignment actions
+
+/**
+ * Assign a tab to a topic
+ * 
+ * @param {string} stableId - Stable ID of the tab
+ * @param {string} topicId - ID of the topic the tab belongs to
+ * @returns {object} Action object
+ */
+export function assignTab(stableId, topicId) {
+  return createAction(ActionTypes.ASSIGN_TAB, { stableId, topicId });
+}
+
+/**
+ * Remove the topic assignment of a tab
+ * 
+ * @param {string} stableId - Stable ID of the tab
+ * @returns {object} Action object
+ */
+export function unassignTab(stableId) {
+  return createAction(ActionTypes.UNASSIGN_TAB, { stableId });
+}
+
+// Rule actions
+
+/**
+ * Add a tab routing rule
+ * 
+ * @param {object} rule - Rule object (see models/rule.js)
+ * @returns {object} Action object
+ */
+export function addRule(rule) {
+  return createAction(ActionTypes.ADD_RULE, { rule });
+}
+
+/**
+ * Update a tab routing rule
+ * 
+ * @param {string} ruleId - ID of the rule to update
+ * @param {object} updates - Properties to update
+ * @returns {object} Action object
+ */
+export function updateRule(ruleId, updates) {
+  return createAction(ActionTypes.UPDATE_RULE, { ruleId, updates });
+}
+
+/**
+ * Delete a tab routing rule
+ * 
+ * @param {string} ruleId - ID of the rule to delete
+ * @returns {object} Action object
+ */
+export function deleteRule(ruleId) {
+  return createAction(ActionTypes.DELETE_RULE, { ruleId });
+}
+
+// Tab order actions
+
+/**
+ * Remember the tab order and the active tab of a topic
+ * 
+ * @param {string} topicId - Topic ID
+ * @param {Array<string>} stableIds - Stable IDs of the topic's tabs in strip order
+ * @param {string|null} activeStableId - Stable ID of the active tab
+ * @returns {object} Action object
+ */
+export function saveTabOrder(topicId, stableIds, activeStableId) {
+  return createAction(ActionTypes.SAVE_TAB_ORDER, { topicId, stableIds, activeStableId });
+}
+
+// Closed tab actions
+
+/**
+ * Remember a tab that was closed in a topic
+ * 
+ * @param {string} topicId - Topic ID
+ * @param {object} closedTab - Closed tab { id, url, title, favIconUrl, index, closedAt }
+ * @returns {object} Action object
+ */
+export function addClosedTab(topicId, closedTab) {
+  return createAction(ActionTypes.ADD_CLOSED_TAB, { topicId, closedTab });
+}
+
+/**
+ * Forget a closed tab, e.g. because it was restored
+ * 
+ * @param {string} topicId - Topic ID
+ * @param {string} closedTabId - ID of the closed tab entry
+ * @returns {object} Action object
+ */
+export function removeClosedTab(topicId, closedTabId) {
+  return createAction(ActionTypes.REMOVE_CLOSED_TAB, { topicId, closedTabId });
+}
+
+// Window topic actions
+
+/**
+ * Set the active topic of a browser window
+ * 
+ * @param {number} windowId - Firefox window ID
+ * @param {string} topicId - ID of the topic shown in the window
+ * @returns {object} Action object
+ */
+export function setWindowTopic(windowId, topicId) {
+  return createAction(ActionTypes.SET_WINDOW_TOPIC, { windowId, topicId });
+}
+
+/**
+ * Forget the active topic of a closed browser window
+ * 
+ * @param {number} windowId - Firefox window ID
+ * @returns {object} Action object
+ */
+export function clearWindowTopic(windowId) {
+  return createAction(ActionTypes.CLEAR_WINDOW_TOPIC, { windowId });
+}
+
+// Settings actions
+
+/**
+ * Update global settings
+ * 
+ * @param {object} updates - Settings to update
+ * @returns {object} Action object
+ */
+export function updateSettings(updates) {
+  return createAction(ActionTypes.UPDATE_SETTINGS, { updates });
+}
+
 // UI Actions
 
 /**
@@ -202,6 +331,28 @@ export function updateUiState(uiStateUpdates) {
   return createAction(ActionTypes.SET_UI_STATE, uiStateUpdates);
 }
 
+// Trash Actions
+
+/**
+ * Put a deleted topic, category or bookmark into the trash
+ * 
+ * @param {object} item - Trash item
+ * @returns {object} Action object
+ */
+export function addTrashItem(item) {
+  return createAction(ActionTypes.ADD_TRASH_ITEM, { item });
+}
+
+/**
+ * Remove items from the trash, after restoring or purging them
+ * 
+ * @param {Array<string>} itemIds - IDs of the trash items
+ * @returns {object} Action object
+ */
+export function removeTrashItems(itemIds) {
+  return createAction(ActionTypes.REMOVE_TRASH_ITEMS, { itemIds });
+}
+
 /**
  * Toggle visibility of a sidebar section
  * 
@@ -275,6 +426,76 @@ export function setCategorySets({ categorySets }) {
   return createAction(ActionTypes.SET_CATEGORY_SETS, { categorySets });
 }
 
+/**
+ * Replace all tab assignments at once
+ * 
+ * @param {object} tabAssignments - Topic IDs keyed by stable tab ID
+ * @returns {object} Action object
+ */
+export function setTabAssignments({ tabAssignments }) {
+  return createAction(ActionTypes.SET_TAB_ASSIGNMENTS, { tabAssignments });
+}
+
+/**
+ * Replace the active topics of all windows at once
+ * 
+ * @param {object} windowTopics - Topic IDs keyed by window ID
+ * @returns {object} Action object
+ */
+export function setWindowTopics({ windowTopics }) {
+  return createAction(ActionTypes.SET_WINDOW_TOPICS, { windowTopics });
+}
+
+/**
+ * Replace all rules at once
+ * 
+ * @param {Array} rules - Array of rule objects
+ * @returns {object} Action object
+ */
+export function setRules({ rules }) {
+  return createAction(ActionTypes.SET_RULES, { rules });
+}
+
+/**
+ * Replace the tab orders of all topics at once
+ * 
+ * @param {object} tabOrders - Tab orders keyed by topic ID
+ * @returns {object} Action object
+ */
+export function setTabOrders({ tabOrders }) {
+  return createAction(ActionTypes.SET_TAB_ORDERS, { tabOrders });
+}
+
+/**
+ * Replace the closed tabs of all topics at once
+ * 
+ * @param {object} closedTabs - Closed tabs keyed by topic ID
+ * @returns {object} Action object
+ */
+export function setClosedTabs({ closedTabs }) {
+  return createAction(ActionTypes.SET_CLOSED_TABS, { closedTabs });
+}
+
+/**
+ * Replace the whole trash at once
+ * 
+ * @param {Array} trash - Trash items
+ * @returns {object} Action object
+ */
+export function setTrash({ trash }) {
+  return createAction(ActionTypes.SET_TRASH, { trash });
+}
+
+/**
+ * Replace all settings at once
+ * 
+ * @param {object} settings - Settings object
+ * @returns {object} Action object
+ */
+export function setSettings({ settings }) {
+  return createAction(ActionTypes.SET_SETTINGS, { settings });
+}
+
 // Export all action creators
 export default {
   addTopic,
@@ -294,14 +515,41 @@ export default {
   updateCategorySet,
   deleteCategorySet,
   
+  assignTab,
+  unassignTab,
+  
+  addRule,
+  updateRule,
+  deleteRule,
+  
+  saveTabOrder,
+  
+  addClosedTab,
+  removeClosedTab,
+  
+  addTrashItem,
+  removeTrashItems,
+  
+  setWindowTopic,
+  clearWindowTopic,
+  
+  updateSettings,
+  
   updateUiState,
   toggleSidebarSection,
   
   persistState,
   resetState,
-
+  
   setTopics,
   setCategories,
   setBookmarks,
-  setCategorySets
+  setCategorySets,
+  setTabAssignments,
+  setWindowTopics,
+  setRules,
+  setTabOrders,
+  setClosedTabs,
+  setTrash,
+  setSettings
 };
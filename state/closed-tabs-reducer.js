@@ -0,0 +1,75 @@
+/**
+ * Closed Tabs Reducer
+ * 
+ * Handles state updates related to the recently closed tabs of each topic.
+ */
+
+import { ActionTypes } from './store.js';
+
+// Number of closed tabs kept per topic
+const MAX_CLOSED_TABS_PER_TOPIC = 25;
+
+/**
+ * Reducer for the closedTabs slice of state
+ * Maps topic IDs to their closed tabs { id, url, title, favIconUrl, index, closedAt },
+ * most recently closed first.
+ * 
+ * @param {object} state - Current closedTabs state
+ * @param {object} action - Action object
+ * @returns {object} New closedTabs state
+ */
+export function closedTabsReducer(state = {}, action) {
+  switch (action.type) {
+    case ActionTypes.ADD_CLOSED_TAB: {
+      const { topicId, closedTab } = action.payload;
+      const topicClosedTabs = [closedTab, ...(state[topicId] || [])];
+      
+      return {
+        ...state,
+        [topicId]: topicClosedTabs.slice(0, MAX_CLOSED_TABS_PER_TOPIC)
+      };
+    }
+    
+    case ActionTypes.REMOVE_CLOSED_TAB: {
+      const { topicId, closedTabId } = action.payload;
+      const topicClosedTabs = state[topicId] || [];
+      
+      if (!topicClosedTabs.some(closedTab => closedTab.id === closedTabId)) {
+        return state;
+      }
+      
+      return {
+        ...state,
+        [topicId]: topicClosedTabs.filter(closedTab => closedTab.id !== closedTabId)
+      };
+    }
+    
+    case ActionTypes.SET_CLOSED_TABS: {
+      const { closedTabs } = action.payload;
+      
+      // Replace the entire closed tabs object
+      return { ...closedTabs };
+    }
+    
+    case ActionTypes.DELETE_TOPIC: {
+      const { topicId } = action.payload;
+      
+      if (!(topicId in state)) {
+        return state;
+      }
+      
+      // Create a new state object without the deleted topic
+      const newState = { ...state };
+      delete newState[topicId];
+      
+      return newState;
+    }
+    
+    case ActionTypes.RESET_STATE: {
+      return {};
+    }
+    
+    default:
+      return state;
+  }
+}
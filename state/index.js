@@ -8,6 +8,13 @@ import { topicsReducer, activeTopicIdReducer } from './topics-reducer.js';
 import { categoriesReducer } from './categories-reducer.js';
 import { bookmarksReducer } from './bookmarks-reducer.js';
 import { categorySetsReducer } from './category-sets-reducer.js';
+import { tabAssignmentsReducer } from './tab-assignments-reducer.js';
+import { windowTopicsReducer } from './window-topics-reducer.js';
+import { rulesReducer } from './rules-reducer.js';
+import { tabOrdersReducer } from './tab-orders-reducer.js';
+import { closedTabsReducer } from './closed-tabs-reducer.js';
+import { trashReducer } from './trash-reducer.js';
+import { settingsReducer } from './settings-reducer.js';
 import { uiStateReducer } from './ui-reducer.js';
 import { createStorageMiddleware } from './storage-middleware.js';
 import { createLoggingMiddleware } from './logging-middleware.js';
@@ -20,6 +27,13 @@ store.registerReducer('activeTopicId', activeTopicIdReducer);
 store.registerReducer('categories', categoriesReducer);
 store.registerReducer('bookmarks', bookmarksReducer);
 store.registerReducer('categorySets', categorySetsReducer);
+store.registerReducer('tabAssignments', tabAssignmentsReducer);
+store.registerReducer('windowTopics', windowTopicsReducer);
+store.registerReducer('rules', rulesReducer);
+store.registerReducer('tabOrders', tabOrdersReducer);
+store.registerReducer('closedTabs', closedTabsReducer);
+store.registerReducer('trash', trashReducer);
+store.registerReducer('settings', settingsReducer);
 store.registerReducer('uiState', uiStateReducer);
 
 // Register middlewares
@@ -30,12 +44,20 @@ store.addMiddleware(createLoggingMiddleware({
 }));
 store.addMiddleware(createStorageMiddleware(browser));
 
+// Window this store belongs to, if any. Its activeTopicId follows the topic of that window.
+let scopedWindowId = null;
+
 /**
  * Initialize the state store from browser storage
  * 
+ * @param {Object} [options] - Initialization options
+ * @param {number} [options.windowId] - Window the page belongs to (e.g. the sidebar of a window).
+ *   The active topic of the store then is the topic of that window instead of the global one.
  * @returns {Promise<void>}
  */
-export async function initializeStore() {
+export async function initializeStore({ windowId = null } = {}) {
+  scopedWindowId = windowId;
+  
   try {
     // Load topics
     const topicsResult = await browser.storage.local.get('topics');
@@ -61,6 +83,64 @@ export async function initializeStore() {
       }));
     }
     
+    // Load tab assignments
+    const tabAssignmentsResult = await browser.storage.local.get('tabAssignments');
+    if (tabAssignmentsResult.tabAssignments) {
+      store.dispatch(createAction(ActionTypes.SET_TAB_ASSIGNMENTS, { 
+        tabAssignments: tabAssignmentsResult.tabAssignments 
+      }));
+    }
+    
+    // Load the active topics of the windows
+    const windowTopicsResult = await browser.storage.local.get('windowTopics');
+    if (windowTopicsResult.windowTopics) {
+      store.dispatch(createAction(ActionTypes.SET_WINDOW_TOPICS, { 
+        windowTopics: windowTopicsResult.windowTopics 
+      }));
+    }
+    
+    followWindowTopic();
+    
+    // Load rules
+    const rulesResult = await browser.storage.local.get('rules');
+    if (rulesResult.rules) {
+      store.dispatch(createAction(ActionTypes.SET_RULES, { 
+        rules: rulesResult.rules 
+      }));
+    }
+    
+    // Load the tab orders of the topics
+    const tabOrdersResult = await browser.storage.local.get('tabOrders');
+    if (tabOrdersResult.tabOrders) {
+      store.dispatch(createAction(ActionTypes.SET_TAB_ORDERS, { 
+        tabOrders: tabOrdersResult.tabOrders 
+      }));
+    }
+    
+    // Load the recently closed tabs of the topics
+    const closedTabsResult = await browser.storage.local.get('closedTabs');
+    if (closedTabsResult.closedTabs) {
+      store.dispatch(createAction(ActionTypes.SET_CLOSED_TABS, { 
+        closedTabs: closedTabsResult.closedTabs 
+      }));
+    }
+    
+    // Load the trash
+    const trashResult = await browser.storage.local.get('trash');
+    if (trashResult.trash) {
+      store.dispatch(createAction(ActionTypes.SET_TRASH, { 
+        trash: trashResult.trash 
+      }));
+    }
+    
+    // Load settings
+    const settingsResult = await browser.storage.local.get('settings');
+    if (settingsResult.settings) {
+      store.dispatch(createAction(ActionTypes.SET_SETTINGS, { 
+        settings: settingsResult.settings 
+      }));
+    }
+    
     // If we have topics, load categories and bookmarks for each
     if (topicsResult.topics && topicsResult.topics.length > 0) {
       for (const topic of topicsResult.topics) {
@@ -101,6 +181,148 @@ export async function initializeStore() {
   }
 }
 
+/**
+ * Map a changed storage key to the action that puts its value into the store
+ * 
+ * @param {string} key - Storage key
+ * @param {any} value - New value of the key
+ * @returns {object|null} Action object or null if the key is not part of the state
+ */
+function createActionFromStorageChange(key, value) {
+  if (key === 'topics') {
+    return createAction(ActionTypes.SET_TOPICS, { topics: value || [] });
+  }
+  
+  if (key === 'activeTopicId') {
+    return createAction(ActionTypes.SET_ACTIVE_TOPIC, { topicId: value || null });
+  }
+  
+  if (key === 'categorySets') {
+    return createAction(ActionTypes.SET_CATEGORY_SETS, { categorySets: value || {} });
+  }
+  
+  if (key === 'tabAssignments') {
+    return createAction(ActionTypes.SET_TAB_ASSIGNMENTS, { tabAssignments: value || {} });
+  }
+  
+  if (key === 'windowTopics') {
+    return createAction(ActionTypes.SET_WINDOW_TOPICS, { windowTopics: value || {} });
+  }
+  
+  if (key === 'rules') {
+    return createAction(ActionTypes.SET_RULES, { rules: value || [] });
+  }
+  
+  if (key === 'tabOrders') {
+    return createAction(ActionTypes.SET_TAB_ORDERS, { tabOrders: value || {} });
+  }
+  
+  if (key === 'closedTabs') {
+    return createAction(ActionTypes.SET_CLOSED_TABS, { closedTabs: value || {} });
+  }
+  
+  if (key === 'trash') {
+    return createAction(ActionTypes.SET_TRASH, { trash: value || [] });
+  }
+  
+  if (key === 'settings') {
+    return createAction(ActionTypes.SET_SETTINGS, { settings: value || {} });
+  }
+  
+  if (key.startsWith('categories_')) {
+    return createAction(ActionTypes.SET_CATEGORIES, {
+      topicId: key.substring('categories_'.length),
+      categories: value || []
+    });
+  }
+  
+  if (key.startsWith('bookmarks_')) {
+    return createAction(ActionTypes.SET_BOOKMARKS, {
+      categoryId: key.substring('bookmarks_'.length),
+      bookmarks: value || []
+    });
+  }
+  
+  return null;
+}
+
+/**
+ * Make the active topic of a window-scoped store the topic of its window.
+ * The change only concerns this page, so it is not written back to storage.
+ */
+function followWindowTopic() {
+  if (scopedWindowId === null) return;
+  
+  const state = store.getState();
+  const windowTopicId = state.windowTopics[scopedWindowId];
+  
+  if (windowTopicId && windowTopicId !== state.activeTopicId) {
+    const action = createAction(ActionTypes.SET_ACTIVE_TOPIC, { topicId: windowTopicId });
+    action.meta.fromStorage = true;
+    store.dispatch(action);
+  }
+}
+
+/**
+ * Get the current store value that belongs to a storage key
+ * 
+ * @param {string} key - Storage key
+ * @returns {any} Current value in the store
+ */
+function getStateValueForStorageKey(key) {
+  const state = store.getState();
+  
+  if (key.startsWith('categories_')) {
+    return state.categories[key.substring('categories_'.length)];
+  }
+  
+  if (key.startsWith('bookmarks_')) {
+    return state.bookmarks[key.substring('bookmarks_'.length)];
+  }
+  
+  return state[key];
+}
+
+/**
+ * Keep this store in sync with changes other extension pages write to storage.
+ * The sidebar, popup and background each have their own store instance,
+ * so changes made in one of them reach the others through browser.storage.
+ * 
+ * @returns {Function} Function that stops syncing
+ */
+export function syncStoreWithStorage() {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'local') return;
+    
+    for (const [key, change] of Object.entries(changes)) {
+      // Window-scoped stores ignore the global active topic while their window has its own
+      if (key === 'activeTopicId' && scopedWindowId !== null && 
+          store.getState().windowTopics[scopedWindowId]) {
+        continue;
+      }
+      
+      // Skip values the store already has (e.g. our own writes)
+      if (JSON.stringify(change.newValue) === JSON.stringify(getStateValueForStorageKey(key))) {
+        continue;
+      }
+      
+      const action = createActionFromStorageChange(key, change.newValue);
+      if (action) {
+        // Mark the action so the storage middleware doesn't write it back
+        action.meta.fromStorage = true;
+        store.dispatch(action);
+      }
+      
+      if (key === 'windowTopics') {
+        followWindowTopic();
+      }
+    }
+  };
+  
+  browser.storage.onChanged.addListener(listener);
+  return () => browser.storage.onChanged.removeListener(listener);
+}
+
 /**
  * Get all topics
  * 
@@ -175,6 +397,7 @@ export default {
   store,
   createAction,
   initializeStore,
+  syncStoreWithStorage,
   ActionTypes,
   getAllTopics,
   getActiveTopic,
@@ -0,0 +1,61 @@
+/**
+ * Rules Reducer
+ * 
+ * Handles state updates related to tab routing rules.
+ */
+
+import { ActionTypes } from './store.js';
+
+/**
+ * Reducer for the rules slice of state
+ * Rules are kept in the order they are evaluated in, the first matching rule wins.
+ * 
+ * @param {Array} state - Current rules state
+ * @param {object} action - Action object
+ * @returns {Array} New rules state
+ */
+export function rulesReducer(state = [], action) {
+  switch (action.type) {
+    case ActionTypes.ADD_RULE: {
+      const { rule } = action.payload;
+      return [...state, rule];
+    }
+    
+    case ActionTypes.UPDATE_RULE: {
+      const { ruleId, updates } = action.payload;
+      
+      return state.map(rule => 
+        rule.id === ruleId 
+          ? { ...rule, ...updates, updatedAt: Date.now() } 
+          : rule
+      );
+    }
+    
+    case ActionTypes.DELETE_RULE: {
+      const { ruleId } = action.payload;
+      return state.filter(rule => rule.id !== ruleId);
+    }
+    
+    case ActionTypes.SET_RULES: {
+      const { rules } = action.payload;
+      
+      // Replace the entire rules array
+      return [...rules];
+    }
+    
+    case ActionTypes.DELETE_TOPIC: {
+      const { topicId } = action.payload;
+      
+      // Rules can't route tabs to a deleted topic
+      const remainingRules = state.filter(rule => rule.topicId !== topicId);
+      return remainingRules.length === state.length ? state : remainingRules;
+    }
+    
+    case ActionTypes.RESET_STATE: {
+      return [];
+    }
+    
+    default:
+      return state;
+  }
+}
@@ -4,6 +4,9 @@
  * These functions help extract and compute data from the state in an efficient way.
  */
 
+import { HibernationModes, StartPageModes, StaleTabModes } from '../models/topic.js';
+import { matchesRule } from '../models/rule.js';
+
 /**
  * Get a topic by ID
  * 
@@ -26,6 +29,96 @@ export function selectActiveTopic(state) {
   return selectTopicById(state, state.activeTopicId);
 }
 
+/**
+ * Get the direct sub-topics of a topic
+ * Topics whose parent no longer exists count as top level topics.
+ * 
+ * @param {object} state - Store state
+ * @param {string|null} parentId - Topic ID, null for the top level topics
+ * @returns {Array} Sub-topics in sidebar order
+ */
+export function selectChildTopics(state, parentId) {
+  if (!parentId) {
+    return state.topics.filter(topic => !topic.parentId || !selectTopicById(state, topic.parentId));
+  }
+  
+  return state.topics.filter(topic => topic.parentId === parentId);
+}
+
+/**
+ * Get the IDs of all sub-topics of a topic, however deeply nested
+ * 
+ * @param {object} state - Store state
+ * @param {string} topicId - Topic ID
+ * @returns {Array} Topic IDs
+ */
+export function selectDescendantTopicIds(state, topicId) {
+  const descendantIds = [];
+  const queue = [topicId];
+  
+  while (queue.length > 0) {
+    for (const child of selectChildTopics(state, queue.shift())) {
+      if (child.id === topicId || descendantIds.includes(child.id)) continue;
+      
+      descendantIds.push(child.id);
+      queue.push(child.id);
+    }
+  }
+  
+  return descendantIds;
+}
+
+/**
+ * Get all topics that aren't archived in the order the sidebar shows them, each parent
+ * followed by its sub-topics
+ * 
+ * @param {object} state - Store state
+ * @returns {Array} Array of { topic, depth }, depth is 0 for top level topics
+ */
+export function selectTopicTree(state) {
+  const tree = [];
+  const visited = new Set();
+  
+  const addTopics = (parentId, depth) => {
+    for (const topic of selectChildTopics(state, parentId)) {
+      if (visited.has(topic.id) || topic.archived) continue;
+      
+      visited.add(topic.id);
+      tree.push({ topic, depth });
+      addTopics(topic.id, depth + 1);
+    }
+  };
+  addTopics(null, 0);
+  
+  // Topics in a cycle of parents can't be reached from the top level, they are listed there instead of lost
+  for (const topic of state.topics) {
+    if (!visited.has(topic.id) && !topic.archived) {
+      visited.add(topic.id);
+      tree.push({ topic, depth: 0 });
+    }
+  }
+  
+  return tree;
+}
+
+/**
+ * Get the archived topics whose parent isn't archived as well, most recently archived first
+ * Their sub-topics were archived with them and are restored with them.
+ * 
+ * @param {object} state - Store state
+ * @returns {Array} Topics
+ */
+export function selectArchivedTopics(state) {
+  return state.topics
+    .filter(topic => {
+      if (!topic.archived) return false;
+      
+      const parent = topic.parentId ? selectTopicById(state, topic.parentId) : null;
+      return !parent || !parent.archived;
+    })
+    .sort((a, b) => (b.archivedAt || 0) - (a.archivedAt || 0));
+}
+
 /**
  * Get all categories for a topic
  * 
@@ -85,6 +178,174 @@ export function selectCategorySetById(state, categorySetId) {
   return state.categorySets[categorySetId] || null;
 }
 
+/**
+ * Get the topic a tab is assigned to
+ * 
+ * @param {object} state - Store state
+ * @param {string} stableId - Stable tab ID
+ * @returns {string|null} Topic ID or null
+ */
+export function selectTopicIdForTab(state, stableId) {
+  return state.tabAssignments[stableId] || null;
+}
+
+/**
+ * Get all tab routing rules
+ * 
+ * @param {object} state - Store state
+ * @returns {Array} Rules in evaluation order
+ */
+export function selectRules(state) {
+  return state.rules;
+}
+
+/**
+ * Get the first rule that matches a URL
+ * 
+ * @param {object} state - Store state
+ * @param {string} url - Tab URL
+ * @returns {object|null} Matching rule or null
+ */
+export function selectRuleForUrl(state, url) {
+  return state.rules.find(rule => matchesRule(rule, url)) || null;
+}
+
+/**
+ * Get the tab order a topic had when it was last left
+ * 
+ * @param {object} state - Store state
+ * @param {string} topicId - Topic ID
+ * @returns {object|null} Tab order { stableIds, activeStableId } or null
+ */
+export function selectTabOrder(state, topicId) {
+  return state.tabOrders[topicId] || null;
+}
+
+/**
+ * Get the recently closed tabs of a topic
+ * 
+ * @param {object} state - Store state
+ * @param {string} topicId - Topic ID
+ * @returns {Array} Closed tabs, most recently closed first
+ */
+export function selectClosedTabs(state, topicId) {
+  return state.closedTabs[topicId] || [];
+}
+
+/**
+ * Get the items in the trash
+ * 
+ * @param {object} state - Store state
+ * @returns {Array} Trash items, most recently deleted first
+ */
+export function selectTrash(state) {
+  return state.trash || [];
+}
+
+/**
+ * Get the active topic of a browser window
+ * Windows without their own topic show the global active topic.
+ * 
+ * @param {object} state - Store state
+ * @param {number} windowId - Firefox window ID
+ * @returns {string|null} Topic ID or null
+ */
+export function selectWindowTopicId(state, windowId) {
+  return state.windowTopics[windowId] || state.activeTopicId;
+}
+
+/**
+ * Get the stable IDs of all tabs assigned to a topic
+ * 
+ * @param {object} state - Store state
+ * @param {string} topicId - Topic ID
+ * @returns {Array} List of stable tab IDs
+ */
+export function selectTabIdsByTopicId(state, topicId) {
+  return Object.keys(state.tabAssignments)
+    .filter(stableId => state.tabAssignments[stableId] === topicId);
+}
+
+/**
+ * Count the tabs assigned to each topic
+ * 
+ * @param {object} state - Store state
+ * @returns {object} Tab counts keyed by topic ID
+ */
+export function selectTabCountByTopic(state) {
+  const counts = {};
+  
+  for (const topicId of Object.values(state.tabAssignments)) {
+    counts[topicId] = (counts[topicId] || 0) + 1;
+  }
+  
+  return counts;
+}
+
+/**
+ * Get the global settings
+ * 
+ * @param {object} state - Store state
+ * @returns {object} Settings object
+ */
+export function selectSettings(state) {
+  return state.settings;
+}
+
+/**
+ * Get the hibernation policy that applies to a topic
+ * Topics without their own policy use the global one.
+ * 
+ * @param {object} state - Store state
+ * @param {string|null} topicId - Topic ID
+ * @returns {object} Policy { mode, delayMinutes }
+ */
+export function selectHibernationPolicy(state, topicId) {
+  const topic = topicId ? selectTopicById(state, topicId) : null;
+  
+  if (topic && topic.hibernation && topic.hibernation.mode !== HibernationModes.INHERIT) {
+    return topic.hibernation;
+  }
+  
+  return state.settings.hibernation;
+}
+
+/**
+ * Get the start page that applies to a topic
+ * Topics without their own start page use the global one.
+ * 
+ * @param {object} state - Store state
+ * @param {string|null} topicId - Topic ID
+ * @returns {object} Start page { mode, urls }
+ */
+export function selectStartPage(state, topicId) {
+  const topic = topicId ? selectTopicById(state, topicId) : null;
+  
+  if (topic && topic.startPage && topic.startPage.mode !== StartPageModes.INHERIT) {
+    return topic.startPage;
+  }
+  
+  return state.settings.startPage;
+}
+
+/**
+ * Get the stale tab policy that applies to a topic
+ * Topics without their own policy use the global one.
+ * 
+ * @param {object} state - Store state
+ * @param {string|null} topicId - Topic ID
+ * @returns {object} Policy { mode, days }
+ */
+export function selectStaleTabPolicy(state, topicId) {
+  const topic = topicId ? selectTopicById(state, topicId) : null;
+  
+  if (topic && topic.staleTabs && topic.staleTabs.mode !== StaleTabModes.INHERIT) {
+    return topic.staleTabs;
+  }
+  
+  return state.settings.staleTabs;
+}
+
 /**
  * Get all bookmarks for a topic (across all categories)
  * 
@@ -163,11 +424,28 @@ export function searchBookmarks(state, query, topicId = null) {
 export default {
   selectTopicById,
   selectActiveTopic,
+  selectChildTopics,
+  selectDescendantTopicIds,
+  selectTopicTree,
+  selectArchivedTopics,
   selectCategoriesByTopicId,
   selectCategoryById,
   selectBookmarksByCategoryId,
   selectBookmarkById,
   selectCategorySetById,
+  selectTopicIdForTab,
+  selectWindowTopicId,
+  selectRules,
+  selectRuleForUrl,
+  selectTabOrder,
+  selectClosedTabs,
+  selectTrash,
+  selectTabIdsByTopicId,
+  selectTabCountByTopic,
+  selectSettings,
+  selectHibernationPolicy,
+  selectStartPage,
+  selectStaleTabPolicy,
   selectAllBookmarksForTopic,
   searchBookmarks
 };
@@ -0,0 +1,38 @@
+/**
+ * Settings Reducer
+ * 
+ * Handles state updates related to global settings.
+ */
+
+import { ActionTypes } from './store.js';
+import { createSettings } from '../models/settings.js';
+
+/**
+ * Reducer for the settings slice of state
+ * 
+ * @param {object} state - Current settings state
+ * @param {object} action - Action object
+ * @returns {object} New settings state
+ */
+export function settingsReducer(state = createSettings(), action) {
+  switch (action.type) {
+    case ActionTypes.UPDATE_SETTINGS: {
+      return createSettings({
+        ...state,
+        ...action.payload.updates
+      });
+    }
+    
+    case ActionTypes.SET_SETTINGS: {
+      // Stored settings may miss values added in later versions
+      return createSettings(action.payload.settings);
+    }
+    
+    case ActionTypes.RESET_STATE: {
+      return createSettings();
+    }
+    
+    default:
+      return state;
+  }
+}
@@ -31,6 +31,33 @@ const PERSIST_ACTIONS = [
   ActionTypes.DELETE_CATEGORY_SET,
   ActionTypes.SET_CATEGORY_SETS,
   
+  ActionTypes.ASSIGN_TAB,
+  ActionTypes.UNASSIGN_TAB,
+  ActionTypes.SET_TAB_ASSIGNMENTS,
+  
+  ActionTypes.ADD_RULE,
+  ActionTypes.UPDATE_RULE,
+  ActionTypes.DELETE_RULE,
+  ActionTypes.SET_RULES,
+  
+  ActionTypes.SAVE_TAB_ORDER,
+  ActionTypes.SET_TAB_ORDERS,
+  
+  ActionTypes.ADD_CLOSED_TAB,
+  ActionTypes.REMOVE_CLOSED_TAB,
+  ActionTypes.SET_CLOSED_TABS,
+  
+  ActionTypes.ADD_TRASH_ITEM,
+  ActionTypes.REMOVE_TRASH_ITEMS,
+  ActionTypes.SET_TRASH,
+  
+  ActionTypes.SET_WINDOW_TOPIC,
+  ActionTypes.CLEAR_WINDOW_TOPIC,
+  ActionTypes.SET_WINDOW_TOPICS,
+  
+  ActionTypes.UPDATE_SETTINGS,
+  ActionTypes.SET_SETTINGS,
+  
   ActionTypes.PERSIST_STATE
 ];
 
@@ -45,15 +72,21 @@ export function createStorageMiddleware(browser) {
     // Let the action pass through first
     const result = next;
     
+    // Actions replayed from a storage change are already persisted
+    const fromStorage = action.meta && action.meta.fromStorage;
+    
     // If this action should trigger persistence
-    if (PERSIST_ACTIONS.includes(action.type)) {
-      const state = store.getState();
-      
+    if (PERSIST_ACTIONS.includes(action.type) && !fromStorage) {
       // Persist relevant parts of the state
       const persistData = async () => {
         try {
-          // Persist topics
-          if (action.type.includes('TOPIC') || action.type === ActionTypes.PERSIST_STATE) {
+          // Middlewares run before the reducers, so read the state once the dispatch is done
+          await Promise.resolve();
+          const state = store.getState();
+          
+          // Persist topics (window topics have their own key)
+          if ((action.type.includes('TOPIC') && !action.type.includes('WINDOW_TOPIC')) || 
+              action.type === ActionTypes.PERSIST_STATE) {
             await browser.storage.local.set({ 
               topics: state.topics,
               activeTopicId: state.activeTopicId
@@ -97,13 +130,73 @@ export function createStorageMiddleware(browser) {
             }
           }
           
+          // Persist tab assignments (the tab service unassigns the tabs of deleted topics)
+          if (action.type === ActionTypes.ASSIGN_TAB || 
+              action.type === ActionTypes.UNASSIGN_TAB || 
+              action.type === ActionTypes.SET_TAB_ASSIGNMENTS || 
+              action.type === ActionTypes.PERSIST_STATE) {
+            await browser.storage.local.set({ 
+              tabAssignments: state.tabAssignments
+            });
+          }
+          
+          // Persist rules (deleting a topic drops its rules)
+          if (action.type.includes('RULE') || 
+              action.type === ActionTypes.DELETE_TOPIC || 
+              action.type === ActionTypes.PERSIST_STATE) {
+            await browser.storage.local.set({ 
+              rules: state.rules
+            });
+          }
+          
+          // Persist tab orders (deleting a topic drops its order)
+          if (action.type.includes('TAB_ORDER') || 
+              action.type === ActionTypes.DELETE_TOPIC || 
+              action.type === ActionTypes.PERSIST_STATE) {
+            await browser.storage.local.set({ 
+              tabOrders: state.tabOrders
+            });
+          }
+          
+          // Persist closed tabs (deleting a topic drops its closed tabs)
+          if (action.type.includes('CLOSED_TAB') || 
+              action.type === ActionTypes.DELETE_TOPIC || 
+              action.type === ActionTypes.PERSIST_STATE) {
+            await browser.storage.local.set({ 
+              closedTabs: state.closedTabs
+            });
+          }
+          
+          // Persist the trash
+          if (action.type.includes('TRASH') || action.type === ActionTypes.PERSIST_STATE) {
+            await browser.storage.local.set({ 
+              trash: state.trash
+            });
+          }
+          
+          // Persist window topics (deleting a topic drops its windows)
+          if (action.type.includes('WINDOW_TOPIC') || 
+              action.type === ActionTypes.DELETE_TOPIC || 
+              action.type === ActionTypes.PERSIST_STATE) {
+            await browser.storage.local.set({ 
+              windowTopics: state.windowTopics
+            });
+          }
+          
+          // Persist settings
+          if (action.type.includes('SETTINGS') || action.type === ActionTypes.PERSIST_STATE) {
+            await browser.storage.local.set({ 
+              settings: state.settings
+            });
+          }
+          
           // Persist category sets
           if (action.type.includes('CATEGORY_SET') || action.type === ActionTypes.PERSIST_STATE) {
             await browser.storage.local.set({ 
               categorySets: state.categorySets
             });
           }
-          
+        
         } catch (error) {
           console.error('Error persisting state:', error);
         }
@@ -6,6 +6,7 @@
  */
 
 import { safeJsonParse } from '../utils/common.js';
+import { createSettings } from '../models/settings.js';
 
 // Define action types
 export const ActionTypes = {
@@ -30,11 +31,45 @@ export const ActionTypes = {
   UPDATE_BOOKMARK: 'UPDATE_BOOKMARK',
   DELETE_BOOKMARK: 'DELETE_BOOKMARK',
   
+  // Tab assignment actions
+  ASSIGN_TAB: 'ASSIGN_TAB',
+  UNASSIGN_TAB: 'UNASSIGN_TAB',
+  
+  // Rule actions
+  ADD_RULE: 'ADD_RULE',
+  UPDATE_RULE: 'UPDATE_RULE',
+  DELETE_RULE: 'DELETE_RULE',
+  
+  // Window topic actions
+  SET_WINDOW_TOPIC: 'SET_WINDOW_TOPIC',
+  CLEAR_WINDOW_TOPIC: 'CLEAR_WINDOW_TOPIC',
+  
+  // Tab order actions
+  SAVE_TAB_ORDER: 'SAVE_TAB_ORDER',
+  
+  // Closed tab actions
+  ADD_CLOSED_TAB: 'ADD_CLOSED_TAB',
+  REMOVE_CLOSED_TAB: 'REMOVE_CLOSED_TAB',
+  
+  // Trash actions
+  ADD_TRASH_ITEM: 'ADD_TRASH_ITEM',
+  REMOVE_TRASH_ITEMS: 'REMOVE_TRASH_ITEMS',
+  
   // Batch actions
   SET_TOPICS: 'SET_TOPICS',
   SET_CATEGORIES: 'SET_CATEGORIES',
   SET_BOOKMARKS: 'SET_BOOKMARKS',
   SET_CATEGORY_SETS: 'SET_CATEGORY_SETS',
+  SET_TAB_ASSIGNMENTS: 'SET_TAB_ASSIGNMENTS',
+  SET_WINDOW_TOPICS: 'SET_WINDOW_TOPICS',
+  SET_RULES: 'SET_RULES',
+  SET_TAB_ORDERS: 'SET_TAB_ORDERS',
+  SET_CLOSED_TABS: 'SET_CLOSED_TABS',
+  SET_TRASH: 'SET_TRASH',
+  SET_SETTINGS: 'SET_SETTINGS',
+  
+  // Settings actions
+  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
   
   // UI state actions
   SET_UI_STATE: 'SET_UI_STATE',
@@ -56,12 +91,22 @@ const initialState = {
   categories: {},  // Keyed by topicId
   bookmarks: {},   // Keyed by categoryId
   categorySets: {},
+  tabAssignments: {}, // Topic ID keyed by stable tab ID
+  windowTopics: {}, // Active topic ID keyed by window ID
+  rules: [], // Tab routing rules in evaluation order
+  tabOrders: {}, // Tab order and last active tab keyed by topic ID
+  closedTabs: {}, // Recently closed tabs keyed by topic ID
+  trash: [], // Deleted topics, categories and bookmarks, most recently deleted first
+  settings: createSettings(),
   activeTopicId: null,
   uiState: {
     sidebarSections: {
       topics: true,
       categories: true,
-      bookmarks: true
+      bookmarks: true,
+      closedTabs: false,
+      archive: false,
+      trash: false
     },
     selectedCategoryId: null,
     isLoading: false,
@@ -0,0 +1,61 @@
+/**
+ * Tab Assignments Reducer
+ * 
+ * Handles state updates related to the assignment of tabs to topics.
+ */
+
+import { ActionTypes } from './store.js';
+
+/**
+ * Reducer for the tabAssignments slice of state
+ * Maps stable tab IDs to the ID of the topic the tab belongs to.
+ * 
+ * @param {object} state - Current tabAssignments state
+ * @param {object} action - Action object
+ * @returns {object} New tabAssignments state
+ */
+export function tabAssignmentsReducer(state = {}, action) {
+  switch (action.type) {
+    case ActionTypes.ASSIGN_TAB: {
+      const { stableId, topicId } = action.payload;
+      
+      // Nothing changes if the tab is already in this topic
+      if (state[stableId] === topicId) {
+        return state;
+      }
+      
+      return {
+        ...state,
+        [stableId]: topicId
+      };
+    }
+    
+    case ActionTypes.UNASSIGN_TAB: {
+      const { stableId } = action.payload;
+      
+      if (!(stableId in state)) {
+        return state;
+      }
+      
+      // Create a new state object without the tab
+      const newState = { ...state };
+      delete newState[stableId];
+      
+      return newState;
+    }
+    
+    case ActionTypes.SET_TAB_ASSIGNMENTS: {
+      const { tabAssignments } = action.payload;
+      
+      // Replace the entire assignments object
+      return { ...tabAssignments };
+    }
+    
+    case ActionTypes.RESET_STATE: {
+      return {};
+    }
+    
+    default:
+      return state;
+  }
+}
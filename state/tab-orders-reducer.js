@@ -0,0 +1,57 @@
+/**
+ * Tab Orders Reducer
+ * 
+ * Handles state updates related to the tab order each topic had when it was left.
+ */
+
+import { ActionTypes } from './store.js';
+
+/**
+ * Reducer for the tabOrders slice of state
+ * Maps topic IDs to { stableIds, activeStableId }: the stable IDs of the topic's tabs
+ * in strip order and the stable ID of the tab that was active.
+ * 
+ * @param {object} state - Current tabOrders state
+ * @param {object} action - Action object
+ * @returns {object} New tabOrders state
+ */
+export function tabOrdersReducer(state = {}, action) {
+  switch (action.type) {
+    case ActionTypes.SAVE_TAB_ORDER: {
+      const { topicId, stableIds, activeStableId } = action.payload;
+      
+      return {
+        ...state,
+        [topicId]: { stableIds: [...stableIds], activeStableId }
+      };
+    }
+    
+    case ActionTypes.SET_TAB_ORDERS: {
+      const { tabOrders } = action.payload;
+      
+      // Replace the entire tab orders object
+      return { ...tabOrders };
+    }
+    
+    case ActionTypes.DELETE_TOPIC: {
+      const { topicId } = action.payload;
+      
+      if (!(topicId in state)) {
+        return state;
+      }
+      
+      // Create a new state object without the deleted topic
+      const newState = { ...state };
+      delete newState[topicId];
+      
+      return newState;
+    }
+    
+    case ActionTypes.RESET_STATE: {
+      return {};
+    }
+    
+    default:
+      return state;
+  }
+}
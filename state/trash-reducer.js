@@ -0,0 +1,46 @@
+/**
+ * Trash Reducer
+ * 
+ * Handles state updates related to deleted topics, categories and bookmarks.
+ */
+
+import { ActionTypes } from './store.js';
+
+/**
+ * Reducer for the trash slice of state
+ * Holds the trash items { id, type, name, topics, categories, bookmarks, tabAssignments, deletedAt },
+ * most recently deleted first.
+ * 
+ * @param {Array} state - Current trash state
+ * @param {object} action - Action object
+ * @returns {Array} New trash state
+ */
+export function trashReducer(state = [], action) {
+  switch (action.type) {
+    case ActionTypes.ADD_TRASH_ITEM: {
+      return [action.payload.item, ...state];
+    }
+    
+    case ActionTypes.REMOVE_TRASH_ITEMS: {
+      const { itemIds } = action.payload;
+      
+      if (!state.some(item => itemIds.includes(item.id))) {
+        return state;
+      }
+      
+      return state.filter(item => !itemIds.includes(item.id));
+    }
+    
+    case ActionTypes.SET_TRASH: {
+      // Replace the entire trash
+      return [...action.payload.trash];
+    }
+    
+    case ActionTypes.RESET_STATE: {
+      return [];
+    }
+    
+    default:
+      return state;
+  }
+}
@@ -11,7 +11,10 @@ const initialUiState = {
   sidebarSections: {
     topics: true,
     categories: true,
-    bookmarks: true
+    bookmarks: true,
+    closedTabs: false,
+    archive: false,
+    trash: false
   },
   selectedCategoryId: null,
   isLoading: false,
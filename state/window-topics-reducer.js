@@ -0,0 +1,79 @@
+/**
+ * Window Topics Reducer
+ * 
+ * Handles state updates related to the active topic of each browser window.
+ */
+
+import { ActionTypes } from './store.js';
+
+/**
+ * Reducer for the windowTopics slice of state
+ * Maps Firefox window IDs to the ID of the topic shown in the window.
+ * 
+ * @param {object} state - Current windowTopics state
+ * @param {object} action - Action object
+ * @returns {object} New windowTopics state
+ */
+export function windowTopicsReducer(state = {}, action) {
+  switch (action.type) {
+    case ActionTypes.SET_WINDOW_TOPIC: {
+      const { windowId, topicId } = action.payload;
+      
+      // Nothing changes if the window already shows this topic
+      if (state[windowId] === topicId) {
+        return state;
+      }
+      
+      return {
+        ...state,
+        [windowId]: topicId
+      };
+    }
+    
+    case ActionTypes.CLEAR_WINDOW_TOPIC: {
+      const { windowId } = action.payload;
+      
+      if (!(windowId in state)) {
+        return state;
+      }
+      
+      // Create a new state object without the window
+      const newState = { ...state };
+      delete newState[windowId];
+      
+      return newState;
+    }
+    
+    case ActionTypes.SET_WINDOW_TOPICS: {
+      const { windowTopics } = action.payload;
+      
+      // Replace the entire window topics object
+      return { ...windowTopics };
+    }
+    
+    case ActionTypes.DELETE_TOPIC: {
+      const { topicId } = action.payload;
+      
+      // Windows that showed the deleted topic fall back to the global active topic
+      const newState = {};
+      let changed = false;
+      
+      for (const [windowId, windowTopicId] of Object.entries(state)) {
+        if (windowTopicId === topicId) {
+          changed = true;
+        } else {
+          newState[windowId] = windowTopicId;
+        }
+      }
+      
+      return changed ? newState : state;
+    }
+    
+    case ActionTypes.RESET_STATE: {
+      return {};
+    }
+    
+    default:
+      return state;
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Unit tests for the fuzzy matching of the topic switcher
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuzzyScore } from '../utils/common.js';
+
+test('texts match if the query characters appear in order', () => {
+  assert.ok(fuzzyScore('wrk', 'Work') > 0);
+  assert.equal(fuzzyScore('krw', 'Work'), -1);
+  assert.equal(fuzzyScore('works', 'Work'), -1);
+});
+
+test('matching ignores case', () => {
+  assert.equal(fuzzyScore('WORK', 'work'), fuzzyScore('work', 'WORK'));
+});
+
+test('consecutive characters score higher than scattered ones', () => {
+  assert.ok(fuzzyScore('pro', 'Project') > fuzzyScore('pro', 'Personal reading overview'));
+});
+
+test('characters at the start of a word score higher', () => {
+  assert.ok(fuzzyScore('t', 'Side topics') > fuzzyScore('t', 'Settings'));
+});
+
+test('an empty query matches everything', () => {
+  assert.equal(fuzzyScore('', 'Anything'), 0);
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for matching URLs against routing rules
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesRule, RulePatternTypes } from '../models/rule.js';
+
+const hostRule = (pattern) => ({ pattern, patternType: RulePatternTypes.HOST });
+
+test('host globs match the host and its sub-domains', () => {
+  assert.equal(matchesRule(hostRule('*.reddit.com'), 'https://www.reddit.com/r/firefox'), true);
+  assert.equal(matchesRule(hostRule('*.reddit.com'), 'https://reddit.com/'), true);
+  assert.equal(matchesRule(hostRule('*.reddit.com'), 'https://notreddit.com/'), false);
+  assert.equal(matchesRule(hostRule('reddit.com'), 'https://www.reddit.com/'), false);
+});
+
+test('host globs are case insensitive and take the dots literally', () => {
+  assert.equal(matchesRule(hostRule('GitHub.com'), 'https://github.com/'), true);
+  assert.equal(matchesRule(hostRule('github.com'), 'https://githubXcom.example/'), false);
+});
+
+test('host globs with a path also match the path', () => {
+  const rule = hostRule('github.com/our-org/*');
+  assert.equal(matchesRule(rule, 'https://github.com/our-org/repo'), true);
+  assert.equal(matchesRule(rule, 'https://github.com/other-org/repo'), false);
+});
+
+test('prefix rules match the start of the URL', () => {
+  const rule = { pattern: 'https://docs.example.com/api', patternType: RulePatternTypes.PREFIX };
+  assert.equal(matchesRule(rule, 'https://docs.example.com/api/v2'), true);
+  assert.equal(matchesRule(rule, 'https://example.com/docs/api'), false);
+});
+
+test('regex rules match anywhere in the URL, broken patterns never match', () => {
+  assert.equal(matchesRule({ pattern: 'jira\\.[a-z]+/browse', patternType: RulePatternTypes.REGEX }, 'https://jira.corp/browse/X-1'), true);
+  assert.equal(matchesRule({ pattern: '(', patternType: RulePatternTypes.REGEX }, 'https://example.com/'), false);
+});
+
+test('unparsable URLs and unknown pattern types never match', () => {
+  assert.equal(matchesRule(hostRule('*.example.com'), 'not a url'), false);
+  assert.equal(matchesRule({ pattern: 'example', patternType: 'unknown' }, 'https://example.com/'), false);
+});
@@ -0,0 +1,38 @@
+/**
+ * Unit tests for the topic tree the sidebar shows
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectTopicTree } from '../state/selectors.js';
+
+const treeOf = (topics) => selectTopicTree({ topics }).map(({ topic, depth }) => `${topic.id}:${depth}`);
+
+test('parents are followed by their sub-topics', () => {
+  const topics = [
+    { id: 'task', parentId: 'project' },
+    { id: 'work' },
+    { id: 'home' },
+    { id: 'project', parentId: 'work' }
+  ];
+  assert.deepEqual(treeOf(topics), ['work:0', 'project:1', 'task:2', 'home:0']);
+});
+
+test('topics with an unknown parent are shown at the top level', () => {
+  assert.deepEqual(treeOf([{ id: 'orphan', parentId: 'deleted' }]), ['orphan:0']);
+});
+
+test('archived topics are left out', () => {
+  // Sub-topics are archived with their parent
+  const topics = [
+    { id: 'work', archived: true },
+    { id: 'project', parentId: 'work', archived: true },
+    { id: 'home' }
+  ];
+  assert.deepEqual(treeOf(topics), ['home:0']);
+});
+
+test('topics in a cycle of parents are listed at the top level once', () => {
+  const topics = [{ id: 'a', parentId: 'b' }, { id: 'b', parentId: 'a' }];
+  assert.deepEqual(treeOf(topics), ['a:0', 'b:0']);
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit tests for the normalized URL patterns tabs and pages are compared by
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TabIdentifier } from '../utils/tab-identifier.js';
+
+const tabIdentifier = new TabIdentifier();
+const comparePages = (url) => tabIdentifier.getNormalizedUrlPattern(url, { keepQueryAndHash: true });
+
+test('tab patterns drop variable parameters, the hash and trailing slashes', () => {
+  assert.equal(
+    tabIdentifier.getNormalizedUrlPattern('https://example.com/path/?b=2&utm_source=x&id=7&a=1#top'),
+    'https://example.com/path?a=1&b=2'
+  );
+});
+
+test('page patterns only drop tracking parameters', () => {
+  assert.equal(
+    comparePages('https://example.com/item/?id=1&utm_campaign=spring&fbclid=abc&gclid=def'),
+    'https://example.com/item?id=1'
+  );
+});
+
+test('page patterns keep the hash and the port', () => {
+  assert.equal(comparePages('http://localhost:3000/app/#/inbox'), 'http://localhost:3000/app#/inbox');
+  assert.notEqual(comparePages('https://mail.example.com/#/inbox'), comparePages('https://mail.example.com/#/sent'));
+  assert.notEqual(comparePages('http://localhost:3000/'), comparePages('http://localhost:8080/'));
+});
+
+test('page patterns tell apart pages that differ in their query', () => {
+  assert.notEqual(comparePages('https://example.com/item?id=1'), comparePages('https://example.com/item?id=2'));
+  assert.equal(comparePages('https://example.com/item?b=2&a=1'), comparePages('https://example.com/item?a=1&b=2'));
+});
+
+test('unparsable URLs are returned as they are', () => {
+  assert.equal(comparePages('not a url'), 'not a url');
+  assert.equal(tabIdentifier.getNormalizedUrlPattern(''), '');
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for the topic model validation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTopicParent, withValidAppearance } from '../models/topic.js';
+
+// work > project > task, home on its own
+const topics = [
+  { id: 'work' },
+  { id: 'project', parentId: 'work' },
+  { id: 'task', parentId: 'project' },
+  { id: 'home' }
+];
+
+test('topics can move under unrelated topics and to the top level', () => {
+  assert.equal(validateTopicParent(topics, 'home', 'task'), true);
+  assert.equal(validateTopicParent(topics, 'task', 'work'), true);
+  assert.equal(validateTopicParent(topics, 'project', null), true);
+});
+
+test('topics can\'t move under themselves or their sub-topics', () => {
+  assert.throws(() => validateTopicParent(topics, 'work', 'work'), /under itself/);
+  assert.throws(() => validateTopicParent(topics, 'work', 'project'), /under itself/);
+  assert.throws(() => validateTopicParent(topics, 'work', 'task'), /under itself/);
+});
+
+test('unknown parents are rejected', () => {
+  assert.throws(() => validateTopicParent(topics, 'home', 'missing'), /not found/);
+});
+
+test('cycles already in the data don\'t hang the check', () => {
+  const cyclic = [{ id: 'a', parentId: 'b' }, { id: 'b', parentId: 'a' }, { id: 'c' }];
+  assert.equal(validateTopicParent(cyclic, 'c', 'a'), true);
+  assert.throws(() => validateTopicParent(cyclic, 'a', 'b'), /under itself/);
+});
+
+test('invalid colors and icons are dropped, valid ones kept', () => {
+  const topic = { id: 'work', color: 'red" onclick="alert(1)', icon: '<img>' };
+  assert.deepEqual(withValidAppearance(topic), { id: 'work' });
+  assert.equal(topic.color, 'red" onclick="alert(1)');
+  
+  const valid = { id: 'home', color: '#0090ff', icon: '🏠' };
+  assert.deepEqual(withValidAppearance(valid), valid);
+});
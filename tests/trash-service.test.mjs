@@ -0,0 +1,34 @@
+/**
+ * Unit tests for putting restored items back at their old positions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The state module sets up storage syncing when it loads, it only needs the global to exist
+globalThis.browser = {};
+const { TrashService } = await import('../services/trash-service.js');
+
+const trashService = new TrashService();
+const idsOf = (list) => list.map(item => item.id);
+
+test('items go back to their old positions', () => {
+  const list = [{ id: 'a' }, { id: 'c' }];
+  assert.deepEqual(idsOf(trashService.insertAtPositions([{ item: { id: 'b' }, index: 1 }], list)), ['a', 'b', 'c']);
+});
+
+test('several items keep their order whatever order they are given in', () => {
+  const entries = [{ item: { id: 'd' }, index: 3 }, { item: { id: 'a' }, index: 0 }, { item: { id: 'b' }, index: 1 }];
+  assert.deepEqual(idsOf(trashService.insertAtPositions(entries, [{ id: 'c' }])), ['a', 'b', 'c', 'd']);
+});
+
+test('positions past the end of a shorter list append the item', () => {
+  assert.deepEqual(idsOf(trashService.insertAtPositions([{ item: { id: 'z' }, index: 10 }], [{ id: 'a' }])), ['a', 'z']);
+});
+
+test('items already in the list are not added twice and the list is not changed in place', () => {
+  const list = [{ id: 'a' }, { id: 'b' }];
+  const result = trashService.insertAtPositions([{ item: { id: 'a' }, index: 1 }], list);
+  assert.deepEqual(idsOf(result), ['a', 'b']);
+  assert.notEqual(result, list);
+});
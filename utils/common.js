@@ -2,6 +2,8 @@
  * Common utility functions used throughout the extension.
  */
 
+import { isBuiltInTopicIcon, withValidAppearance } from '../models/topic.js';
+
 /**
  * Generates a unique ID
  * 
@@ -56,6 +58,27 @@ export function escapeHtml(str) {
   return div.innerHTML;
 }
 
+/**
+ * Creates the HTML that marks a topic with its color and icon
+ * Built-in icons take the topic color, emoji get a color dot in front.
+ * Built-in icons need the Font Awesome stylesheet on the page.
+ * 
+ * @param {Object} topic - Topic with optional color and icon
+ * @returns {string} HTML, empty if the topic has neither
+ */
+export function topicMarkerHtml(topic) {
+  // The color goes into a style attribute, only hex colors are let through
+  const { color, icon } = withValidAppearance(topic);
+  
+  if (icon && isBuiltInTopicIcon(icon)) {
+    return `<i class="fas ${icon} topic-icon"${color ? ` style="color: ${color}"` : ''}></i>`;
+  }
+  
+  const dot = color ? `<span class="topic-color-dot" style="background-color: ${color}"></span>` : '';
+  const emoji = icon ? `<span class="topic-icon">${escapeHtml(icon)}</span>` : '';
+  return dot + emoji;
+}
+
 /**
  * Gets a user-friendly date string from a timestamp
  * 
@@ -83,14 +106,43 @@ export function isValidUrl(url) {
   }
 }
 
+/**
+ * Score how well a text matches a query, the query's characters have to appear in order
+ * Consecutive characters and characters at the start of a word score higher.
+ * 
+ * @param {string} query - Typed text
+ * @param {string} text - Text to match
+ * @returns {number} Score, -1 if the text doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let lastMatch = -1;
+  
+  for (const char of needle) {
+    const index = haystack.indexOf(char, lastMatch + 1);
+    if (index === -1) return -1;
+    
+    score += 1;
+    if (index === lastMatch + 1) score += 3;
+    if (index === 0 || /[\s\-_/.]/.test(haystack[index - 1])) score += 2;
+    
+    lastMatch = index;
+  }
+  
+  return score;
+}
+
 /**
  * Shows a notification to the user
  * 
  * @param {string} message - Message to display
  * @param {string} [type='info'] - Type of notification ('info', 'success', 'warning', 'error')
  * @param {number} [duration=3000] - Duration in milliseconds
+ * @param {Object} [action] - Optional button { label, onClick } shown in the notification, e.g. "Undo"
  */
-export function showNotification(message, type = 'info', duration = 3000) {
+export function showNotification(message, type = 'info', duration = 3000, action = null) {
   // Create notification element if needed
   let notificationContainer = document.getElementById('notification-container');
   
@@ -136,14 +188,39 @@ export function showNotification(message, type = 'info', duration = 3000) {
       notification.style.color = 'white';
   }
   
-  // Add to container
-  notificationContainer.appendChild(notification);
-  
-  // Remove after duration
-  setTimeout(() => {
+  // Clicking the action button runs it once and closes the notification
+  let removed = false;
+  const removeNotification = () => {
+    if (removed) return;
+    removed = true;
     notification.style.animation = 'fadeOut 0.3s ease-out';
     notification.addEventListener('animationend', () => {
       notificationContainer.removeChild(notification);
     });
-  }, duration);
+  };
+  
+  if (action) {
+    const button = document.createElement('button');
+    button.textContent = action.label;
+    button.style.cssText = `
+      margin-left: 10px;
+      padding: 2px 8px;
+      border: 1px solid currentColor;
+      border-radius: 3px;
+      background: transparent;
+      color: inherit;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', () => {
+      removeNotification();
+      action.onClick();
+    });
+    notification.appendChild(button);
+  }
+  
+  // Add to container
+  notificationContainer.appendChild(notification);
+  
+  // Remove after duration
+  setTimeout(removeNotification, duration);
 }
@@ -1,10 +1,19 @@
 /**
  * Tab Identifier
  * 
- * Provides stable identification for tabs that persists across browser restarts
- * and page reloads by combining URL patterns, favicon, and DOM fingerprinting.
+ * Provides stable identification for tabs that persists across browser restarts,
+ * page reloads and navigation. Each tab is tagged with a persistent UUID and its topic
+ * through browser.sessions tab values, which Firefox keeps with the tab itself.
+ * URL based heuristics are only used to match tabs described in an imported file.
  */
 
+// Session value keys
+const STABLE_ID_KEY = 'stableId';
+const TOPIC_ID_KEY = 'topicId';
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAM_PREFIXES = ['utm_', 'fbclid', 'gclid'];
+
 /**
  * TabIdentifier class
  * Generates and manages stable identifiers for browser tabs
@@ -13,36 +22,38 @@ export class TabIdentifier {
   constructor() {
     this.tabIdToStableIdMap = new Map(); // Maps Firefox tab IDs to stable IDs
     this.stableIdToTabIdMap = new Map(); // Maps stable IDs to Firefox tab IDs
-    this.metadataCache = new Map(); // Caches tab metadata for optimization
   }
 
   /**
-   * Generate a stable tab ID based on URL, favicon, and DOM elements
+   * Get the stable ID of a tab, tagging the tab with a new one if it has none
    * 
    * @param {Object} tab - Firefox tab object
    * @returns {Promise<string>} - Stable tab ID
    */
   async getStableTabId(tab) {
     if (!tab) return null;
-
+    
     // Check if we already have a stable ID for this tab
     if (this.tabIdToStableIdMap.has(tab.id)) {
       return this.tabIdToStableIdMap.get(tab.id);
     }
-
+    
     try {
-      // Get core tab metadata
-      const metadata = await this.getTabMetadata(tab);
+      let stableId = await browser.sessions.getTabValue(tab.id, STABLE_ID_KEY);
       
-      // Generate a stable ID using the metadata
-      const stableId = this.generateStableId(metadata);
+      // Duplicated tabs copy the session values of their original, so they need their own ID
+      const ownerTabId = stableId ? this.stableIdToTabIdMap.get(stableId) : undefined;
+      if (!stableId || (ownerTabId !== undefined && ownerTabId !== tab.id)) {
+        stableId = this.generateUuid();
+        await browser.sessions.setTabValue(tab.id, STABLE_ID_KEY, stableId);
+      }
       
       // Map the Firefox tab ID to the stable ID
       this.updateMappings(tab.id, stableId);
       
       return stableId;
     } catch (error) {
-      console.error(`[TabIdentifier] Error generating stable ID:`, error);
+      console.error(`[TabIdentifier] Error reading session values for tab ${tab.id}:`, error);
       // Fallback - use URL with some normalization
       const fallbackId = this.generateFallbackId(tab.url);
       this.updateMappings(tab.id, fallbackId);
@@ -51,75 +62,102 @@ export class TabIdentifier {
   }
 
   /**
-   * Get tab metadata for identification
+   * Read the stable ID a tab was tagged with, without tagging untagged tabs.
+   * Used by extension pages that must leave tagging to the background tab service.
    * 
-   * @param {Object} tab - Firefox tab object
-   * @returns {Promise<Object>} - Tab metadata
+   * @param {number} tabId - Firefox tab ID
+   * @returns {Promise<string|null>} - Stable tab ID or null if the tab has none
    */
-  async getTabMetadata(tab) {
-    // Check cache first
-    if (this.metadataCache.has(tab.id)) {
-      return this.metadataCache.get(tab.id);
+  async readStableTabId(tabId) {
+    try {
+      return (await browser.sessions.getTabValue(tabId, STABLE_ID_KEY)) || null;
+    } catch (error) {
+      console.warn(`[TabIdentifier] Could not read stable ID of tab ${tabId}:`, error);
+      return null;
     }
+  }
 
+  /**
+   * Get the topic a tab was tagged with
+   * 
+   * @param {number} tabId - Firefox tab ID
+   * @returns {Promise<string|null>} - Topic ID or null if the tab has no topic
+   */
+  async getTabTopic(tabId) {
     try {
-      const metadata = {
-        urlPattern: this.getNormalizedUrlPattern(tab.url),
-        domain: this.extractDomain(tab.url),
-        title: tab.title || '',
-        faviconUrl: tab.favIconUrl || '',
-        domFingerprint: await this.extractDomFingerprint(tab)
-      };
+      return (await browser.sessions.getTabValue(tabId, TOPIC_ID_KEY)) || null;
+    } catch (error) {
+      console.warn(`[TabIdentifier] Could not read topic of tab ${tabId}:`, error);
+      return null;
+    }
+  }
 
-      // Cache the metadata
-      this.metadataCache.set(tab.id, metadata);
-      
-      return metadata;
+  /**
+   * Tag a tab with its topic
+   * 
+   * @param {number} tabId - Firefox tab ID
+   * @param {string} topicId - Topic ID
+   * @returns {Promise<boolean>} - True if the tab was tagged
+   */
+  async setTabTopic(tabId, topicId) {
+    try {
+      await browser.sessions.setTabValue(tabId, TOPIC_ID_KEY, topicId);
+      return true;
     } catch (error) {
-      console.error(`[TabIdentifier] Error getting tab metadata for tab ${tab.id}:`, error);
-      
-      // Create a basic metadata object that doesn't rely on DOM fingerprinting
-      const fallbackMetadata = {
-        urlPattern: this.getNormalizedUrlPattern(tab.url),
-        domain: this.extractDomain(tab.url),
-        title: tab.title || '',
-        faviconUrl: tab.favIconUrl || '',
-        domFingerprint: this.hashString(`fallback-fingerprint|${tab.url}|${tab.title}`)
-      };
-      
-      // Cache the fallback metadata
-      this.metadataCache.set(tab.id, fallbackMetadata);
-      
-      return fallbackMetadata;
+      console.warn(`[TabIdentifier] Could not tag tab ${tabId} with topic ${topicId}:`, error);
+      return false;
     }
   }
 
   /**
-   * Generate a stable ID from tab metadata
+   * Remove the topic tag from a tab
    * 
-   * @param {Object} metadata - Tab metadata
-   * @returns {string} - Stable ID
+   * @param {number} tabId - Firefox tab ID
+   * @returns {Promise<boolean>} - True if the tag was removed
    */
-  generateStableId(metadata) {
-    // Primary identification is based on URL pattern
-    let baseId = metadata.urlPattern;
-    
-    // Add domain for extra stability
-    baseId += `|${metadata.domain}`;
+  async clearTabTopic(tabId) {
+    try {
+      await browser.sessions.removeTabValue(tabId, TOPIC_ID_KEY);
+      return true;
+    } catch (error) {
+      console.warn(`[TabIdentifier] Could not remove topic of tab ${tabId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Read stable IDs and topics of the given tabs from their session values,
+   * e.g. to restore assignments after a browser restart
+   * 
+   * @param {Array} tabs - Firefox tab objects
+   * @returns {Promise<Map>} - Map of stable IDs to topic IDs for tabs that have a topic
+   */
+  async restoreTabTopics(tabs) {
+    const restored = new Map();
     
-    // Add DOM fingerprint if available
-    if (metadata.domFingerprint) {
-      baseId += `|${metadata.domFingerprint}`;
+    for (const tab of tabs) {
+      const stableId = await this.getStableTabId(tab);
+      const topicId = await this.getTabTopic(tab.id);
+      
+      if (stableId && topicId) {
+        restored.set(stableId, topicId);
+      }
     }
     
-    // Add favicon hash if available
-    if (metadata.faviconUrl) {
-      const faviconHash = this.hashString(metadata.faviconUrl).slice(0, 8);
-      baseId += `|${faviconHash}`;
+    return restored;
+  }
+
+  /**
+   * Generate a new UUID
+   * 
+   * @returns {string} - UUID
+   */
+  generateUuid() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
     }
     
-    // Create a hash of the combination
-    return this.hashString(baseId);
+    return `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
@@ -179,33 +217,54 @@ export class TabIdentifier {
       this.stableIdToTabIdMap.delete(stableId);
       this.tabIdToStableIdMap.delete(tabId);
     }
+  }
+
+  /**
+   * Find the open tab that best matches a tab described in an imported file.
+   * Imported tabs have no session values, so they are matched by URL pattern,
+   * then by domain and title.
+   * 
+   * @param {Object} tabInfo - Imported tab description { url, title }
+   * @param {Array} tabs - Candidate Firefox tab objects
+   * @returns {Object|null} - Matching tab or null
+   */
+  findMatchingTab(tabInfo, tabs) {
+    if (!tabInfo || !tabInfo.url) return null;
+    
+    const urlPattern = this.getNormalizedUrlPattern(tabInfo.url);
+    const exactMatch = tabs.find(tab => this.getNormalizedUrlPattern(tab.url) === urlPattern);
+    if (exactMatch) {
+      return exactMatch;
+    }
     
-    // Clear metadata cache
-    this.metadataCache.delete(tabId);
+    const domain = this.extractDomain(tabInfo.url);
+    if (!domain || !tabInfo.title) return null;
+    
+    return tabs.find(tab =>
+      this.extractDomain(tab.url) === domain && tab.title === tabInfo.title
+    ) || null;
   }
 
   /**
    * Get normalized URL pattern by removing variable parts
+   * By default parameters that often change between visits and the hash are dropped too,
+   * so a reloaded tab is still recognized. keepQueryAndHash compares pages instead: only
+   * tracking parameters are dropped, the port, the rest of the query and the hash are kept.
    * 
    * @param {string} url - Original URL
+   * @param {Object} [options] - Normalization options
+   * @param {boolean} [options.keepQueryAndHash=false] - Only drop tracking parameters
    * @returns {string} - Normalized URL pattern
    */
-  getNormalizedUrlPattern(url) {
+  getNormalizedUrlPattern(url, { keepQueryAndHash = false } = {}) {
     if (!url) return '';
     
     try {
       const urlObj = new URL(url);
       
-      // Handle topicId hash specially to ensure unique default tabs
-      // If URL has our special topicId hash, include it in the pattern
-      if (urlObj.hash && urlObj.hash.includes('topicId=')) {
-        // This is a default tab we created with a specific topic ID
-        // Return the full URL with hash to ensure unique identification
-        return url;
-      }
-      
       // Keep the protocol, hostname, and path structure
-      let normalizedUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
+      const host = keepQueryAndHash ? urlObj.host : urlObj.hostname;
+      let normalizedUrl = `${urlObj.protocol}//${host}${urlObj.pathname}`;
       
       // Remove trailing slashes
       normalizedUrl = normalizedUrl.replace(/\/+$/, '');
@@ -217,10 +276,12 @@ export class TabIdentifier {
         const stableParams = new URLSearchParams();
         
         // Keep only stable parameters (customize this list as needed)
-        const unstableParamPrefixes = ['utm_', 'ref', 'session', 'token', 'id', 'fbclid', 'gclid'];
+        const unstableParamPrefixes = keepQueryAndHash
+          ? TRACKING_PARAM_PREFIXES
+          : [...TRACKING_PARAM_PREFIXES, 'ref', 'session', 'token', 'id'];
         
         for (const [key, value] of searchParams.entries()) {
-          const isUnstable = unstableParamPrefixes.some(prefix => 
+          const isUnstable = unstableParamPrefixes.some(prefix =>
             key.toLowerCase().startsWith(prefix.toLowerCase())
           );
           
@@ -244,6 +305,11 @@ export class TabIdentifier {
         }
       }
       
+      // The hash often tells apart pages of web apps (e.g. #/inbox)
+      if (keepQueryAndHash) {
+        normalizedUrl += urlObj.hash;
+      }
+      
       return normalizedUrl;
     } catch (error) {
       console.warn(`[TabIdentifier] Error normalizing URL ${url}:`, error);
@@ -268,84 +334,6 @@ export class TabIdentifier {
     }
   }
 
-  /**
-   * Extract DOM fingerprint from a tab
-   * 
-   * @param {Object} tab - Firefox tab object
-   * @returns {Promise<string>} - DOM fingerprint
-   */
-  async extractDomFingerprint(tab) {
-    try {
-      // Check if the tab's URL is accessible to content scripts
-      if (!tab.url || tab.url.startsWith('about:') || 
-          tab.url.startsWith('moz-extension:') || 
-          tab.url.startsWith('chrome:') || 
-          tab.url.startsWith('resource:') ||
-          tab.url.startsWith('file:') ||
-          tab.url.startsWith('view-source:')) {
-        // These are restricted URLs, don't try to execute script
-        return this.hashString(tab.url + '|' + tab.title);
-      }
-      
-      // Execute script in the tab to get DOM structure
-      const result = await browser.tabs.executeScript(tab.id, {
-        code: `
-          (function() {
-            try {
-              // Get key DOM elements that identify the page structure
-              const fingerprint = {
-                // Page title
-                title: document.title,
-                
-                // Meta tags (description, keywords)
-                meta: Array.from(document.querySelectorAll('meta[name="description"], meta[name="keywords"]'))
-                  .map(el => ({ name: el.getAttribute('name'), content: el.getAttribute('content') })),
-                
-                // Main heading structure
-                headings: Array.from(document.querySelectorAll('h1')).map(h => h.textContent.trim()),
-                
-                // Main structural elements
-                mainStructure: [
-                  // Count main structural elements
-                  document.querySelectorAll('header').length,
-                  document.querySelectorAll('footer').length,
-                  document.querySelectorAll('nav').length, 
-                  document.querySelectorAll('main').length,
-                  document.querySelectorAll('article').length
-                ],
-                
-                // Page-specific identifiers (common IDs)
-                pageIds: Array.from(document.querySelectorAll('[id="content"], [id="main"], [id="app"], [id="root"]'))
-                  .map(el => el.id)
-              };
-              
-              return JSON.stringify(fingerprint);
-            } catch (err) {
-              return JSON.stringify({ error: err.message, title: document.title });
-            }
-          })();
-        `
-      });
-      
-      if (result && result[0]) {
-        // Hash the fingerprint for consistency
-        return this.hashString(result[0]);
-      }
-    } catch (error) {
-      // For permission errors, use a fallback identifier based on tab properties
-      if (error.message && error.message.includes("Missing host permission")) {
-        console.warn(`[TabIdentifier] Permission issue for tab ${tab.id}. Using fallback identification.`);
-        return this.hashString(`restricted-tab|${tab.url}|${tab.title}`);
-      }
-      
-      // For other errors, just log and continue
-      console.debug(`[TabIdentifier] Could not extract DOM fingerprint for tab ${tab.id}:`, error);
-    }
-    
-    // Create a basic fingerprint from URL and title
-    return this.hashString(`basic|${tab.url}|${tab.title}`);
-  }
-
   /**
    * Create a hash from a string
    * 
@@ -366,52 +354,6 @@ export class TabIdentifier {
     const hashHex = (hash >>> 0).toString(16);
     return hashHex.padStart(8, '0');
   }
-
-  /**
-   * Check if a tab has changed significantly (requiring a new stable ID)
-   * 
-   * @param {Object} tab - Firefox tab object
-   * @returns {Promise<boolean>} - True if tab changed significantly
-   */
-  async hasTabChangedSignificantly(tab) {
-    const oldMetadata = this.metadataCache.get(tab.id);
-    if (!oldMetadata) return true;
-    
-    const newMetadata = await this.getTabMetadata(tab);
-    
-    // Compare URL pattern - most important factor
-    if (oldMetadata.urlPattern !== newMetadata.urlPattern) {
-      return true;
-    }
-    
-    // Compare domain - indicates a site change
-    if (oldMetadata.domain !== newMetadata.domain) {
-      return true;
-    }
-    
-    return false;
-  }
-
-  /**
-   * Update stable ID for a tab if necessary
-   * 
-   * @param {Object} tab - Firefox tab object
-   * @returns {Promise<string>} - Updated stable ID
-   */
-  async updateStableId(tab) {
-    const hasChanged = await this.hasTabChangedSignificantly(tab);
-    
-    if (hasChanged) {
-      // Clear existing metadata and mapping
-      this.clearTabMapping(tab.id);
-      
-      // Generate new stable ID
-      return this.getStableTabId(tab);
-    }
-    
-    // Return existing stable ID
-    return this.tabIdToStableIdMap.get(tab.id);
-  }
 }
 
 export default TabIdentifier;